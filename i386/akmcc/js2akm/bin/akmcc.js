@@ -13,6 +13,7 @@
  *   -v, --verbose          Verbose output
  *   -d, --debug            Include debug information
  *   -O, --optimize         Optimize output
+ *   --diagnostics=<fmt>    Diagnostic format: text, json or sarif
  *   --version              Show version
  *   --help                 Show help
  */
@@ -20,11 +21,15 @@
 const { AKMCompiler } = require('../src/compiler');
 const { AKMParser } = require('../src/parser');
 const { AKMCodeGen } = require('../src/codegen');
+const { DIAGNOSTICS, createDiagnostic, toJSON, toSARIF } = require('../src/diagnostics');
+const { AKM_FORMAT } = require('../src/constants');
 const fs = require('fs');
 const path = require('path');
 
 const VERSION = '2.0.0';
 
+const DIAGNOSTIC_FORMATS = ['text', 'json', 'sarif'];
+
 // ANSI color codes
 const colors = {
     reset: '\x1b[0m',
@@ -37,8 +42,12 @@ const colors = {
     cyan: '\x1b[36m'
 };
 
+// With --diagnostics=json|sarif stdout carries only the document
+let logToStderr = false;
+
 function log(msg, color = 'reset') {
-    console.log(`${colors[color]}${msg}${colors.reset}`);
+    const print = logToStderr ? console.error : console.log;
+    print(`${colors[color]}${msg}${colors.reset}`);
 }
 
 function error(msg) {
@@ -49,6 +58,82 @@ function warn(msg) {
     console.warn(`${colors.yellow}Warning: ${msg}${colors.reset}`);
 }
 
+/**
+ * Print the source line a diagnostic points at, with the range underlined
+ */
+function showExcerpt(source, diag) {
+    const lines = source.split('\n');
+    const text = lines[diag.line - 1];
+    if (text === undefined || diag.column === undefined) return;
+
+    const end = diag.endLine === diag.line ? diag.endColumn : text.length;
+    const width = Math.max(1, end - diag.column);
+    const gutter = String(diag.line).padStart(5);
+
+    console.error(`${gutter} | ${text}`);
+    console.error(`${' '.repeat(gutter.length)} | ${' '.repeat(diag.column)}${colors.red}${'^'.repeat(width)}${colors.reset}`);
+}
+
+/**
+ * Print diagnostics as text, with a source excerpt under each error
+ * (sources maps each linked file to its text)
+ */
+function showDiagnostics(diagnostics, sources) {
+    for (const diag of diagnostics) {
+        const where = diag.line > 0 ? `${diag.file}:${diag.line}:${diag.column}` : diag.file;
+        const text = `${where}: ${diag.message} [${diag.code}]`;
+
+        if (diag.severity === 'error') {
+            error(text);
+            if (sources.has(diag.file)) showExcerpt(sources.get(diag.file), diag);
+        } else {
+            warn(text);
+        }
+    }
+}
+
+/**
+ * Print the call sites that need a capability
+ */
+function showCapabilitySites(sites) {
+    for (const site of sites) {
+        if (site.line > 0) {
+            log(`    ${site.file}:${site.line}:${site.column}: ${site.what}`);
+        } else {
+            log(`    (implicit) ${site.what}`);
+        }
+    }
+}
+
+/**
+ * Print the --audit-caps report
+ */
+function showCapabilityAudit(compiler, audit) {
+    const mask = value => {
+        if (value === null) return '(not declared)';
+        const names = compiler.capabilityNames(value);
+        return `0x${value.toString(16).padStart(8, '0').toUpperCase()} [${names.join(', ') || 'none'}]`;
+    };
+
+    log(`\n${colors.bright}═══ Capability Audit ═══${colors.reset}`);
+    log(`  Declared:     ${mask(audit.declared)}`);
+    log(`  Used:         ${mask(audit.used)}`);
+    log(`  Header:       ${mask(audit.header)}`);
+
+    log(`\n  Declared but unused: ${audit.unused.length > 0 ? audit.unused.join(', ') : '(none)'}`,
+        audit.unused.length > 0 ? 'yellow' : 'reset');
+
+    log(`  Granted but unused:  ${audit.overGranted.length > 0 ? audit.overGranted.join(', ') : '(none)'}`,
+        audit.overGranted.length > 0 ? 'yellow' : 'reset');
+    log(`  Used but undeclared: ${audit.undeclared.length > 0 ? '' : '(none)'}`,
+        audit.undeclared.length > 0 ? 'yellow' : 'reset');
+    for (const cap of audit.undeclared) {
+        log(`  ${cap.name}`, 'yellow');
+        showCapabilitySites(cap.sites);
+    }
+    log('');
+}
+
 function showHelp() {
     log(`
 ${colors.cyan}╔════════════════════════════════════════════════════════════════╗
@@ -65,6 +150,11 @@ ${colors.bright}OPTIONS:${colors.reset}
     -d, --debug            Include debug information in output
     -O, --optimize         Optimize output bytecode
     -c, --caps <caps>      Set required capabilities (hex or comma-separated)
+    --audit-caps           Report declared, used and missing capabilities
+    --strict-caps          Fail if the header mask does not cover API usage
+    --check-errors         Throw when a status-returning API call fails
+    --auto-cleanup         Release resources init() acquires at the end of exit()
+    --diagnostics=<fmt>    Diagnostic format: text (default), json or sarif
     -i, --info             Inspect an existing .akm file
     --dry-run              Parse and validate without generating output
     --emit-ir              Emit intermediate representation
@@ -76,6 +166,8 @@ ${colors.bright}EXAMPLES:${colors.reset}
     akmcc mymodule.js -o custom.akm       # Compile with custom output name
     akmcc driver.akm.js -v -d             # Verbose + debug symbols
     akmcc module.js --caps=0x1F           # Set capabilities mask
+    akmcc module.js --audit-caps          # Review capability usage
+    akmcc module.js --diagnostics=sarif   # SARIF log for code scanning
     akmcc hello.akm --info                # Inspect compiled module
 
 ${colors.bright}CAPABILITIES:${colors.reset}
@@ -103,6 +195,167 @@ function showVersion() {
     log(`Copyright (c) 2024-2026 Aarav Mehta`);
 }
 
+/**
+ * Decode the command table section into records and their hints
+ */
+function readCommandTable(data, offset, size, strtabOffset) {
+    if (size < AKM_FORMAT.CMDTAB_HEADER_SIZE || data.readUInt32LE(offset) !== AKM_FORMAT.CMDTAB_MAGIC) {
+        return null;
+    }
+
+    const string = (at) => {
+        const start = strtabOffset + at;
+        const end = data.indexOf(0, start);
+        return data.toString('utf8', start, end < 0 ? data.length : end);
+    };
+
+    const version = data.readUInt16LE(offset + 4);
+    const entrySize = data.readUInt16LE(offset + 6);
+    const entryCount = data.readUInt16LE(offset + 8);
+    const hintSize = data.readUInt16LE(offset + 10);
+    const hintCount = data.readUInt16LE(offset + 12);
+    const hintsOffset = offset + AKM_FORMAT.CMDTAB_HEADER_SIZE + entryCount * entrySize;
+
+    const hints = [];
+    for (let i = 0; i < hintCount; i++) {
+        const at = hintsOffset + i * hintSize;
+        hints.push({
+            kind: data.readUInt8(at),
+            position: data.readUInt8(at + 1),
+            text: string(data.readUInt32LE(at + 4))
+        });
+    }
+
+    const commands = [];
+    for (let i = 0; i < entryCount; i++) {
+        const at = offset + AKM_FORMAT.CMDTAB_HEADER_SIZE + i * entrySize;
+        const flags = data.readUInt16LE(at + 22);
+        const hintIndex = data.readUInt16LE(at + 32);
+        commands.push({
+            name: string(data.readUInt32LE(at)),
+            syntax: string(data.readUInt32LE(at + 4)),
+            description: string(data.readUInt32LE(at + 8)),
+            category: string(data.readUInt32LE(at + 12)),
+            handler: data.readUInt32LE(at + 16),
+            parent: data.readUInt16LE(at + 20),
+            flags: flags,
+            resource: flags & AKM_FORMAT.CMD_PRIVILEGED ? string(data.readUInt32LE(at + 24)) : null,
+            permission: data.readUInt32LE(at + 28),
+            hints: hints.slice(hintIndex, hintIndex + data.readUInt16LE(at + 34)),
+            aliasOf: data.readUInt16LE(at + 36)
+        });
+    }
+
+    return { version: version, commands: commands, hintCount: hintCount };
+}
+
+/**
+ * Command tree lines for --info: syntax, description, flags, aliases and
+ * completion hints, with subcommands indented under their parent
+ */
+function formatCommands(table) {
+    const lines = [];
+    const kinds = {
+        [AKM_FORMAT.HINT_FILE]: '<file>',
+        [AKM_FORMAT.HINT_DIR]: '<dir>',
+        [AKM_FORMAT.HINT_COMMAND]: '<command>',
+        [AKM_FORMAT.HINT_ENV]: '<env>'
+    };
+
+    const show = (index, depth) => {
+        const cmd = table.commands[index];
+        const indent = '  '.repeat(depth + 1);
+        const tags = [];
+        const aliases = table.commands.filter(c => c.flags & AKM_FORMAT.CMD_ALIAS && c.aliasOf === index);
+        if (aliases.length > 0) tags.push(`aliases: ${aliases.map(c => c.name).join(', ')}`);
+        if (cmd.flags & AKM_FORMAT.CMD_HIDDEN) tags.push('hidden');
+        if (cmd.flags & AKM_FORMAT.CMD_PRIVILEGED) tags.push(`privileged: ${cmd.resource}:${cmd.permission}`);
+
+        lines.push(`${indent}${colors.green}${cmd.syntax || cmd.name}${colors.reset}` +
+            (cmd.description ? `  ${cmd.description}` : '') +
+            (tags.length > 0 ? `  [${tags.join('; ')}]` : ''));
+
+        if (cmd.hints.length > 0) {
+            const groups = new Map();
+            for (const hint of cmd.hints) {
+                const key = hint.kind === AKM_FORMAT.HINT_FLAG ? 'flags'
+                    : hint.position === AKM_FORMAT.HINT_ANY_POSITION ? 'any' : `arg ${hint.position + 1}`;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(kinds[hint.kind] || hint.text);
+            }
+            lines.push(`${indent}    complete: ${[...groups].map(([key, words]) => `${key} ${words.join(' ')}`).join('; ')}`);
+        }
+
+        table.commands.forEach((child, i) => {
+            if (child.parent === index && !(child.flags & AKM_FORMAT.CMD_ALIAS)) show(i, depth + 1);
+        });
+    };
+
+    table.commands.forEach((cmd, i) => {
+        if (cmd.parent === AKM_FORMAT.CMD_NO_PARENT && !(cmd.flags & AKM_FORMAT.CMD_ALIAS)) show(i, 0);
+    });
+
+    return lines.length > 0 ? lines.join('\n') : '  (none)';
+}
+
+/**
+ * Decode the parameter table section, reading each default from the
+ * parameter's .data slot
+ */
+function readParamTable(data, offset, size, strtabOffset, dataOffset) {
+    if (size < AKM_FORMAT.PARAMTAB_HEADER_SIZE || data.readUInt32LE(offset) !== AKM_FORMAT.PARAMTAB_MAGIC) {
+        return null;
+    }
+
+    const string = (base, at) => {
+        const start = base + at;
+        const end = data.indexOf(0, start);
+        return data.toString('utf8', start, end < 0 ? data.length : end);
+    };
+
+    const entrySize = data.readUInt16LE(offset + 6);
+    const entryCount = data.readUInt16LE(offset + 8);
+
+    const params = [];
+    for (let i = 0; i < entryCount; i++) {
+        const at = offset + AKM_FORMAT.PARAMTAB_HEADER_SIZE + i * entrySize;
+        const slot = data.readUInt32LE(at + 8);
+        const type = data.readUInt8(at + 12);
+        const raw = data.readUInt32LE(dataOffset + slot);
+
+        let value;
+        switch (type) {
+            case AKM_FORMAT.PARAM_INT:    value = String(raw | 0); break;
+            case AKM_FORMAT.PARAM_UINT:   value = String(raw); break;
+            case AKM_FORMAT.PARAM_BOOL:   value = raw ? 'true' : 'false'; break;
+            case AKM_FORMAT.PARAM_STRING: value = JSON.stringify(string(dataOffset, raw)); break;
+            default:                      value = `0x${raw.toString(16)}`;
+        }
+
+        params.push({
+            name: string(strtabOffset, data.readUInt32LE(at)),
+            description: string(strtabOffset, data.readUInt32LE(at + 4)),
+            type: ['?', 'int', 'uint', 'bool', 'string'][type] || `type ${type}`,
+            value: value
+        });
+    }
+
+    return { version: data.readUInt16LE(offset + 4), params: params };
+}
+
+/**
+ * Parameter lines for --info: name, type, default and description
+ */
+function formatParams(table) {
+    if (table.params.length === 0) return '  (none)';
+
+    const width = Math.max(...table.params.map(p => `${p.name}: ${p.type}`.length));
+    return table.params.map(p =>
+        `  ${colors.green}${p.name}${colors.reset}: ${p.type}${' '.repeat(width - `${p.name}: ${p.type}`.length)}` +
+        `  = ${p.value}${p.description ? `  ${p.description}` : ''}`
+    ).join('\n');
+}
+
 /**
  * Show information about a compiled .akm file
  */
@@ -150,16 +403,32 @@ function showModuleInfo(filepath) {
     const rodataOffset = data.readUInt32LE(132);
     const rodataSize = data.readUInt32LE(136);
     const bssSize = data.readUInt32LE(140);
+    const reltabOffset = data.readUInt32LE(144);
+    const reltabSize = data.readUInt32LE(148);
+    const cmdtabOffset = data.readUInt32LE(152);
+    const cmdtabSize = data.readUInt32LE(156);
     
     // Entry points
     const initOffset = data.readUInt32LE(164);
     const cleanupOffset = data.readUInt32LE(168);
+
+    // Parameter table
+    const paramtabOffset = data.readUInt32LE(172);
+    const paramtabSize = data.readUInt32LE(176);
     
     // Symbol/string tables
     const symtabOffset = data.readUInt32LE(180);
     const symtabSize = data.readUInt32LE(184);
     const strtabOffset = data.readUInt32LE(188);
     const strtabSize = data.readUInt32LE(192);
+
+    // Command table
+    const cmdtab = cmdtabSize > 0 ? readCommandTable(data, cmdtabOffset, cmdtabSize, strtabOffset) : null;
+    const cmdtabEntries = cmdtab ? `${cmdtab.commands.length} entries, ${cmdtab.hintCount} hints, v${cmdtab.version}` : 'none';
+
+    // Parameter table
+    const paramtab = paramtabSize > 0 ? readParamTable(data, paramtabOffset, paramtabSize, strtabOffset, dataOffset) : null;
+    const paramtabEntries = paramtab ? `${paramtab.params.length} entries, v${paramtab.version}` : 'none';
     
     // Dependencies
     const depCount = data.readUInt8(212);
@@ -244,6 +513,15 @@ ${colors.bright}═══ Entry Points ═══${colors.reset}
 ${colors.bright}═══ Tables ═══${colors.reset}
   Symbol Table:   offset=0x${symtabOffset.toString(16)} size=${symtabSize} bytes
   String Table:   offset=0x${strtabOffset.toString(16)} size=${strtabSize} bytes
+  Relocations:    offset=0x${reltabOffset.toString(16)} size=${reltabSize} bytes (${reltabSize / 8} entries)
+  Commands:       offset=0x${cmdtabOffset.toString(16)} size=${cmdtabSize} bytes (${cmdtabEntries})
+  Parameters:     offset=0x${paramtabOffset.toString(16)} size=${paramtabSize} bytes (${paramtabEntries})
+
+${colors.bright}═══ Commands ═══${colors.reset}
+${cmdtab ? formatCommands(cmdtab) : '  (none)'}
+
+${colors.bright}═══ Parameters ═══${colors.reset}
+${paramtab ? formatParams(paramtab) : '  (none)'}
 
 ${colors.bright}═══ Dependencies ═══${colors.reset}
   Count:          ${depCount}
@@ -267,6 +545,11 @@ function parseArgs(args) {
         dryRun: false,
         emitIR: false,
         capabilities: null,
+        auditCaps: false,
+        strictCaps: false,
+        checkErrors: false,
+        autoCleanup: false,
+        diagnostics: 'text',
         info: false
     };
 
@@ -297,6 +580,20 @@ function parseArgs(args) {
             options.capabilities = arg.split('=')[1];
         } else if (arg === '-c' || arg === '--caps') {
             options.capabilities = args[++i];
+        } else if (arg === '--audit-caps') {
+            options.auditCaps = true;
+        } else if (arg === '--strict-caps') {
+            options.strictCaps = true;
+        } else if (arg === '--check-errors') {
+            options.checkErrors = true;
+        } else if (arg === '--auto-cleanup') {
+            options.autoCleanup = true;
+        } else if (arg.startsWith('--diagnostics=') || arg === '--diagnostics') {
+            options.diagnostics = arg === '--diagnostics' ? args[++i] : arg.split('=')[1];
+            if (!DIAGNOSTIC_FORMATS.includes(options.diagnostics)) {
+                error(`Unknown diagnostics format: ${options.diagnostics} (expected ${DIAGNOSTIC_FORMATS.join(', ')})`);
+                process.exit(1);
+            }
         } else if (!arg.startsWith('-')) {
             options.input = arg;
         } else {
@@ -346,8 +643,33 @@ async function main() {
         }
     }
 
-    // Read input file
+    // Read input file; the files it imports are read while linking
     const sourceCode = fs.readFileSync(options.input, 'utf8');
+    let sources = new Map([[options.input, sourceCode]]);
+
+    // Text diagnostics are printed as they are found; json and sarif ones
+    // are collected and printed as one document on exit
+    const machineReadable = options.diagnostics !== 'text';
+    const diagnostics = [];
+    logToStderr = machineReadable;
+
+    const report = list => {
+        if (machineReadable) {
+            diagnostics.push(...list);
+        } else {
+            showDiagnostics(list, sources);
+        }
+    };
+
+    const finish = code => {
+        if (machineReadable) {
+            const document = options.diagnostics === 'sarif'
+                ? toSARIF(diagnostics, VERSION)
+                : toJSON(diagnostics);
+            process.stdout.write(document + '\n');
+        }
+        process.exit(code);
+    };
 
     if (options.verbose) {
         log(`\n${colors.cyan}═══════════════════════════════════════════════════${colors.reset}`);
@@ -366,24 +688,37 @@ async function main() {
             debug: options.debug,
             optimize: options.optimize,
             verbose: options.verbose,
-            capabilities: options.capabilities
+            capabilities: options.capabilities,
+            strictCaps: options.strictCaps,
+            checkErrors: options.checkErrors,
+            autoCleanup: options.autoCleanup
         });
 
         // Parse source
         if (options.verbose) log('Parsing source...', 'cyan');
         const parseResult = compiler.parse(sourceCode, options.input);
+        sources = parseResult.sources || sources;
+        if (options.verbose && parseResult.files && parseResult.files.length > 1) {
+            log(`Linked: ${parseResult.files.join(', ')}`, 'blue');
+        }
 
+        // Semantic analysis
+        if (options.verbose) log('Analyzing...', 'cyan');
+        compiler.analyze(parseResult);
+
+        report(parseResult.errors.concat(parseResult.warnings));
         if (parseResult.errors.length > 0) {
-            for (const err of parseResult.errors) {
-                error(`${err.file}:${err.line}:${err.column}: ${err.message}`);
-            }
-            process.exit(1);
+            finish(1);
         }
 
-        if (parseResult.warnings.length > 0) {
-            for (const warning of parseResult.warnings) {
-                warn(`${warning.file}:${warning.line}: ${warning.message}`);
-            }
+        // Check the header capability mask against actual usage
+        if (options.auditCaps) {
+            showCapabilityAudit(compiler, compiler.auditCapabilities(parseResult));
+        }
+        const capabilityDiagnostics = compiler.capabilityDiagnostics(parseResult);
+        report(capabilityDiagnostics);
+        if (options.strictCaps && capabilityDiagnostics.length > 0) {
+            finish(1);
         }
 
         // Emit IR if requested
@@ -396,7 +731,7 @@ async function main() {
         // Stop if dry run
         if (options.dryRun) {
             log('Dry run complete - no output generated', 'yellow');
-            process.exit(0);
+            finish(0);
         }
 
         // Generate code
@@ -419,20 +754,29 @@ async function main() {
             log('');
             log(`Code size:  ${compiled.codeSize} bytes`, 'blue');
             log(`Data size:  ${compiled.dataSize} bytes`, 'blue');
+            log(`RO data:    ${compiled.rodataSize} bytes`, 'blue');
             log(`Total size: ${compiled.binary.length} bytes`, 'blue');
-            log(`Commands:   ${compiled.commands.length}`, 'blue');
+            log(`Commands:   ${compiled.commands.filter(cmd => cmd.aliasOf === null).length}`, 'blue');
+            log(`Parameters: ${compiled.params.length}`, 'blue');
             log('');
             log(`Output: ${options.output}`, 'green');
         } else {
             log(`Compiled: ${options.input} -> ${options.output} (${compiled.binary.length} bytes)`);
         }
 
+        finish(0);
     } catch (e) {
-        error(e.message);
+        if (e.diagnostics) {
+            report(e.diagnostics);
+        } else if (machineReadable) {
+            report([createDiagnostic('error', DIAGNOSTICS.INTERNAL_ERROR, options.input, null, e.message)]);
+        } else {
+            error(e.message);
+        }
         if (options.verbose) {
             console.error(e.stack);
         }
-        process.exit(1);
+        finish(1);
     }
 }
 
@@ -0,0 +1,862 @@
+/**
+ * AKMAnalyzer - Semantic Analysis
+ *
+ * Runs between parsing and code generation. Walks every node of the
+ * module, rejects constructs the bytecode cannot express and resolves
+ * identifiers against locals, parameters, globals and functions, so that
+ * nothing is silently compiled to a placeholder value.
+ */
+
+const { API_FUNCTIONS, INTRINSICS, AKM_CONSTANTS } = require('./constants');
+const { AKMConstEval } = require('./consteval');
+const { BINARY_OPS, INT_BUILTINS, UINT32_MAX, builtinName } = require('./int32');
+const { DIAGNOSTICS, createDiagnostic } = require('./diagnostics');
+
+// Readable names for constructs with no bytecode equivalent
+const UNSUPPORTED = {
+    ExportDefaultDeclaration:   'export default',
+    ExportAllDeclaration:       'export *',
+    ClassDeclaration:           'class',
+    ClassExpression:            'class',
+    ForInStatement:             'for...in',
+    ForOfStatement:             'for...of',
+    WithStatement:              'with',
+    DebuggerStatement:          'debugger',
+    ObjectExpression:           'object literal',
+    ArrayExpression:            'array literal',
+    NewExpression:              'new',
+    SpreadElement:              'spread (...)',
+    RestElement:                'rest element (...)',
+    ObjectPattern:              'destructuring',
+    ArrayPattern:               'destructuring',
+    AssignmentPattern:          'default value',
+    ThisExpression:             'this',
+    Super:                      'super',
+    AwaitExpression:            'await',
+    YieldExpression:            'yield',
+    TaggedTemplateExpression:   'tagged template',
+    ChainExpression:            'optional chaining (?.)',
+    ImportExpression:           'import()',
+    MetaProperty:               'import.meta / new.target'
+};
+
+const UNARY_OPS = new Set(['-', '+', '~', '!', 'void']);
+const LOGICAL_OPS = new Set(['&&', '||']);
+
+// Value kinds accepted for each API argument kind (see API_FUNCTIONS)
+const ARGUMENT_KINDS = {
+    int:    ['int'],
+    string: ['string'],
+    buffer: ['int', 'string'],
+    func:   ['func'],
+    any:    ['int', 'string', 'func']
+};
+
+const KIND_NAMES = {
+    int:    'an integer',
+    string: 'a string',
+    buffer: 'a buffer pointer',
+    func:   'a function reference',
+    any:    'any value'
+};
+
+// Top-level calls that declare the module rather than run code
+const DECLARATION_APIS = new Set(['module', 'command', 'struct', 'param']);
+
+class AKMAnalyzer {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    /**
+     * Analyze a parse result, adding errors to parseResult.errors
+     *
+     * An analysis error replaces any error the parser already reported
+     * at the same position of the same file, since it describes the
+     * cause; warnings are kept.
+     */
+    analyze(parseResult) {
+        this.file = parseResult.file;
+        this.errors = [];
+        this.constEval = new AKMConstEval(AKMConstEval.collectBindings(parseResult.ast));
+        this.moduleScope = this.buildModuleScope(parseResult);
+        this.scopes = [];
+        this.func = null;
+
+        for (const node of parseResult.ast.body) {
+            this.analyzeTopLevel(node);
+        }
+
+        const position = d => `${d.file}:${d.line}:${d.column}`;
+        const reported = new Set(this.errors.map(position));
+        parseResult.errors = parseResult.errors.filter(d => !reported.has(position(d))).concat(this.errors);
+        parseResult.analyzed = true;
+
+        return this.errors;
+    }
+
+    /**
+     * Collect module-level names: functions, globals, struct layouts and
+     * constant tables
+     */
+    buildModuleScope(parseResult) {
+        const names = new Map();
+
+        for (const name of Object.keys(parseResult.functions || {})) {
+            names.set(name, { kind: 'function' });
+        }
+        for (const global of parseResult.globals || []) {
+            names.set(global.name, { kind: 'global', isConst: global.isConst, init: global.init });
+        }
+        for (const name of (parseResult.structs || new Map()).keys()) {
+            names.set(name, { kind: 'struct' });
+        }
+        for (const name of (parseResult.tables || new Map()).keys()) {
+            names.set(name, { kind: 'table', isConst: true });
+        }
+
+        return names;
+    }
+
+    // =========================================================================
+    // MODULE LEVEL
+    // =========================================================================
+
+    /**
+     * Check a top-level statement
+     */
+    analyzeTopLevel(node) {
+        switch (node.type) {
+            case 'ExportNamedDeclaration':
+                if (node.source) {
+                    this.error(node, DIAGNOSTICS.UNSUPPORTED_CONSTRUCT, 'Unsupported construct: re-export from another module');
+                } else if (node.declaration) {
+                    this.analyzeTopLevel(node.declaration);
+                } else {
+                    // export { init, exit }
+                    for (const spec of node.specifiers) {
+                        if (!this.moduleScope.has(spec.local.name)) {
+                            this.error(spec.local, DIAGNOSTICS.INVALID_EXPORT, `Exported name '${spec.local.name}' is not declared`);
+                        }
+                    }
+                }
+                break;
+
+            case 'FunctionDeclaration':
+                this.analyzeFunction(node);
+                break;
+
+            case 'VariableDeclaration':
+                for (const decl of node.declarations) {
+                    if (decl.id.type !== 'Identifier') {
+                        this.unsupported(decl.id);
+                    } else if (this.isFunction(decl.init)) {
+                        this.analyzeFunction(decl.init);
+                    } else if (this.isTable(decl.id)) {
+                        // Table contents are checked when laid out
+                    } else if (decl.init && !this.isAKMCall(decl.init, 'struct') && !this.isAKMCall(decl.init, 'param')) {
+                        // Global initializers run at the start of init()
+                        this.analyzeExpression(decl.init);
+                    }
+                }
+                break;
+
+            case 'ExpressionStatement':
+                if (this.isAKMCall(node.expression, 'module')) {
+                    break;
+                }
+                if (this.isAKMCall(node.expression, 'command')) {
+                    this.analyzeCommand(node.expression);
+                    break;
+                }
+                if (this.isAKMCall(node.expression, 'param')) {
+                    this.error(node, DIAGNOSTICS.INVALID_PARAM, 'AKM.param() must be assigned to a const');
+                    break;
+                }
+                this.error(node, DIAGNOSTICS.TOP_LEVEL_CODE, 'Top-level code is never executed; only declarations, ' +
+                    'AKM.module() and AKM.command() are allowed here (move it into init())');
+                break;
+
+            case 'EmptyStatement':
+                break;
+
+            default:
+                if (UNSUPPORTED[node.type]) {
+                    this.unsupported(node);
+                } else {
+                    this.error(node, DIAGNOSTICS.TOP_LEVEL_CODE, `Top-level ${this.describe(node)} is never executed; move it into init()`);
+                }
+        }
+    }
+
+    /**
+     * Check AKM.command(config, handler)
+     */
+    analyzeCommand(node) {
+        this.analyzeCommandHandler(node.arguments[0], node.arguments[1], node);
+    }
+
+    /**
+     * Check a command's handler and, recursively, its subcommands'
+     *
+     * A command with subcommands may leave out its own handler.
+     */
+    analyzeCommandHandler(config, handler, node) {
+        const subcommands = this.property(config, 'subcommands');
+        if (subcommands && subcommands.value.type === 'ArrayExpression') {
+            for (const sub of subcommands.value.elements) {
+                if (!sub || sub.type !== 'ObjectExpression') continue;
+                const prop = this.property(sub, 'handler');
+                this.analyzeCommandHandler(sub, prop ? prop.value : null, sub);
+            }
+        }
+
+        if (!handler) {
+            if (!subcommands) {
+                this.error(node, DIAGNOSTICS.INVALID_HANDLER, 'Command needs a handler or subcommands');
+            }
+            return;
+        }
+
+        if (this.isFunction(handler)) {
+            this.analyzeFunction(handler);
+        } else if (handler.type !== 'Identifier' ||
+                   !this.moduleScope.has(handler.name) ||
+                   this.moduleScope.get(handler.name).kind !== 'function') {
+            this.error(handler, DIAGNOSTICS.INVALID_HANDLER, 'Command handler must be a function name or an inline function');
+        }
+    }
+
+    // =========================================================================
+    // FUNCTIONS AND SCOPES
+    // =========================================================================
+
+    /**
+     * Check a function body in a new frame
+     *
+     * Nested functions are compiled as separate module functions, so
+     * their frames cannot see the enclosing function's locals.
+     */
+    analyzeFunction(node) {
+        if (node.async) this.error(node, DIAGNOSTICS.UNSUPPORTED_CONSTRUCT, 'Unsupported construct: async function');
+        if (node.generator) this.error(node, DIAGNOSTICS.UNSUPPORTED_CONSTRUCT, 'Unsupported construct: generator function');
+
+        const outer = this.func;
+        this.func = node;
+        this.pushScope();
+
+        for (const param of node.params) {
+            if (param.type === 'Identifier') {
+                this.declare(param.name, { kind: 'param' });
+            } else {
+                this.unsupported(param);
+                // Keep the name bound to avoid follow-on errors
+                if (param.type === 'AssignmentPattern' && param.left.type === 'Identifier') {
+                    this.declare(param.left.name, { kind: 'param' });
+                }
+            }
+        }
+
+        if (node.body.type === 'BlockStatement') {
+            this.analyzeStatements(node.body.body);
+        } else {
+            this.analyzeExpression(node.body);
+        }
+
+        this.popScope();
+        this.func = outer;
+    }
+
+    pushScope() {
+        this.scopes.push({ names: new Map(), func: this.func });
+    }
+
+    popScope() {
+        this.scopes.pop();
+    }
+
+    declare(name, binding) {
+        this.scopes[this.scopes.length - 1].names.set(name, binding);
+    }
+
+    /**
+     * Resolve a name: innermost scope first, then module level
+     *
+     * Returns the binding with `captured` set when it belongs to an
+     * enclosing function, or null when the name is not declared.
+     */
+    resolve(name) {
+        for (let i = this.scopes.length - 1; i >= 0; i--) {
+            const scope = this.scopes[i];
+            if (scope.names.has(name)) {
+                const binding = scope.names.get(name);
+                return Object.assign({ captured: scope.func !== this.func }, binding);
+            }
+        }
+        return this.moduleScope.get(name) || null;
+    }
+
+    /**
+     * True when a local or parameter hides a module-level name
+     */
+    isLocal(name) {
+        const binding = this.resolve(name);
+        return !!binding && (binding.kind === 'local' || binding.kind === 'param');
+    }
+
+    // =========================================================================
+    // STATEMENTS
+    // =========================================================================
+
+    analyzeStatements(statements) {
+        for (const stmt of statements) {
+            this.analyzeStatement(stmt);
+        }
+    }
+
+    analyzeStatement(node) {
+        switch (node.type) {
+            case 'BlockStatement':
+                this.pushScope();
+                this.analyzeStatements(node.body);
+                this.popScope();
+                break;
+
+            case 'ExpressionStatement':
+                this.analyzeExpression(node.expression);
+                break;
+
+            case 'VariableDeclaration':
+                this.analyzeDeclaration(node);
+                break;
+
+            case 'ReturnStatement':
+                if (node.argument) this.analyzeExpression(node.argument);
+                break;
+
+            case 'IfStatement':
+                this.analyzeExpression(node.test);
+                this.analyzeStatement(node.consequent);
+                if (node.alternate) this.analyzeStatement(node.alternate);
+                break;
+
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+                this.analyzeExpression(node.test);
+                this.analyzeStatement(node.body);
+                break;
+
+            case 'ForStatement':
+                this.pushScope();
+                if (node.init) {
+                    if (node.init.type === 'VariableDeclaration') {
+                        this.analyzeDeclaration(node.init);
+                    } else {
+                        this.analyzeExpression(node.init);
+                    }
+                }
+                if (node.test) this.analyzeExpression(node.test);
+                if (node.update) this.analyzeExpression(node.update);
+                this.analyzeStatement(node.body);
+                this.popScope();
+                break;
+
+            case 'SwitchStatement':
+                this.analyzeExpression(node.discriminant);
+                this.pushScope();
+                for (const c of node.cases) {
+                    if (c.test) this.analyzeExpression(c.test);
+                    this.analyzeStatements(c.consequent);
+                }
+                this.popScope();
+                break;
+
+            case 'LabeledStatement':
+                this.analyzeStatement(node.body);
+                break;
+
+            case 'FunctionDeclaration':
+                this.analyzeFunction(node);
+                break;
+
+            case 'TryStatement':
+                this.analyzeStatement(node.block);
+                if (node.handler) {
+                    this.pushScope();
+                    if (node.handler.param && node.handler.param.type !== 'Identifier') {
+                        this.unsupported(node.handler.param);
+                    } else if (node.handler.param) {
+                        this.declare(node.handler.param.name, { kind: 'local', isConst: false, valueKind: 'int' });
+                    }
+                    this.analyzeStatement(node.handler.body);
+                    this.popScope();
+                }
+                if (node.finalizer) this.analyzeStatement(node.finalizer);
+                break;
+
+            case 'ThrowStatement':
+                this.analyzeExpression(node.argument);
+                if (this.expressionKind(node.argument) === 'string') {
+                    this.error(node.argument, DIAGNOSTICS.INVALID_THROW, 'throw takes an integer error code, got a string');
+                }
+                break;
+
+            case 'BreakStatement':
+            case 'ContinueStatement':
+            case 'EmptyStatement':
+                break;
+
+            default:
+                this.unsupported(node);
+        }
+    }
+
+    /**
+     * let/const/var: initializers are checked before the name is bound,
+     * and may not refer to the variable being declared
+     */
+    analyzeDeclaration(node) {
+        for (const decl of node.declarations) {
+            if (decl.id.type !== 'Identifier') {
+                this.unsupported(decl.id);
+                continue;
+            }
+
+            const name = decl.id.name;
+            if (this.isFunction(decl.init)) {
+                // Hoisted to a module function of the same name
+                this.analyzeFunction(decl.init);
+                continue;
+            }
+
+            if (decl.init) {
+                this.declaring = name;
+                this.analyzeExpression(decl.init);
+                this.declaring = null;
+            }
+            this.declare(name, {
+                kind: 'local',
+                isConst: node.kind === 'const',
+                valueKind: decl.init ? this.expressionKind(decl.init) : null
+            });
+        }
+    }
+
+    // =========================================================================
+    // EXPRESSIONS
+    // =========================================================================
+
+    analyzeExpression(node) {
+        // Anything with a compile-time value is emitted as a single push
+        if (node.type !== 'Literal' &&
+            this.constEval.evaluate(node, name => this.isLocal(name)) !== undefined) {
+            return;
+        }
+
+        switch (node.type) {
+            case 'Literal':
+                if (node.regex) {
+                    this.error(node, DIAGNOSTICS.UNSUPPORTED_CONSTRUCT, 'Unsupported construct: regular expression');
+                } else if (node.bigint !== undefined) {
+                    this.error(node, DIAGNOSTICS.UNSUPPORTED_CONSTRUCT, 'Unsupported construct: BigInt literal');
+                } else if (typeof node.value === 'number' && node.value > UINT32_MAX) {
+                    this.error(node, DIAGNOSTICS.INTEGER_OVERFLOW, `Integer literal ${node.raw} does not fit in 32 bits`);
+                }
+                break;
+
+            case 'Identifier':
+                this.analyzeIdentifier(node);
+                break;
+
+            case 'TemplateLiteral':
+                node.expressions.forEach(e => this.analyzeExpression(e));
+                break;
+
+            case 'MemberExpression':
+                this.analyzeMember(node);
+                break;
+
+            case 'BinaryExpression':
+                if (BINARY_OPS[node.operator] === undefined) {
+                    this.error(node, DIAGNOSTICS.UNSUPPORTED_OPERATOR, `Unsupported operator '${node.operator}'`);
+                }
+                this.analyzeExpression(node.left);
+                this.analyzeExpression(node.right);
+                break;
+
+            case 'LogicalExpression':
+                if (!LOGICAL_OPS.has(node.operator)) {
+                    this.error(node, DIAGNOSTICS.UNSUPPORTED_OPERATOR, `Unsupported operator '${node.operator}'`);
+                }
+                this.analyzeExpression(node.left);
+                this.analyzeExpression(node.right);
+                break;
+
+            case 'UnaryExpression':
+                if (!UNARY_OPS.has(node.operator)) {
+                    this.error(node, DIAGNOSTICS.UNSUPPORTED_OPERATOR, `Unsupported operator '${node.operator}'`);
+                }
+                this.analyzeExpression(node.argument);
+                break;
+
+            case 'UpdateExpression':
+                this.analyzeTarget(node.argument);
+                break;
+
+            case 'AssignmentExpression':
+                if (node.operator !== '=' &&
+                    BINARY_OPS[node.operator.slice(0, -1)] === undefined) {
+                    this.error(node, DIAGNOSTICS.UNSUPPORTED_OPERATOR, `Unsupported operator '${node.operator}'`);
+                }
+                this.analyzeTarget(node.left);
+                this.analyzeExpression(node.right);
+                break;
+
+            case 'ConditionalExpression':
+                this.analyzeExpression(node.test);
+                this.analyzeExpression(node.consequent);
+                this.analyzeExpression(node.alternate);
+                break;
+
+            case 'SequenceExpression':
+                node.expressions.forEach(e => this.analyzeExpression(e));
+                break;
+
+            case 'CallExpression':
+                this.analyzeCall(node);
+                break;
+
+            case 'ArrowFunctionExpression':
+            case 'FunctionExpression':
+                if (node.akmName) {
+                    this.analyzeFunction(node);
+                } else {
+                    this.error(node, DIAGNOSTICS.INLINE_FUNCTION, 'Inline functions are only supported as callbacks ' +
+                        '(AKM.command, registerIRQ, createTimer, spawn); declare a named function');
+                }
+                break;
+
+            default:
+                this.unsupported(node);
+        }
+    }
+
+    /**
+     * A name used as a value
+     */
+    analyzeIdentifier(node) {
+        const name = node.name;
+
+        if (name === this.declaring) {
+            this.error(node, DIAGNOSTICS.SELF_REFERENCE, `'${name}' is used in its own initializer`);
+            return;
+        }
+
+        const binding = this.resolve(name);
+        if (!binding) {
+            if (name === 'AKM') {
+                this.error(node, DIAGNOSTICS.AKM_MEMBER, 'AKM can only be used to call APIs or read constants');
+            } else if (name !== 'undefined') {
+                this.error(node, DIAGNOSTICS.UNDEFINED_NAME, `'${name}' is not defined`);
+            }
+            return;
+        }
+
+        if (binding.captured) {
+            this.error(node, DIAGNOSTICS.CLOSURE_CAPTURE, `'${name}' belongs to an enclosing function; ` +
+                'closures are not supported (pass it as an argument or use a global)');
+        } else if (binding.kind === 'struct') {
+            this.error(node, DIAGNOSTICS.STRUCT_USAGE, `Struct layout '${name}' can only be used as ${name}.at(ptr) or ${name}.size`);
+        }
+    }
+
+    /**
+     * Property access: AKM constants, Struct.size, fields and .length
+     */
+    analyzeMember(node) {
+        const object = node.object;
+
+        if (this.isAKM(object)) {
+            const name = node.computed ? '[...]' : node.property.name;
+            if (AKM_CONSTANTS[name]) {
+                this.error(node, DIAGNOSTICS.AKM_MEMBER, `AKM.${name} is a constant table; use AKM.${name}.NAME`);
+            } else if (API_FUNCTIONS[name] || INTRINSICS[name]) {
+                this.error(node, DIAGNOSTICS.AKM_MEMBER, `AKM.${name} must be called`);
+            } else {
+                this.error(node, DIAGNOSTICS.AKM_MEMBER, `Unknown AKM member 'AKM.${name}'`);
+            }
+            return;
+        }
+
+        if (object.type === 'MemberExpression' && this.isAKM(object.object) &&
+            !object.computed && AKM_CONSTANTS[object.property.name]) {
+            const name = node.computed ? '[...]' : node.property.name;
+            this.error(node, DIAGNOSTICS.AKM_MEMBER, `Unknown constant AKM.${object.property.name}.${name}`);
+            return;
+        }
+
+        if (this.isStructName(object)) {
+            if (node.computed || node.property.name !== 'size') {
+                this.error(node, DIAGNOSTICS.STRUCT_USAGE, `Struct layout '${object.name}' only provides .at(ptr) and .size`);
+            }
+            return;
+        }
+
+        // Struct fields and string .length are typed during lowering
+        this.analyzeExpression(object);
+        if (node.computed) this.analyzeExpression(node.property);
+    }
+
+    /**
+     * Assignment and ++/-- targets
+     */
+    analyzeTarget(node) {
+        if (node.type === 'MemberExpression') {
+            this.analyzeMember(node);
+            return;
+        }
+
+        if (node.type !== 'Identifier') {
+            if (UNSUPPORTED[node.type]) {
+                this.unsupported(node);
+            } else {
+                this.error(node, DIAGNOSTICS.INVALID_ASSIGNMENT, `Cannot assign to ${this.describe(node)}`);
+            }
+            return;
+        }
+
+        const binding = this.resolve(node.name);
+        if (!binding) {
+            this.error(node, DIAGNOSTICS.UNDEFINED_NAME, `'${node.name}' is not defined`);
+        } else if (binding.captured) {
+            this.analyzeIdentifier(node);
+        } else if (binding.kind === 'function' || binding.kind === 'struct') {
+            this.error(node, DIAGNOSTICS.INVALID_ASSIGNMENT, `Cannot assign to '${node.name}': not a variable`);
+        } else if (binding.isConst) {
+            this.error(node, DIAGNOSTICS.INVALID_ASSIGNMENT, `Cannot assign to const '${node.name}'`);
+        }
+    }
+
+    /**
+     * Calls: AKM APIs, module functions, Struct.at(), toString(), String()
+     * and the integer builtins
+     */
+    analyzeCall(node) {
+        const callee = node.callee;
+
+        if (node.optional) {
+            this.error(node, DIAGNOSTICS.UNSUPPORTED_CONSTRUCT, 'Unsupported construct: optional call (?.)');
+        }
+
+        if (callee.type === 'MemberExpression' && this.isAKM(callee.object) && !callee.computed) {
+            const method = callee.property.name;
+            const api = API_FUNCTIONS[method] || INTRINSICS[method];
+            if (DECLARATION_APIS.has(method)) {
+                this.error(node, DIAGNOSTICS.MISPLACED_DECLARATION, `AKM.${method}() is a declaration and must be used at top level`);
+            } else if (!api) {
+                this.error(node, DIAGNOSTICS.UNKNOWN_API, `Unknown API method: AKM.${method}`);
+            } else {
+                this.checkArguments(node, `AKM.${method}`, api.args);
+            }
+        } else if (callee.type === 'MemberExpression' && !callee.computed &&
+                   this.isStructName(callee.object)) {
+            if (callee.property.name !== 'at') {
+                this.error(node, DIAGNOSTICS.STRUCT_USAGE, `Struct layout '${callee.object.name}' only provides .at(ptr) and .size`);
+            }
+        } else if (callee.type === 'MemberExpression' && !callee.computed &&
+                   callee.property.name === 'toString') {
+            this.analyzeExpression(callee.object);
+        } else if (this.isBuiltinCall(node)) {
+            const name = builtinName(callee);
+            this.checkArguments(node, `${name}()`, INT_BUILTINS[name]);
+        } else if (callee.type === 'Identifier') {
+            const binding = this.resolve(callee.name);
+            if (callee.name === 'String' && !binding) {
+                // String(value)
+            } else if (!binding) {
+                this.error(node, DIAGNOSTICS.UNDEFINED_FUNCTION, `Call to undefined function '${callee.name}'`);
+            } else if (binding.kind !== 'function') {
+                this.error(node, DIAGNOSTICS.INVALID_CALL, `Indirect call through '${callee.name}' is not supported`);
+            }
+        } else if (callee.type === 'MemberExpression') {
+            this.error(node, DIAGNOSTICS.INVALID_CALL, 'Method calls are not supported; only AKM.*(), Struct.at(), Math.imul() and toString()');
+        } else {
+            this.error(node, DIAGNOSTICS.INVALID_CALL, `Unsupported call target: ${this.describe(callee)}`);
+        }
+
+        for (const arg of node.arguments) {
+            this.analyzeExpression(arg);
+        }
+    }
+
+    // =========================================================================
+    // API ARGUMENTS
+    // =========================================================================
+
+    /**
+     * Check argument count and kinds against an API signature
+     *
+     * Only kinds known at compile time are checked; a value whose kind
+     * cannot be inferred (a parameter, a pointer from malloc, ...) passes.
+     */
+    checkArguments(node, name, kinds) {
+        const variadic = kinds.length > 0 && kinds[kinds.length - 1].endsWith('...');
+        const fixed = variadic ? kinds.length - 1 : kinds.length;
+        const required = kinds.slice(0, fixed).filter(k => !k.endsWith('?')).length;
+        const count = node.arguments.length;
+
+        if (count < required || (!variadic && count > kinds.length)) {
+            const expected = variadic ? `at least ${required}`
+                : required === kinds.length ? `${required}` : `${required}-${kinds.length}`;
+            this.error(node, DIAGNOSTICS.API_ARITY, `${name} expects ${expected} argument(s), got ${count}`);
+            return;
+        }
+
+        node.arguments.forEach((arg, i) => {
+            const expected = kinds[Math.min(i, kinds.length - 1)].replace(/\?|\.\.\.$/, '');
+            const actual = this.expressionKind(arg);
+            if (!actual || ARGUMENT_KINDS[expected].includes(actual)) return;
+
+            this.error(arg, DIAGNOSTICS.API_ARGUMENT, `Argument ${i + 1} of ${name} must be ${KIND_NAMES[expected]}, ` +
+                `got ${KIND_NAMES[actual]}`);
+        });
+    }
+
+    /**
+     * Infer what kind of value an expression produces
+     *
+     * @returns {string|null} 'int', 'string', 'func', or null if unknown
+     */
+    expressionKind(node, visiting = new Set()) {
+        const value = this.constEval.evaluate(node, name => this.isLocal(name));
+        if (typeof value === 'string') return 'string';
+        if (typeof value === 'number' || typeof value === 'boolean') return 'int';
+        if (value !== undefined) return null;
+
+        switch (node.type) {
+            case 'TemplateLiteral':
+                return 'string';
+
+            case 'ArrowFunctionExpression':
+            case 'FunctionExpression':
+                return 'func';
+
+            case 'Identifier': {
+                const binding = this.resolve(node.name);
+                if (!binding || binding.captured) return null;
+                if (binding.kind === 'function') return 'func';
+                if (binding.kind === 'local') return binding.valueKind || null;
+                if (binding.kind === 'global' && binding.init && !visiting.has(node.name)) {
+                    visiting.add(node.name);
+                    return this.expressionKind(binding.init, visiting);
+                }
+                return null;
+            }
+
+            case 'BinaryExpression':
+                if (node.operator === '+' &&
+                    (this.expressionKind(node.left, visiting) === 'string' ||
+                     this.expressionKind(node.right, visiting) === 'string')) {
+                    return 'string';
+                }
+                return 'int';
+
+            case 'UnaryExpression':
+            case 'UpdateExpression':
+                return 'int';
+
+            case 'ConditionalExpression': {
+                const consequent = this.expressionKind(node.consequent, visiting);
+                return consequent === this.expressionKind(node.alternate, visiting) ? consequent : null;
+            }
+
+            case 'CallExpression': {
+                const callee = node.callee;
+                if (callee.type === 'Identifier' && callee.name === 'String' && !this.resolve('String')) {
+                    return 'string';
+                }
+                if (this.isBuiltinCall(node)) return 'int';
+                if (callee.type === 'MemberExpression' && !callee.computed) {
+                    if (callee.property.name === 'toString') return 'string';
+                    if (this.isAKM(callee.object)) {
+                        const api = API_FUNCTIONS[callee.property.name];
+                        return api && api.returns === 'string' ? 'string' : null;
+                    }
+                }
+                return null;
+            }
+        }
+
+        return null;
+    }
+
+    // =========================================================================
+    // HELPERS
+    // =========================================================================
+
+    /**
+     * The property of an object literal with the given key, if any
+     */
+    property(node, key) {
+        if (!node || node.type !== 'ObjectExpression') return null;
+        return node.properties.find(p => p.type === 'Property' && (p.key.name || p.key.value) === key) || null;
+    }
+
+    /**
+     * u32(), i32() or Math.imul() not shadowed by a declaration
+     */
+    isBuiltinCall(node) {
+        const name = builtinName(node.callee);
+        return !!name && !this.resolve(name.split('.')[0]);
+    }
+
+    isFunction(node) {
+        return !!node &&
+            (node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression');
+    }
+
+    isAKM(node) {
+        return node.type === 'Identifier' && node.name === 'AKM' && !this.resolve('AKM');
+    }
+
+    isAKMCall(node, method) {
+        return !!node &&
+            node.type === 'CallExpression' &&
+            node.callee.type === 'MemberExpression' &&
+            this.isAKM(node.callee.object) &&
+            node.callee.property.name === method;
+    }
+
+    isTable(node) {
+        if (node.type !== 'Identifier') return false;
+        const binding = this.resolve(node.name);
+        return !!binding && binding.kind === 'table';
+    }
+
+    isStructName(node) {
+        if (node.type !== 'Identifier') return false;
+        const binding = this.resolve(node.name);
+        return !!binding && binding.kind === 'struct';
+    }
+
+    /**
+     * Human-readable name for a node type ("IfStatement" -> "if statement")
+     */
+    describe(node) {
+        if (UNSUPPORTED[node.type]) return UNSUPPORTED[node.type];
+        return node.type
+            .replace(/(Statement|Expression|Declaration)$/, ' $1')
+            .replace(/^[A-Z]/, c => c.toLowerCase())
+            .toLowerCase();
+    }
+
+    unsupported(node) {
+        this.error(node, DIAGNOSTICS.UNSUPPORTED_CONSTRUCT, `Unsupported construct: ${this.describe(node)}`);
+    }
+
+    error(node, diag, message) {
+        this.errors.push(createDiagnostic('error', diag, this.file, node, message));
+    }
+}
+
+module.exports = { AKMAnalyzer };
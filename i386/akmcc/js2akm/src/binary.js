@@ -19,6 +19,7 @@ class AKMBinaryWriter {
     write(codegenResult, moduleInfo) {
         const code = codegenResult.code;
         const data = codegenResult.data;
+        const rodata = codegenResult.rodata || Buffer.alloc(0);
 
         // Build symbol table
         const symtab = this.buildSymbolTable(codegenResult);
@@ -26,17 +27,32 @@ class AKMBinaryWriter {
         // Build string table
         const strtab = this.buildStringTable(codegenResult.strings);
 
+        // Build relocation table
+        const reltab = this.buildRelocationTable(codegenResult.relocations || []);
+
+        // Command and parameter tables, built by the code generator
+        const cmdtab = codegenResult.cmdtab || Buffer.alloc(0);
+        const paramtab = codegenResult.paramtab || Buffer.alloc(0);
+
         // Calculate section offsets (header is 512 bytes)
         const headerSize = 512;
         const codeOffset = headerSize;
         const codeSize = code.length;
         const dataOffset = codeOffset + codeSize;
         const dataSize = data.length;
-        const symtabOffset = dataOffset + dataSize;
+        const rodataOffset = dataOffset + dataSize;
+        const rodataSize = rodata.length;
+        const symtabOffset = rodataOffset + rodataSize;
         const symtabSize = symtab.length;
         const strtabOffset = symtabOffset + symtabSize;
         const strtabSize = strtab.length;
-        const totalSize = strtabOffset + strtabSize;
+        const reltabOffset = strtabOffset + strtabSize;
+        const reltabSize = reltab.length;
+        const cmdtabOffset = reltabOffset + reltabSize;
+        const cmdtabSize = cmdtab.length;
+        const paramtabOffset = cmdtabOffset + cmdtabSize;
+        const paramtabSize = paramtab.length;
+        const totalSize = paramtabOffset + paramtabSize;
 
         // Create header buffer (512 bytes)
         const headerBuf = Buffer.alloc(512);
@@ -129,19 +145,35 @@ class AKMBinaryWriter {
         offset += 4;
 
         // rodata_offset (4 bytes)
-        headerBuf.writeUInt32LE(0, offset);
+        headerBuf.writeUInt32LE(rodataSize > 0 ? rodataOffset : 0, offset);
         offset += 4;
 
         // rodata_size (4 bytes)
-        headerBuf.writeUInt32LE(0, offset);
+        headerBuf.writeUInt32LE(rodataSize, offset);
         offset += 4;
 
         // bss_size (4 bytes)
-        headerBuf.writeUInt32LE(0, offset);
+        headerBuf.writeUInt32LE(codegenResult.bssSize || 0, offset);
+        offset += 4;
+
+        // reltab_offset (4 bytes) - reserved3[0]
+        headerBuf.writeUInt32LE(reltabSize > 0 ? reltabOffset : 0, offset);
         offset += 4;
 
-        // reserved3[5] (20 bytes)
-        offset += 20;
+        // reltab_size (4 bytes) - reserved3[1]
+        headerBuf.writeUInt32LE(reltabSize, offset);
+        offset += 4;
+
+        // cmdtab_offset (4 bytes) - reserved3[2]
+        headerBuf.writeUInt32LE(cmdtabSize > 0 ? cmdtabOffset : 0, offset);
+        offset += 4;
+
+        // cmdtab_size (4 bytes) - reserved3[3]
+        headerBuf.writeUInt32LE(cmdtabSize, offset);
+        offset += 4;
+
+        // reserved3[4] (4 bytes)
+        offset += 4;
 
         // === Entry points (16 bytes) ===
         // Starting at offset 164
@@ -154,8 +186,13 @@ class AKMBinaryWriter {
         headerBuf.writeUInt32LE(codegenResult.exitOffset, offset);
         offset += 4;
 
-        // reserved4[2] (8 bytes)
-        offset += 8;
+        // paramtab_offset (4 bytes) - reserved4[0]
+        headerBuf.writeUInt32LE(paramtabSize > 0 ? paramtabOffset : 0, offset);
+        offset += 4;
+
+        // paramtab_size (4 bytes) - reserved4[1]
+        headerBuf.writeUInt32LE(paramtabSize, offset);
+        offset += 4;
 
         // === Symbol/string tables (32 bytes) ===
         // Starting at offset 180
@@ -218,7 +255,7 @@ class AKMBinaryWriter {
 
         // content_checksum (4 bytes)
         const contentChecksum = this.calculateChecksum(
-            Buffer.concat([code, data, symtab, strtab])
+            Buffer.concat([code, data, rodata, symtab, strtab, reltab, cmdtab, paramtab])
         );
         headerBuf.writeUInt32LE(contentChecksum, offset);
         offset += 4;
@@ -242,7 +279,7 @@ class AKMBinaryWriter {
         headerBuf.writeUInt32LE(headerChecksum, checksumOffset);
 
         // Concatenate all sections
-        return Buffer.concat([headerBuf, code, data, symtab, strtab]);
+        return Buffer.concat([headerBuf, code, data, rodata, symtab, strtab, reltab, cmdtab, paramtab]);
     }
 
     /**
@@ -258,20 +295,56 @@ class AKMBinaryWriter {
      */
     buildSymbolTable(codegenResult) {
         const entries = [];
-        const { functions } = codegenResult;
+        const { functions, globals = [] } = codegenResult;
 
+        // Symbol names point into the string table
+        const nameOffsets = new Map();
         let nameOffset = 0;
+        for (const str of codegenResult.strings) {
+            if (!nameOffsets.has(str)) nameOffsets.set(str, nameOffset);
+            nameOffset += Buffer.byteLength(str, 'utf8') + 1;
+        }
+
         for (const [name, offset] of functions) {
             const entry = Buffer.alloc(12);
-            entry.writeUInt32LE(nameOffset, 0);      // Name offset
+            entry.writeUInt32LE(nameOffsets.get(name) || 0, 0);  // Name offset
             entry.writeUInt32LE(offset, 4);          // Value
             entry.writeUInt16LE(0, 8);               // Size (unknown)
             entry.writeUInt8(AKM_FORMAT.SYM_FUNC, 10);  // Type
             entry.writeUInt8(AKM_FORMAT.BIND_GLOBAL, 11); // Binding
             entries.push(entry);
-            nameOffset += name.length + 1;
         }
 
+        // Globals: value is the offset from the start of the data section
+        for (const global of globals) {
+            const entry = Buffer.alloc(12);
+            entry.writeUInt32LE(nameOffsets.get(global.name) || 0, 0);
+            entry.writeUInt32LE(global.offset, 4);
+            entry.writeUInt16LE(global.size, 8);
+            entry.writeUInt8(AKM_FORMAT.SYM_DATA, 10);
+            entry.writeUInt8(global.isExport ? AKM_FORMAT.BIND_GLOBAL : AKM_FORMAT.BIND_LOCAL, 11);
+            entries.push(entry);
+        }
+
+        return Buffer.concat(entries);
+    }
+
+    /**
+     * Build relocation table
+     *
+     * Each 8-byte entry names a 32-bit slot the loader must rebase:
+     * offset (4) within the section, section type (1), relocation type (1),
+     * reserved (2).
+     */
+    buildRelocationTable(relocations) {
+        const entries = relocations.map(reloc => {
+            const entry = Buffer.alloc(AKM_FORMAT.RELOC_ENTRY_SIZE);
+            entry.writeUInt32LE(reloc.offset, 0);
+            entry.writeUInt8(reloc.section, 4);
+            entry.writeUInt8(reloc.type, 5);
+            return entry;
+        });
+
         return Buffer.concat(entries);
     }
 
@@ -0,0 +1,396 @@
+/**
+ * AKMCleanup - Resource Cleanup Tracking
+ *
+ * Matches the kernel resources init() acquires against the ones exit()
+ * releases, using the `release` and `handle` entries of the API catalogue:
+ *
+ *   timer = AKM.createTimer(100, tick);    // handle: 'result'
+ *   AKM.registerIRQ(IRQ, onIRQ);           // handle: 0 (first argument)
+ *
+ * A resource is tracked when its handle is a module variable or a
+ * constant; functions init() and exit() call are followed. Whatever exit()
+ * does not release is reported, or with autoCleanup released in a finally
+ * block wrapped around the body of exit(), in reverse order of acquisition.
+ *
+ * Module functions that return a handle (ringCreate) acquire it for their
+ * caller, and ones that release a parameter (ringFree) release it for
+ * theirs. A handle kept anywhere else, such as a struct field or a local
+ * its function does not release, is reported as untracked.
+ */
+
+const acorn = require('acorn');
+const { API_FUNCTIONS } = require('./constants');
+const { DIAGNOSTICS } = require('./diagnostics');
+
+// APIs that release a resource
+const RELEASES = new Set(Object.values(API_FUNCTIONS).map(api => api.release).filter(Boolean));
+
+class AKMCleanup {
+    constructor(parser) {
+        this.parser = parser;
+    }
+
+    /**
+     * Report (or, with autoCleanup, release in exit) every tracked resource
+     * exit() leaves behind
+     */
+    check(functions, globals, options = {}) {
+        if (!functions.init || !functions.exit) return;
+
+        const globalNames = new Set(globals.map(g => g.name));
+        const released = this.releases(functions, globalNames);
+
+        // Each handle counts once, however often it is acquired
+        const missing = [];
+        for (const res of this.acquisitions(functions, globals, globalNames)) {
+            const id = `${res.release}:${res.key}`;
+            if (released.has(id)) continue;
+            released.add(id);
+            missing.push(res);
+        }
+        if (missing.length === 0) return;
+
+        // A local of exit() with a handle's name would hide the module variable
+        const exitNode = functions.exit.node;
+        const hidden = this.localNames(exitNode);
+        const generated = options.autoCleanup ? missing.filter(res => !hidden.has(res.global)) : [];
+
+        for (const res of missing.filter(r => !generated.includes(r))) {
+            this.parser.warn(res.node, DIAGNOSTICS.RESOURCE_LEAK,
+                `${res.what} in init() is not released by exit(); call AKM.${res.release}(${res.text})`);
+        }
+        if (generated.length > 0) {
+            this.appendCleanup(exitNode, generated.reverse(), options.checkErrors);
+        }
+    }
+
+    /**
+     * Tracked acquisitions in the order init() performs them: dynamic
+     * global initializers first, then the body of init() and its callees
+     */
+    acquisitions(functions, globals, globalNames) {
+        const found = [];
+        const visited = new Set(['init']);
+        const initBody = functions.init.node.body;
+
+        const scan = (root, locals) => this.visit(root, (node, parent) => {
+            const callee = this.calledFunction(node, functions, locals);
+            if (callee && !visited.has(callee)) {
+                visited.add(callee);
+                const fn = functions[callee].node;
+                scan(fn.body, this.localNames(fn));
+            }
+
+            const api = this.apiName(node);
+            const info = api && API_FUNCTIONS[api];
+            if (info && info.release && info.handle !== 'result') {
+                const arg = node.arguments[info.handle];
+                const key = this.handleKey(arg, locals, globalNames);
+                if (key) {
+                    found.push(this.resource(node, `AKM.${api}`, info, key));
+                } else if (!this.releasesLocal(root, info.release, arg, functions, locals)) {
+                    this.parser.warn(node, DIAGNOSTICS.RESOURCE_LEAK,
+                        `The handle of AKM.${api} is neither a module variable nor a constant, so exit() cannot be checked to release it`);
+                }
+                return;
+            }
+
+            const acquired = this.acquiredHandle(node, functions, locals);
+            if (!acquired) return;
+
+            const what = api ? `AKM.${api}` : `${callee}()`;
+            const target = this.resultTarget(node, parent);
+            if (target === null) {
+                this.parser.warn(node, DIAGNOSTICS.RESOURCE_LEAK,
+                    `Result of ${what} is discarded, so exit() cannot release it`);
+            } else if (target && !locals.has(target) && globalNames.has(target)) {
+                found.push(this.resource(node, what, API_FUNCTIONS[acquired], { key: `global:${target}`, global: target }));
+            } else {
+                // A handle a helper returns is checked at its caller
+                const local = target && locals.has(target) ? { type: 'Identifier', name: target } : null;
+                const returned = root !== initBody &&
+                    (parent.type === 'ReturnStatement' || (local && this.returnsLocal(root, target)));
+                const handled = returned ||
+                    (local && this.releasesLocal(root, API_FUNCTIONS[acquired].release, local, functions, locals));
+                if (!handled) {
+                    this.parser.warn(node, DIAGNOSTICS.RESOURCE_LEAK,
+                        `Result of ${what} is not kept in a module variable, so exit() cannot be checked to release it`);
+                }
+            }
+        });
+
+        for (const global of globals) {
+            if (global.init) scan(global.declarator, new Set());
+        }
+        scan(initBody, this.localNames(functions.init.node));
+
+        return found;
+    }
+
+    /**
+     * `api:key` for every release exit() and its callees perform
+     */
+    releases(functions, globalNames) {
+        const released = new Set();
+        const visited = new Set(['exit']);
+
+        const scan = (root, locals) => this.visit(root, (node) => {
+            const callee = this.calledFunction(node, functions, locals);
+            if (callee && !visited.has(callee)) {
+                visited.add(callee);
+                const fn = functions[callee].node;
+                scan(fn.body, this.localNames(fn));
+            }
+
+            for (const { release, arg } of this.releasedArgs(node, functions, locals)) {
+                const key = this.handleKey(arg, locals, globalNames);
+                if (key) released.add(`${release}:${key.key}`);
+            }
+        });
+
+        scan(functions.exit.node.body, this.localNames(functions.exit.node));
+        return released;
+    }
+
+    /**
+     * Acquiring API whose handle a call returns: an AKM call, or a module
+     * function returning the handle of one
+     */
+    acquiredHandle(node, functions, locals, visiting = new Set()) {
+        const api = this.apiName(node);
+        if (api) {
+            const info = API_FUNCTIONS[api];
+            return info && info.release && info.handle === 'result' ? api : null;
+        }
+        const callee = this.calledFunction(node, functions, locals);
+        return callee ? this.returnedHandle(callee, functions, visiting) : null;
+    }
+
+    /**
+     * Acquiring API whose result a module function returns, if any
+     */
+    returnedHandle(name, functions, visiting = new Set()) {
+        if (visiting.has(name)) return null;
+        visiting.add(name);
+
+        const fn = functions[name].node;
+        const locals = this.localNames(fn);
+        const held = new Map();
+        let returned = null;
+
+        this.visit(fn.body, (node, parent) => {
+            if (node.type === 'ReturnStatement' && node.argument && node.argument.type === 'Identifier' &&
+                held.has(node.argument.name)) {
+                returned = returned || held.get(node.argument.name);
+            }
+
+            const acquired = this.acquiredHandle(node, functions, locals, visiting);
+            if (!acquired || !parent) return;
+
+            const target = this.resultTarget(node, parent);
+            if (parent.type === 'ReturnStatement') {
+                returned = returned || acquired;
+            } else if (target && locals.has(target)) {
+                held.set(target, acquired);
+            }
+        });
+
+        visiting.delete(name);
+        return returned;
+    }
+
+    /**
+     * Handles a call releases, as { release, arg } pairs: the handle of an
+     * AKM release call, or the arguments a module function releases
+     */
+    releasedArgs(node, functions, locals, visiting = new Set()) {
+        const api = this.apiName(node);
+        if (api) {
+            return RELEASES.has(api) && node.arguments[0] ? [{ release: api, arg: node.arguments[0] }] : [];
+        }
+
+        const callee = this.calledFunction(node, functions, locals);
+        if (!callee || visiting.has(callee)) return [];
+        visiting.add(callee);
+
+        const fn = functions[callee].node;
+        const params = fn.params.map(p => p.type === 'Identifier' ? p.name : null);
+        const fnLocals = this.localNames(fn);
+        const released = [];
+        this.visit(fn.body, (inner) => {
+            for (const { release, arg } of this.releasedArgs(inner, functions, fnLocals, visiting)) {
+                const index = arg.type === 'Identifier' ? params.indexOf(arg.name) : -1;
+                if (index >= 0 && node.arguments[index]) released.push({ release, arg: node.arguments[index] });
+            }
+        });
+
+        visiting.delete(callee);
+        return released;
+    }
+
+    /**
+     * Whether a function body releases a handle held in one of its locals
+     */
+    releasesLocal(root, release, handle, functions, locals) {
+        if (!handle || handle.type !== 'Identifier' || !locals.has(handle.name)) return false;
+
+        let found = false;
+        this.visit(root, (node) => {
+            for (const r of this.releasedArgs(node, functions, locals)) {
+                if (r.release === release && r.arg.type === 'Identifier' && r.arg.name === handle.name) found = true;
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Whether a function body returns one of its locals
+     */
+    returnsLocal(root, name) {
+        let found = false;
+        this.visit(root, (node) => {
+            if (node.type === 'ReturnStatement' && node.argument &&
+                node.argument.type === 'Identifier' && node.argument.name === name) found = true;
+        });
+        return found;
+    }
+
+    /**
+     * Describe an acquired resource by its handle: a module variable or
+     * a constant value
+     */
+    resource(node, what, info, handle) {
+        return {
+            key: handle.key,
+            global: handle.global,
+            text: handle.global !== undefined ? handle.global : String(handle.value),
+            what: what,
+            release: info.release,
+            fromResult: info.handle === 'result',
+            status: Boolean(info.status),
+            node: node
+        };
+    }
+
+    /**
+     * Handle named by an argument: a constant, or a module variable
+     * not hidden by a local
+     */
+    handleKey(node, locals, globalNames) {
+        if (!node) return null;
+
+        const value = this.parser.constEval.evaluate(node, name => locals.has(name));
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            return { key: `value:${Number(value) | 0}`, value: Number(value) | 0 };
+        }
+        if (node.type === 'Identifier' && !locals.has(node.name) && globalNames.has(node.name)) {
+            return { key: `global:${node.name}`, global: node.name };
+        }
+        return null;
+    }
+
+    /**
+     * Variable an API call's result is assigned to, null when the result
+     * is discarded and undefined when it is used some other way
+     */
+    resultTarget(call, parent) {
+        if (parent.type === 'ExpressionStatement') return null;
+        if (parent.type === 'AssignmentExpression' && parent.operator === '=' &&
+            parent.right === call && parent.left.type === 'Identifier') {
+            return parent.left.name;
+        }
+        if (parent.type === 'VariableDeclarator' && parent.init === call && parent.id.type === 'Identifier') {
+            return parent.id.name;
+        }
+        return undefined;
+    }
+
+    /**
+     * Wrap the body of exit() in try/finally, releasing the given
+     * resources in the finally block
+     *
+     * Handles are released only when set: non-zero, and positive for APIs
+     * that return negative error codes. Under checkErrors each release is
+     * caught so that one failure does not skip the rest.
+     */
+    appendCleanup(exitNode, resources, checkErrors) {
+        const lines = resources.map(res => {
+            const call = `AKM.${res.release}(${res.text});`;
+            const guarded = res.fromResult ? `if (${res.text} ${res.status ? '> 0' : '!== 0'}) ${call}` : call;
+            return checkErrors ? `try { ${guarded} } catch ($e) {}` : guarded;
+        });
+
+        const source = `function exit() {\n    try {\n        return 0;\n    } finally {\n${lines.map(l => `        ${l}`).join('\n')}\n    }\n}`;
+        const program = acorn.parse(source, { ecmaVersion: 2020, sourceType: 'module', locations: true });
+        this.parser.walkAST(program, (node) => { node.loc = exitNode.loc; });
+
+        const body = program.body[0].body;
+        const tryNode = body.body[0];
+        if (exitNode.body.type === 'BlockStatement') {
+            tryNode.block = exitNode.body;
+        } else {
+            tryNode.block.body[0].argument = exitNode.body;
+        }
+        exitNode.body = body;
+        exitNode.expression = false;
+    }
+
+    /**
+     * Module function a call expression calls, if any
+     */
+    calledFunction(node, functions, locals) {
+        return node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+            !locals.has(node.callee.name) && functions[node.callee.name] ? node.callee.name : null;
+    }
+
+    /**
+     * API method of an AKM.method(...) call, if the node is one
+     */
+    apiName(node) {
+        return node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+            !node.callee.computed && node.callee.object.type === 'Identifier' &&
+            node.callee.object.name === 'AKM' ? node.callee.property.name : null;
+    }
+
+    /**
+     * Parameters and variables declared anywhere in a function
+     */
+    localNames(fn) {
+        const names = new Set();
+        for (const param of fn.params) {
+            const id = param.type === 'AssignmentPattern' ? param.left : param;
+            if (id.type === 'Identifier') names.add(id.name);
+        }
+        this.visit(fn.body, (node) => {
+            if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier') names.add(node.id.name);
+            if (node.type === 'CatchClause' && node.param && node.param.type === 'Identifier') names.add(node.param.name);
+        });
+        return names;
+    }
+
+    /**
+     * Visit nodes in source order with their parent, not entering nested
+     * functions (they run only when called)
+     */
+    visit(node, visitor, parent = null) {
+        if (!node || typeof node.type !== 'string') return;
+
+        visitor(node, parent);
+
+        for (const key in node) {
+            if (key === 'loc' || key === 'range' || key === 'start' || key === 'end') continue;
+
+            const child = node[key];
+            const children = Array.isArray(child) ? child : [child];
+            for (const c of children) {
+                if (c && typeof c === 'object' &&
+                    c.type !== 'FunctionExpression' && c.type !== 'ArrowFunctionExpression' &&
+                    c.type !== 'FunctionDeclaration') {
+                    this.visit(c, visitor, node);
+                }
+            }
+        }
+    }
+}
+
+module.exports = { AKMCleanup };
@@ -0,0 +1,525 @@
+/**
+ * AKMCommandArgs - Command Argument Schemas and Dispatch
+ *
+ * Reads the `args` schema of an AKM.command() declaration and generates
+ * the JavaScript source of a wrapper that tokenizes the raw argument
+ * string, converts and validates each argument, and calls the command's
+ * handler with one parameter per schema entry. The wrapper is compiled
+ * like any other module function.
+ *
+ *   args: [
+ *       { name: 'port', type: 'hex' },                 // <port>
+ *       { name: 'count', type: 'int', default: 1 },    // [count]
+ *       { name: 'verbose', flag: '-v' },               // [-v]
+ *       { name: 'label', flag: '--label', type: 'string', required: true }
+ *   ]
+ *
+ * Positional arguments are required unless they have a default; flags
+ * are optional unless marked required. A flag without a type is a bool
+ * switch (1 when given, 0 otherwise); other flags take the next token.
+ *
+ * Wrappers also check the permission of privileged commands and, for
+ * commands with subcommands, pass the rest of the line to the handler
+ * the first word names.
+ */
+
+const { AKM_FORMAT } = require('./constants');
+const { DIAGNOSTICS } = require('./diagnostics');
+
+const ARG_TYPES = ['int', 'hex', 'string', 'bool'];
+
+// Completion kinds a `complete` property may name instead of a word list
+const COMPLETION_KINDS = {
+    file:       AKM_FORMAT.HINT_FILE,
+    dir:        AKM_FORMAT.HINT_DIR,
+    command:    AKM_FORMAT.HINT_COMMAND,
+    env:        AKM_FORMAT.HINT_ENV
+};
+
+// Returned by a wrapper when the arguments do not match the schema
+const EINVAL = -22;
+
+// Permission bits a privileged command checks unless it names its own
+const DEFAULT_PERMISSION = 1;
+
+// Tokens are separated by spaces and tabs
+const SPACE = 32;
+const TAB = 9;
+const DASH = 45;
+
+// Helper functions shared by every wrapper, emitted only when needed
+const HELPERS = {
+    skip: `
+function __akm_arg_skip(p) {
+    while (AKM.peek8(p) === ${SPACE} || AKM.peek8(p) === ${TAB}) p++;
+    return p;
+}`,
+    end: `
+function __akm_arg_end(p) {
+    while (AKM.peek8(p) > ${SPACE}) p++;
+    return p;
+}`,
+    is: `
+function __akm_arg_is(p, end, s) {
+    let q = s | 0;
+    for (; p < end; p++, q++) {
+        if (AKM.peek8(p) !== AKM.peek8(q)) return 0;
+    }
+    return AKM.peek8(q) === 0;
+}`,
+    option: `
+function __akm_arg_option(p, end) {
+    const c = AKM.peek8(p + 1);
+    return end - p > 1 && AKM.peek8(p) === ${DASH} && (c < 48 || c > 57);
+}`,
+    number: `
+function __akm_arg_number(p, end, radix, check) {
+    let sign = 1;
+    let value = 0;
+    if (radix === 10 && AKM.peek8(p) === ${DASH}) {
+        sign = -1;
+        p++;
+    }
+    if (end - p > 2 && AKM.peek8(p) === 48 && (AKM.peek8(p + 1) | 32) === 120) {
+        radix = 16;
+        p += 2;
+    }
+    if (p === end) return 0;
+    for (; p < end; p++) {
+        const c = AKM.peek8(p) | 32;
+        let digit = 99;
+        if (c >= 48 && c <= 57) digit = c - 48;
+        if (c >= 97 && c <= 102) digit = c - 87;
+        if (digit >= radix) return 0;
+        value = value * radix + digit;
+    }
+    return check ? 1 : value * sign;
+}`,
+    copy: `
+function __akm_arg_copy(p, end) {
+    const s = AKM.malloc(end - p + 1);
+    if (!s) return 0;
+    let i = 0;
+    for (; p < end; p++, i++) AKM.poke8(s + i, AKM.peek8(p));
+    AKM.poke8(s + i, 0);
+    return s;
+}`
+};
+
+class AKMCommandArgs {
+    constructor(parser) {
+        this.parser = parser;
+    }
+
+    /**
+     * Read the args schema from an AKM.command() config node
+     *
+     * @returns {Object[]|null} Argument entries, or null when the config
+     *          has no args property
+     */
+    parseSchema(configNode) {
+        const prop = this.parser.propertyNode(configNode, 'args');
+        if (!prop) return null;
+
+        if (prop.value.type !== 'ArrayExpression') {
+            this.error(prop.value, 'args must be an array of argument descriptions');
+            return [];
+        }
+
+        const args = [];
+        for (const element of prop.value.elements) {
+            const arg = element && this.parseArgument(element, args);
+            if (arg) args.push(arg);
+        }
+
+        // Once an optional positional is seen, the rest cannot be required
+        const positional = args.filter(a => !a.flag);
+        const firstOptional = positional.findIndex(a => !a.required);
+        positional.slice(firstOptional + 1).forEach(arg => {
+            if (firstOptional >= 0 && arg.required) {
+                this.error(arg.node, `Required argument '${arg.name}' follows an optional one`);
+            }
+        });
+
+        return args;
+    }
+
+    /**
+     * Check one { name, type, flag, required, default } entry
+     */
+    parseArgument(node, previous) {
+        if (node.type !== 'ObjectExpression') {
+            this.error(node, 'Each argument must be an object literal');
+            return null;
+        }
+
+        const spec = this.parser.parseObjectExpression(node);
+        const arg = {
+            name: spec.name,
+            flag: spec.flag || null,
+            type: spec.type || (spec.flag ? 'bool' : 'string'),
+            required: false,
+            default: spec.default,
+            complete: spec.complete,
+            node: node
+        };
+
+        if (typeof arg.name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(arg.name)) {
+            this.error(node, 'Argument name must be an identifier');
+            return null;
+        }
+        if (previous.some(a => a.name === arg.name)) {
+            this.error(node, `Duplicate argument '${arg.name}'`);
+            return null;
+        }
+        if (arg.flag !== null) {
+            if (typeof arg.flag !== 'string' || !/^--?[A-Za-z][A-Za-z0-9-]*$/.test(arg.flag)) {
+                this.error(node, `Flag of '${arg.name}' must look like -x or --name`);
+                return null;
+            }
+            if (previous.some(a => a.flag === arg.flag)) {
+                this.error(node, `Duplicate flag '${arg.flag}'`);
+                return null;
+            }
+        }
+        if (!ARG_TYPES.includes(arg.type)) {
+            this.error(node, `Argument '${arg.name}' has unknown type '${arg.type}' (expected ${ARG_TYPES.join(', ')})`);
+            return null;
+        }
+        if (arg.type === 'bool' && !arg.flag) {
+            this.error(node, `Positional argument '${arg.name}' cannot be bool; give it a flag`);
+            return null;
+        }
+
+        if (arg.default !== undefined) {
+            const expected = arg.type === 'string' ? 'string' : 'number';
+            if (arg.type === 'bool' || typeof arg.default !== expected ||
+                (expected === 'number' && !Number.isInteger(arg.default))) {
+                this.error(node, `Default of '${arg.name}' must be ${arg.type === 'string' ? 'a string' : 'an integer'}` +
+                    `${arg.type === 'bool' ? ' argument (bool flags default to 0)' : ''}`);
+                return null;
+            }
+        }
+
+        arg.required = spec.required !== undefined ? Boolean(spec.required) : (!arg.flag && arg.default === undefined);
+        if (arg.required && arg.default !== undefined) {
+            this.error(node, `Required argument '${arg.name}' cannot have a default`);
+            return null;
+        }
+        if (arg.required && arg.type === 'bool') {
+            this.error(node, `Bool flag '${arg.flag}' cannot be required`);
+            return null;
+        }
+        if (arg.flag && arg.complete !== undefined) {
+            this.error(node, `Only positional arguments take completion hints ('${arg.name}' is a flag)`);
+            return null;
+        }
+
+        return arg;
+    }
+
+    /**
+     * Usage line for a command: options first, then positionals
+     */
+    syntax(name, args) {
+        const parts = [name];
+
+        for (const arg of args.filter(a => a.flag)) {
+            const usage = arg.type === 'bool' ? arg.flag : `${arg.flag} <${arg.name}>`;
+            parts.push(arg.required ? usage : `[${usage}]`);
+        }
+        for (const arg of args.filter(a => !a.flag)) {
+            parts.push(arg.required ? `<${arg.name}>` : `[${arg.name}]`);
+        }
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Usage line for a command with subcommands; hidden ones are left out
+     */
+    dispatchSyntax(path, subcommands, hasFallback) {
+        const names = subcommands.filter(sub => !sub.hidden).map(sub => sub.name);
+        if (names.length === 0) return path;
+        return hasFallback ? `${path} [${names.join('|')}]` : `${path} <${names.join('|')}>`;
+    }
+
+    /**
+     * Read a command's `privileged` property
+     *
+     *   privileged: true                                // resource is the command path
+     *   privileged: 'net.admin'                         // permission 1
+     *   privileged: { resource: 'net.admin', permission: 2 }
+     *
+     * @returns {{resource: string, permission: number}|null}
+     */
+    parsePrivilege(configNode, value, path) {
+        if (value === undefined || value === null || value === false) return null;
+        if (value === true) return { resource: path, permission: DEFAULT_PERMISSION };
+        if (typeof value === 'string' && value !== '') {
+            return { resource: value, permission: DEFAULT_PERMISSION };
+        }
+        if (typeof value === 'object' && typeof value.resource === 'string' && value.resource !== '' &&
+            (value.permission === undefined || Number.isInteger(value.permission))) {
+            return {
+                resource: value.resource,
+                permission: value.permission === undefined ? DEFAULT_PERMISSION : value.permission
+            };
+        }
+
+        this.commandError(configNode, 'privileged', 'privileged must be true, a resource name or { resource, permission }');
+        return null;
+    }
+
+    /**
+     * Completion hints for a command
+     *
+     * A `complete` word list or kind on the command applies to every
+     * position, one on a positional argument to that argument only.
+     * Every flag in the schema is offered as well.
+     */
+    completionHints(configNode, complete, args) {
+        const hints = [];
+        const add = (node, value, position) => {
+            if (Array.isArray(value) && value.length > 0 && value.every(w => typeof w === 'string' && w !== '')) {
+                value.forEach(word => hints.push({ kind: AKM_FORMAT.HINT_WORD, position: position, text: word }));
+            } else if (typeof value === 'string' && COMPLETION_KINDS[value]) {
+                hints.push({ kind: COMPLETION_KINDS[value], position: position, text: '' });
+            } else {
+                this.commandError(node, 'complete', 'complete must be a list of words or one of ' +
+                    Object.keys(COMPLETION_KINDS).join(', '));
+            }
+        };
+
+        if (complete !== undefined) add(configNode, complete, AKM_FORMAT.HINT_ANY_POSITION);
+        for (const arg of (args || []).filter(a => a.flag)) {
+            hints.push({ kind: AKM_FORMAT.HINT_FLAG, position: AKM_FORMAT.HINT_ANY_POSITION, text: arg.flag });
+        }
+        (args || []).filter(a => !a.flag).forEach((arg, i) => {
+            if (arg.complete !== undefined) add(arg.node, arg.complete, i);
+        });
+
+        return hints;
+    }
+
+    /**
+     * Source of the helper functions the given commands' wrappers use
+     */
+    helperSource(commands) {
+        const used = new Set();
+
+        for (const cmd of commands) {
+            const args = cmd.args || [];
+            if (cmd.args || cmd.subcommands.length > 0) {
+                used.add('skip');
+                used.add('end');
+            }
+            if (cmd.subcommands.length > 0) used.add('is');
+            if (args.some(a => a.flag)) {
+                used.add('is');
+                used.add('option');
+            }
+            if (args.some(a => a.type === 'int' || a.type === 'hex')) used.add('number');
+            if (args.some(a => a.type === 'string')) used.add('copy');
+        }
+
+        return Object.keys(HELPERS).filter(name => used.has(name)).map(name => HELPERS[name]).join('\n');
+    }
+
+    /**
+     * Source of the wrapper registered in place of a command's handler
+     *
+     * It checks the command's permission, then dispatches to a subcommand,
+     * parses the args schema or passes the argument string through.
+     * Locals are $-prefixed so they cannot collide with argument names.
+     */
+    wrapperSource(cmd, wrapperName, commands) {
+        let body;
+        if (cmd.subcommands.length > 0) {
+            body = this.dispatchLines(cmd, commands);
+        } else if (cmd.args) {
+            body = this.parseLines(cmd);
+        } else {
+            body = [`return ${cmd.target}(args);`];
+        }
+
+        if (cmd.privileged) {
+            const { resource, permission } = cmd.privileged;
+            body = [
+                `const $denied = AKM.checkPermission(${JSON.stringify(resource)}, ${permission});`,
+                'if ($denied < 0) {',
+                `    AKM.print(${JSON.stringify(`${cmd.path}: permission denied`)});`,
+                '    return $denied;',
+                '}',
+                ...body
+            ];
+        }
+
+        return [`function ${wrapperName}(args) {`, ...body.map(l => `    ${l}`), '}'].join('\n');
+    }
+
+    /**
+     * Pass the rest of the line to the subcommand named by the first word
+     *
+     * Without a handler of its own the command prints its usage when the
+     * word is missing or unknown.
+     */
+    dispatchLines(cmd, commands) {
+        const str = JSON.stringify;
+        const lines = [
+            'let $p = __akm_arg_skip(args | 0);',
+            'let $q = __akm_arg_end($p);'
+        ];
+
+        for (const sub of cmd.subcommands.map(i => commands[i]).filter(sub => sub.handler)) {
+            const tests = [sub.name, ...sub.aliases].map(name => `__akm_arg_is($p, $q, ${str(name)})`);
+            lines.push(`if (${tests.join(' || ')}) {`);
+            lines.push(`    return ${sub.handler}(__akm_arg_skip($q));`);
+            lines.push('}');
+        }
+
+        if (cmd.target) {
+            lines.push(`return ${cmd.target}(args);`);
+        } else {
+            lines.push('if ($p === $q) {');
+            lines.push(`    AKM.print(${str(`${cmd.path}: missing subcommand`)});`);
+            lines.push('} else {');
+            lines.push(`    AKM.print(${str(`${cmd.path}: unknown subcommand`)});`);
+            lines.push('}');
+            lines.push(`AKM.print(${str(`usage: ${cmd.syntax}`)});`);
+            lines.push(`return ${EINVAL};`);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Parse the argument string by the command's args schema and call the
+     * handler with the values
+     */
+    parseLines(cmd) {
+        const args = cmd.args;
+        const flags = args.filter(a => a.flag);
+        const positional = args.filter(a => !a.flag);
+        const strings = args.filter(a => a.type === 'string');
+        const str = JSON.stringify;
+        const fail = message => [
+            `AKM.print(${str(`${cmd.path}: ${message}`)});`,
+            '$bad = 1;'
+        ];
+
+        const lines = [
+            'let $p = __akm_arg_skip(args | 0);',
+            'let $q = 0;',
+            'let $n = 0;',
+            'let $bad = 0;'
+        ];
+        for (const arg of args) {
+            // Strings stay 0 until given, so only copies are freed
+            const initial = arg.type === 'string' || arg.default === undefined ? 0 : arg.default;
+            lines.push(`let arg$${arg.name} = ${initial};`);
+            if (arg.flag && arg.required) lines.push(`let seen$${arg.name} = 0;`);
+        }
+
+        // Convert the token [$p, $q) into an argument
+        const convert = (arg, what) => {
+            if (arg.type === 'string') {
+                return [
+                    `if (arg$${arg.name}) AKM.free(arg$${arg.name});`,
+                    `arg$${arg.name} = __akm_arg_copy($p, $q);`
+                ];
+            }
+            const radix = arg.type === 'hex' ? 16 : 10;
+            return [
+                `if (!__akm_arg_number($p, $q, ${radix}, 1)) {`,
+                ...fail(`${what} must be ${arg.type === 'hex' ? 'a hex number' : 'an integer'}`).map(l => `    ${l}`),
+                '    break;',
+                '}',
+                `arg$${arg.name} = __akm_arg_number($p, $q, ${radix}, 0);`
+            ];
+        };
+
+        const branches = [];
+        for (const arg of flags) {
+            const body = arg.type === 'bool' ? [`arg$${arg.name} = 1;`] : [
+                '$p = __akm_arg_skip($q);',
+                '$q = __akm_arg_end($p);',
+                'if ($p === $q) {',
+                ...fail(`${arg.flag} needs a value`).map(l => `    ${l}`),
+                '    break;',
+                '}',
+                ...convert(arg, arg.flag)
+            ];
+            if (arg.required) body.push(`seen$${arg.name} = 1;`);
+            branches.push({ test: `__akm_arg_is($p, $q, ${str(arg.flag)})`, body: body });
+        }
+        if (flags.length > 0) {
+            branches.push({ test: '__akm_arg_option($p, $q)', body: [...fail('unknown option'), 'break;'] });
+        }
+        positional.forEach((arg, i) => {
+            branches.push({ test: `$n === ${i}`, body: [...convert(arg, `<${arg.name}>`), '$n++;'] });
+        });
+        branches.push({ test: null, body: [...fail('too many arguments'), 'break;'] });
+
+        lines.push('while (AKM.peek8($p) !== 0) {');
+        lines.push('    $q = __akm_arg_end($p);');
+        branches.forEach((branch, i) => {
+            const open = branch.test === null ? '{' : `if (${branch.test}) {`;
+            const head = i === 0 ? open : `} else ${open}`;
+            lines.push(`    ${head}`);
+            branch.body.forEach(l => lines.push(`        ${l}`));
+        });
+        lines.push('    }');
+        lines.push('    $p = __akm_arg_skip($q);');
+        lines.push('}');
+
+        positional.forEach((arg, i) => {
+            if (!arg.required) return;
+            lines.push(`if (!$bad && $n === ${i}) {`);
+            fail(`missing <${arg.name}>`).forEach(l => lines.push(`    ${l}`));
+            lines.push('}');
+        });
+        for (const arg of flags.filter(a => a.required)) {
+            lines.push(`if (!$bad && !seen$${arg.name}) {`);
+            fail(`missing ${arg.flag} <${arg.name}>`).forEach(l => lines.push(`    ${l}`));
+            lines.push('}');
+        }
+
+        const free = strings.map(arg => `if (arg$${arg.name}) AKM.free(arg$${arg.name});`);
+        lines.push('if ($bad) {');
+        free.forEach(l => lines.push(`    ${l}`));
+        lines.push(`    AKM.print(${str(`usage: ${cmd.syntax}`)});`);
+        lines.push(`    return ${EINVAL};`);
+        lines.push('}');
+
+        const values = args.map(arg => arg.type === 'string'
+            ? `arg$${arg.name} ? arg$${arg.name} : ${str(arg.default !== undefined ? arg.default : '')}`
+            : `arg$${arg.name}`);
+        const call = `${cmd.target}(${values.join(', ')})`;
+        if (free.length > 0) {
+            lines.push('try {');
+            lines.push(`    return ${call};`);
+            lines.push('} finally {');
+            free.forEach(l => lines.push(`    ${l}`));
+            lines.push('}');
+        } else {
+            lines.push(`return ${call};`);
+        }
+
+        return lines;
+    }
+
+    error(node, message) {
+        this.parser.error(node, DIAGNOSTICS.INVALID_ARGS, message);
+    }
+
+    /**
+     * Report a bad command property at its value
+     */
+    commandError(configNode, key, message) {
+        const prop = this.parser.propertyNode(configNode, key);
+        this.parser.error(prop ? prop.value : configNode, DIAGNOSTICS.INVALID_COMMAND, message);
+    }
+}
+
+module.exports = { AKMCommandArgs };
@@ -4,7 +4,7 @@
  * Generates AKM bytecode from intermediate representation.
  */
 
-const { OPCODES, API_FUNCTIONS } = require('./constants');
+const { OPCODES, IR_OPS, API_FUNCTIONS, AKM_FORMAT } = require('./constants');
 
 class AKMCodeGen {
     constructor(options = {}) {
@@ -13,7 +13,10 @@ class AKMCodeGen {
         this.data = [];
         this.labels = new Map();
         this.fixups = [];
+        this.relocations = [];
         this.currentOffset = 0;
+        this.globalOffsets = new Map();
+        this.tableOffsets = new Map();
     }
 
     /**
@@ -24,13 +27,22 @@ class AKMCodeGen {
         this.data = [];
         this.labels = new Map();
         this.fixups = [];
+        this.relocations = [];
         this.currentOffset = 0;
 
-        const { ir, commands, functions } = parseResult;
+        const { ir } = parseResult;
 
         // Build string table
         const stringTable = this.buildStringTable(ir.strings);
 
+        // Lay out globals after the string table
+        const globals = this.layoutGlobals(ir.globals, stringTable);
+        this.globalOffsets = globals.offsets;
+
+        // Constant tables have fixed .rodata offsets from the IR
+        const tables = ir.tables || [];
+        this.tableOffsets = new Map(tables.map(table => [table.name, table.offset]));
+
         // Generate code for each function
         const functionOffsets = new Map();
         
@@ -39,25 +51,34 @@ class AKMCodeGen {
             this.generateFunction(func, stringTable);
         }
 
-        // Generate command registration stubs
-        const commandStubs = this.generateCommandStubs(commands, stringTable, functionOffsets);
-
         // Resolve label fixups
         this.resolveFixups();
 
-        // Build data section
-        const dataSection = this.buildDataSection(stringTable, commandStubs);
+        // Build data section, read-only data, command table and parameter table
+        const dataSection = this.buildDataSection(stringTable, globals);
+        const rodata = this.buildRodata(tables, stringTable);
+        const commandTable = this.buildCommandTable(ir.commands, stringTable, functionOffsets);
+        const paramTable = this.buildParamTable(ir.params || [], stringTable);
 
         return {
             code: Buffer.from(this.code),
             data: dataSection,
+            rodata: rodata,
+            cmdtab: commandTable,
+            paramtab: paramTable,
+            bssSize: globals.bssSize,
+            relocations: this.relocations,
             strings: ir.strings,
             functions: functionOffsets,
+            globals: globals.symbols,
+            tables: tables,
             commands: ir.commands,
+            params: ir.params || [],
             initOffset: functionOffsets.get('init') || 0,
             exitOffset: functionOffsets.get('exit') || 0,
             codeSize: this.code.length,
-            dataSize: dataSection.length
+            dataSize: dataSection.length,
+            rodataSize: rodata.length
         };
     }
 
@@ -90,8 +111,65 @@ class AKMCodeGen {
         return table;
     }
 
+    /**
+     * Assign addresses to module globals
+     *
+     * Globals are 4 bytes each. Initialized ones are appended to the data
+     * section (4-byte aligned, after the string table); zeroed ones live in
+     * .bss, which the loader maps directly after the data section. Global
+     * addresses are offsets from the start of the data section. A global
+     * initialized to a string holds its data offset, with a relocation.
+     */
+    layoutGlobals(globals, stringTable) {
+        const dataBase = stringTable.totalSize;
+        const start = (dataBase + 3) & ~3;
+        const initialized = globals.filter(g => g.section === 'data');
+        const zeroed = globals.filter(g => g.section !== 'data');
+
+        const bytes = Buffer.alloc(start - dataBase + initialized.length * 4);
+        const offsets = new Map();
+        const symbols = [];
+
+        let offset = start;
+        for (const global of initialized) {
+            if (global.stringIdx !== undefined) {
+                bytes.writeUInt32LE(stringTable.offsets.get(global.stringIdx) || 0, offset - dataBase);
+                this.relocations.push({
+                    section: AKM_FORMAT.SECTION_DATA,
+                    offset: offset,
+                    type: AKM_FORMAT.RELOC_DATA
+                });
+            } else {
+                bytes.writeUInt32LE(global.value >>> 0, offset - dataBase);
+            }
+            offsets.set(global.name, offset);
+            symbols.push({ name: global.name, offset: offset, size: 4, isExport: global.isExport });
+            offset += 4;
+        }
+
+        const bssStart = offset;
+        for (const global of zeroed) {
+            offsets.set(global.name, offset);
+            symbols.push({ name: global.name, offset: offset, size: 4, isExport: global.isExport });
+            offset += 4;
+        }
+
+        return {
+            bytes: bytes,
+            offsets: offsets,
+            symbols: symbols,
+            bssSize: offset - bssStart
+        };
+    }
+
     /**
      * Generate bytecode for a function
+     *
+     * Calling convention: the caller pushes arguments left to right and
+     * executes CALL <addr> <argc>. The callee's frame starts with one slot
+     * per parameter (copied from the arguments with PUSH_ARG, missing ones
+     * read as 0) followed by its declared locals. RET pops the return value,
+     * discards the frame and pushes the value onto the caller's stack.
      */
     generateFunction(func, stringTable) {
         // Function entry
@@ -100,11 +178,16 @@ class AKMCodeGen {
         // Prologue
         this.emit(OPCODES.NOP);  // Alignment/hook point
 
-        // Local variable allocation
-        for (const local of func.locals) {
-            this.emit(OPCODES.PUSH);
-            this.emitInt32(0);  // Initialize to 0
-        }
+        // Frame allocation: parameters first, then locals initialized to 0
+        func.locals.forEach((local, i) => {
+            if (i < func.params.length) {
+                this.emit(OPCODES.PUSH_ARG);
+                this.emit(i);
+            } else {
+                this.emit(OPCODES.PUSH);
+                this.emitInt32(0);
+            }
+        });
 
         // Generate body
         for (const instr of func.instructions) {
@@ -122,6 +205,27 @@ class AKMCodeGen {
                 this.emitValue(instr.value, stringTable);
                 break;
 
+            case IR_OPS.PUSH_FUNC:
+                this.emit(OPCODES.PUSH);
+                this.relocations.push({
+                    section: AKM_FORMAT.SECTION_CODE,
+                    offset: this.currentOffset,
+                    type: AKM_FORMAT.RELOC_CODE
+                });
+                this.addFixup(instr.func);
+                this.emitInt32(0);
+                break;
+
+            case IR_OPS.PUSH_TABLE:
+                this.emit(OPCODES.PUSH);
+                this.relocations.push({
+                    section: AKM_FORMAT.SECTION_CODE,
+                    offset: this.currentOffset,
+                    type: AKM_FORMAT.RELOC_RODATA
+                });
+                this.emitInt32(this.tableOffsets.get(instr.table) || 0);
+                break;
+
             case OPCODES.PUSH_ARG:
                 this.emit(OPCODES.PUSH_ARG);
                 this.emit(instr.arg);
@@ -133,11 +237,9 @@ class AKMCodeGen {
                 break;
 
             case OPCODES.STORE_LOCAL:
-                const localIdx = func.locals.indexOf(instr.name);
-                this.emit(OPCODES.PUSH);
-                this.emitValue(instr.value, stringTable);
+                // Pops the value computed by the preceding instructions
                 this.emit(OPCODES.STORE_LOCAL);
-                this.emit(localIdx);
+                this.emit(func.locals.indexOf(instr.name));
                 break;
 
             case OPCODES.LOAD_LOCAL:
@@ -145,6 +247,12 @@ class AKMCodeGen {
                 this.emit(func.locals.indexOf(instr.name));
                 break;
 
+            case OPCODES.LOAD_GLOBAL:
+            case OPCODES.STORE_GLOBAL:
+                this.emit(instr.op);
+                this.emitInt32(this.globalOffsets.get(instr.name) || 0);
+                break;
+
             case OPCODES.CALL:
                 this.emit(OPCODES.CALL);
                 this.addFixup(instr.func);
@@ -186,12 +294,27 @@ class AKMCodeGen {
                 this.emitInt32(instr.target || 0);
                 break;
 
+            case OPCODES.SWITCH:
+                // SWITCH <min:i32> <count:u16> <default:u32> <target:u32 x count>
+                this.emit(OPCODES.SWITCH);
+                this.emitInt32(instr.min);
+                this.emitInt16(instr.labels.length);
+                this.addFixup(instr.defaultLabel);
+                this.emitInt32(0);
+                for (const label of instr.labels) {
+                    this.addFixup(label);
+                    this.emitInt32(0);
+                }
+                break;
+
             // Arithmetic
             case OPCODES.ADD:
             case OPCODES.SUB:
             case OPCODES.MUL:
             case OPCODES.DIV:
             case OPCODES.MOD:
+            case OPCODES.DIVU:
+            case OPCODES.MODU:
             case OPCODES.NEG:
             case OPCODES.INC:
             case OPCODES.DEC:
@@ -202,6 +325,7 @@ class AKMCodeGen {
             case OPCODES.NOT:
             case OPCODES.SHL:
             case OPCODES.SHR:
+            case OPCODES.SAR:
             // Comparison
             case OPCODES.EQ:
             case OPCODES.NE:
@@ -209,6 +333,17 @@ class AKMCodeGen {
             case OPCODES.LE:
             case OPCODES.GT:
             case OPCODES.GE:
+            case OPCODES.LTU:
+            case OPCODES.LEU:
+            case OPCODES.GTU:
+            case OPCODES.GEU:
+            // Memory
+            case OPCODES.LOAD8:
+            case OPCODES.LOAD16:
+            case OPCODES.LOAD32:
+            case OPCODES.STORE8:
+            case OPCODES.STORE16:
+            case OPCODES.STORE32:
             // Stack
             case OPCODES.POP:
             case OPCODES.DUP:
@@ -218,6 +353,10 @@ class AKMCodeGen {
                 this.emit(instr.op);
                 break;
 
+            case IR_OPS.LABEL:
+                this.labels.set(instr.name, this.currentOffset);
+                break;
+
             default:
                 // Unknown opcode, emit NOP
                 this.emit(OPCODES.NOP);
@@ -304,30 +443,135 @@ class AKMCodeGen {
     }
 
     /**
-     * Generate command registration stubs
+     * Build the command table section
+     *
+     * A 16-byte header (magic, version, entry size, entry count, hint size,
+     * hint count) is followed by one 40-byte record per command and alias,
+     * then the 8-byte completion hints records point into. Names and other
+     * strings are string table offsets; handlers are code offsets, each
+     * with a relocation.
      */
-    generateCommandStubs(commands, stringTable, functionOffsets) {
-        const stubs = [];
+    buildCommandTable(commands, stringTable, functionOffsets) {
+        if (commands.length === 0) return Buffer.alloc(0);
+
+        const string = idx => stringTable.offsets.get(idx) || 0;
+        const hints = [];
+        const entriesOffset = AKM_FORMAT.CMDTAB_HEADER_SIZE;
+        const entries = Buffer.alloc(commands.length * AKM_FORMAT.CMDTAB_ENTRY_SIZE);
+
+        // Aliases share their command's hints
+        const hintRanges = new Map();
+        commands.forEach((cmd, i) => {
+            if (cmd.aliasOf !== null) return;
+            hintRanges.set(i, hints.length);
+            hints.push(...cmd.hints);
+        });
 
-        for (const cmd of commands) {
-            const handlerOffset = functionOffsets.get(cmd.handler) || 0;
-            
-            stubs.push({
-                nameOffset: stringTable.offsets.get(cmd.name) || 0,
-                syntaxOffset: stringTable.offsets.get(cmd.syntax) || 0,
-                descOffset: stringTable.offsets.get(cmd.description) || 0,
-                categoryOffset: stringTable.offsets.get(cmd.category) || 0,
-                handlerOffset: handlerOffset
-            });
+        commands.forEach((cmd, i) => {
+            const at = i * AKM_FORMAT.CMDTAB_ENTRY_SIZE;
+            entries.writeUInt32LE(string(cmd.nameIdx), at);
+            entries.writeUInt32LE(string(cmd.syntaxIdx), at + 4);
+            entries.writeUInt32LE(string(cmd.descIdx), at + 8);
+            entries.writeUInt32LE(string(cmd.categoryIdx), at + 12);
+            if (functionOffsets.has(cmd.handler)) {
+                entries.writeUInt32LE(functionOffsets.get(cmd.handler), at + 16);
+                this.relocations.push({
+                    section: AKM_FORMAT.SECTION_CMDTAB,
+                    offset: entriesOffset + at + 16,
+                    type: AKM_FORMAT.RELOC_CODE
+                });
+            }
+            entries.writeUInt16LE(cmd.parent === null ? AKM_FORMAT.CMD_NO_PARENT : cmd.parent, at + 20);
+            entries.writeUInt16LE(cmd.flags, at + 22);
+            entries.writeUInt32LE(cmd.resourceIdx === null ? 0 : string(cmd.resourceIdx), at + 24);
+            entries.writeUInt32LE(cmd.permission >>> 0, at + 28);
+            entries.writeUInt16LE(hintRanges.get(cmd.aliasOf === null ? i : cmd.aliasOf), at + 32);
+            entries.writeUInt16LE(cmd.hints.length, at + 34);
+            entries.writeUInt16LE(cmd.aliasOf === null ? AKM_FORMAT.CMD_NO_PARENT : cmd.aliasOf, at + 36);
+        });
+
+        const hintBuf = Buffer.alloc(hints.length * AKM_FORMAT.CMDTAB_HINT_SIZE);
+        hints.forEach((hint, i) => {
+            const at = i * AKM_FORMAT.CMDTAB_HINT_SIZE;
+            hintBuf.writeUInt8(hint.kind, at);
+            hintBuf.writeUInt8(hint.position, at + 1);
+            hintBuf.writeUInt32LE(string(hint.textIdx), at + 4);
+        });
+
+        const header = Buffer.alloc(AKM_FORMAT.CMDTAB_HEADER_SIZE);
+        header.writeUInt32LE(AKM_FORMAT.CMDTAB_MAGIC, 0);
+        header.writeUInt16LE(AKM_FORMAT.CMDTAB_VERSION, 4);
+        header.writeUInt16LE(AKM_FORMAT.CMDTAB_ENTRY_SIZE, 6);
+        header.writeUInt16LE(commands.length, 8);
+        header.writeUInt16LE(AKM_FORMAT.CMDTAB_HINT_SIZE, 10);
+        header.writeUInt16LE(hints.length, 12);
+
+        return Buffer.concat([header, entries, hintBuf]);
+    }
+
+    /**
+     * Build the parameter table section
+     *
+     * A 16-byte header (magic, version, entry size, entry count) is
+     * followed by one 16-byte record per parameter: name and description
+     * string table offsets, the data offset of the parameter's global, and
+     * its type.
+     */
+    buildParamTable(params, stringTable) {
+        if (params.length === 0) return Buffer.alloc(0);
+
+        const string = idx => stringTable.offsets.get(idx) || 0;
+        const entries = Buffer.alloc(params.length * AKM_FORMAT.PARAMTAB_ENTRY_SIZE);
+
+        params.forEach((param, i) => {
+            const at = i * AKM_FORMAT.PARAMTAB_ENTRY_SIZE;
+            entries.writeUInt32LE(string(param.nameIdx), at);
+            entries.writeUInt32LE(string(param.descIdx), at + 4);
+            entries.writeUInt32LE(this.globalOffsets.get(param.global) || 0, at + 8);
+            entries.writeUInt8(param.type, at + 12);
+        });
+
+        const header = Buffer.alloc(AKM_FORMAT.PARAMTAB_HEADER_SIZE);
+        header.writeUInt32LE(AKM_FORMAT.PARAMTAB_MAGIC, 0);
+        header.writeUInt16LE(AKM_FORMAT.PARAMTAB_VERSION, 4);
+        header.writeUInt16LE(AKM_FORMAT.PARAMTAB_ENTRY_SIZE, 6);
+        header.writeUInt16LE(params.length, 8);
+
+        return Buffer.concat([header, entries]);
+    }
+
+    /**
+     * Build the read-only data section from the constant tables
+     *
+     * Values are stored little-endian at their column's width. A string
+     * is the data offset of its string table entry, with a relocation.
+     */
+    buildRodata(tables, stringTable) {
+        const size = tables.reduce((end, table) => Math.max(end, table.offset + table.size), 0);
+        const rodata = Buffer.alloc(size);
+
+        for (const table of tables) {
+            for (const cell of table.cells) {
+                if (cell.stringIdx !== undefined) {
+                    rodata.writeUInt32LE(stringTable.offsets.get(cell.stringIdx) || 0, cell.offset);
+                    this.relocations.push({
+                        section: AKM_FORMAT.SECTION_RODATA,
+                        offset: cell.offset,
+                        type: AKM_FORMAT.RELOC_DATA
+                    });
+                } else {
+                    rodata.writeUIntLE((cell.value >>> 0) % 2 ** (cell.size * 8), cell.offset, cell.size);
+                }
+            }
         }
 
-        return stubs;
+        return rodata;
     }
 
     /**
      * Build the data section
      */
-    buildDataSection(stringTable, commandStubs) {
+    buildDataSection(stringTable, globals) {
         const parts = [];
 
         // String table
@@ -335,16 +579,8 @@ class AKMCodeGen {
             parts.push(Buffer.from(entry.string + '\0', 'utf8'));
         }
 
-        // Command stubs (each 20 bytes: 4 uint32 offsets + 4 byte handler offset)
-        for (const stub of commandStubs) {
-            const buf = Buffer.alloc(20);
-            buf.writeUInt32LE(stub.nameOffset, 0);
-            buf.writeUInt32LE(stub.syntaxOffset, 4);
-            buf.writeUInt32LE(stub.descOffset, 8);
-            buf.writeUInt32LE(stub.categoryOffset, 12);
-            buf.writeUInt32LE(stub.handlerOffset, 16);
-            parts.push(buf);
-        }
+        // Initialized globals
+        parts.push(globals.bytes);
 
         return Buffer.concat(parts);
     }
@@ -5,10 +5,12 @@
  */
 
 const { AKMParser } = require('./parser');
+const { AKMAnalyzer } = require('./analyzer');
 const { AKMCodeGen } = require('./codegen');
 const { AKMOptimizer } = require('./optimizer');
 const { AKMBinaryWriter } = require('./binary');
 const { CAPABILITIES, API_FUNCTIONS } = require('./constants');
+const { DIAGNOSTICS, AKMCompileError, createDiagnostic } = require('./diagnostics');
 
 class AKMCompiler {
     constructor(options = {}) {
@@ -17,11 +19,15 @@ class AKMCompiler {
             optimize: options.optimize || false,
             verbose: options.verbose || false,
             capabilities: this.parseCapabilities(options.capabilities),
+            strictCaps: options.strictCaps || false,
+            checkErrors: options.checkErrors || false,
+            autoCleanup: options.autoCleanup || false,
             apiVersion: 0x0200,  // API version 2.0 (major.minor as uint16)
             targetKernel: { min: 0x00000500, max: 0 }  // 0.5.0+ (format: major<<16 | minor<<8 | patch)
         };
 
         this.parser = new AKMParser(this.options);
+        this.analyzer = new AKMAnalyzer(this.options);
         this.codegen = new AKMCodeGen(this.options);
         this.optimizer = new AKMOptimizer(this.options);
         this.binaryWriter = new AKMBinaryWriter(this.options);
@@ -38,18 +44,86 @@ class AKMCompiler {
 
         // If hex string
         if (caps.startsWith('0x')) {
-            return parseInt(caps, 16);
+            return parseInt(caps, 16) >>> 0;
         }
 
         // If comma-separated names
         let result = 0;
         const names = caps.split(',').map(s => s.trim().toUpperCase());
         for (const name of names) {
-            if (CAPABILITIES[name] !== undefined) {
-                result |= CAPABILITIES[name];
+            if (CAPABILITIES[name] === undefined) {
+                throw new AKMCompileError([createDiagnostic('error', DIAGNOSTICS.UNKNOWN_CAPABILITY,
+                    '<command line>', null, `Unknown capability: ${name}`)]);
             }
+            result |= CAPABILITIES[name];
         }
-        return result;
+        return result >>> 0;
+    }
+
+    /**
+     * Names of the individual capability bits set in a mask
+     */
+    capabilityNames(mask) {
+        return Object.keys(CAPABILITIES).filter(name => {
+            const bit = CAPABILITIES[name];
+            return bit !== 0 && (bit & (bit - 1)) === 0 && (mask & bit) !== 0;
+        });
+    }
+
+    /**
+     * Compare declared, used and final header capabilities
+     *
+     * The header mask is --caps when given, otherwise the declared mask
+     * merged with the inferred one. `overGranted` lists header bits no
+     * code needs; `uncovered` lists used capabilities
+     * missing from the header, with every call site that needs them.
+     */
+    auditCapabilities(parseResult) {
+        const declared = parseResult.declaredCapabilities;
+        const used = parseResult.requiredCapabilities;
+        const header = this.headerCapabilities(parseResult.moduleConfig);
+
+        const sitesFor = name => parseResult.capabilityUses
+            .filter(use => use.capability === CAPABILITIES[name]);
+        const missingFrom = mask => this.capabilityNames(used & ~mask)
+            .map(name => ({ name: name, sites: sitesFor(name) }));
+
+        return {
+            declared: declared,
+            used: used,
+            header: header,
+            unused: declared === null ? [] : this.capabilityNames(declared & ~used),
+            overGranted: this.capabilityNames(header & ~used),
+            undeclared: missingFrom(declared || 0),
+            uncovered: missingFrom(header)
+        };
+    }
+
+    /**
+     * One CAPABILITY_MISSING diagnostic per call site the header mask does
+     * not cover (errors under strictCaps, warnings otherwise)
+     */
+    capabilityDiagnostics(parseResult) {
+        const severity = this.options.strictCaps ? 'error' : 'warning';
+        const diagnostics = [];
+
+        for (const cap of this.auditCapabilities(parseResult).uncovered) {
+            for (const site of cap.sites) {
+                diagnostics.push(createDiagnostic(severity, DIAGNOSTICS.CAPABILITY_MISSING, site.file, site,
+                    `${site.what} needs capability ${cap.name}, which is missing from the header mask`));
+            }
+        }
+
+        return diagnostics;
+    }
+
+    /**
+     * Capability mask written to the module header
+     */
+    headerCapabilities(config) {
+        return this.options.capabilities !== null
+            ? this.options.capabilities >>> 0
+            : (config.capabilities || 0) >>> 0;
     }
 
     /**
@@ -59,24 +133,48 @@ class AKMCompiler {
         return this.parser.parse(source, filename);
     }
 
+    /**
+     * Run semantic analysis and module validation, adding their errors
+     * to parseResult.errors
+     */
+    analyze(parseResult) {
+        if (!parseResult.ast) return parseResult.errors;
+        this.analyzer.analyze(parseResult);
+        this.validateModule(parseResult);
+        return parseResult.errors;
+    }
+
     /**
      * Compile parsed AST to binary
      */
     compile(parseResult) {
-        // Validate module structure
-        this.validateModule(parseResult);
+        // Never emit a binary for a module that failed analysis
+        if (!parseResult.analyzed) {
+            this.analyze(parseResult);
+        }
+        if (parseResult.errors.length > 0) {
+            throw new AKMCompileError(parseResult.errors);
+        }
+
+        // The header mask must cover every capability the code uses
+        if (this.options.strictCaps) {
+            const missing = this.capabilityDiagnostics(parseResult);
+            if (missing.length > 0) {
+                throw new AKMCompileError(missing);
+            }
+        }
 
         // Extract module info
         const moduleInfo = this.extractModuleInfo(parseResult);
 
-        // Generate intermediate code
-        let ir = this.codegen.generate(parseResult);
-
-        // Optimize if requested
+        // Optimize the IR before it is lowered to bytecode
         if (this.options.optimize) {
-            ir = this.optimizer.optimize(ir);
+            parseResult.ir = this.optimizer.optimize(parseResult.ir);
         }
 
+        // Generate bytecode
+        const ir = this.codegen.generate(parseResult);
+
         // Generate binary
         const binary = this.binaryWriter.write(ir, moduleInfo);
 
@@ -85,31 +183,35 @@ class AKMCompiler {
             info: moduleInfo,
             codeSize: ir.codeSize,
             dataSize: ir.dataSize,
+            rodataSize: ir.rodataSize,
             commands: ir.commands,
+            params: ir.params,
             ir: this.options.debug ? ir : null
         };
     }
 
     /**
      * Validate that the module has required structure
+     *
+     * Every problem is reported as a file-level error.
      */
     validateModule(parseResult) {
         const { moduleConfig, functions } = parseResult;
+        const fail = (diag, message) => parseResult.errors.push(
+            createDiagnostic('error', diag, parseResult.file, null, message));
 
         if (!moduleConfig) {
-            throw new Error('Module must declare configuration using AKM.module()');
-        }
-
-        if (!moduleConfig.name) {
-            throw new Error('Module must have a name');
+            fail(DIAGNOSTICS.MISSING_MODULE, 'Module must declare configuration using AKM.module()');
+        } else if (!moduleConfig.name) {
+            fail(DIAGNOSTICS.MISSING_NAME, 'Module must have a name');
         }
 
         if (!functions.init) {
-            throw new Error('Module must have an init() function');
+            fail(DIAGNOSTICS.MISSING_INIT, 'Module must have an init() function');
         }
 
         if (!functions.exit) {
-            throw new Error('Module must have an exit() function');
+            fail(DIAGNOSTICS.MISSING_EXIT, 'Module must have an exit() function');
         }
     }
 
@@ -125,7 +227,7 @@ class AKMCompiler {
             author: config.author || '',
             description: config.description || '',
             license: config.license || 'MIT',
-            capabilities: this.options.capabilities || config.capabilities || 0,
+            capabilities: this.headerCapabilities(config),
             apiVersion: this.options.apiVersion,
             kernelMinVersion: this.options.targetKernel.min,
             kernelMaxVersion: this.options.targetKernel.max,
@@ -35,109 +35,174 @@ CAPABILITIES.NET_DRIVER = CAPABILITIES.DEVICE_DRIVER | CAPABILITIES.NETWORK;
 CAPABILITIES.FS_MODULE = CAPABILITIES.BASIC | CAPABILITIES.FILESYSTEM;
 CAPABILITIES.SHELL_MODULE = CAPABILITIES.BASIC | CAPABILITIES.COMMAND | CAPABILITIES.ENVVAR;
 
-// API functions and their required capabilities
+// Driver types (must match kmodule_api.h)
+const DRIVER_TYPES = {
+    CHAR:       1,
+    BLOCK:      2,
+    NET:        3,
+    INPUT:      4,
+    DISPLAY:    5,
+    SOUND:      6,
+    STORAGE:    7,
+    BUS:        8
+};
+
+// Kernel log levels
+const LOG_LEVELS = {
+    EMERG:      0,
+    ALERT:      1,
+    CRIT:       2,
+    ERR:        3,
+    WARNING:    4,
+    NOTICE:     5,
+    INFO:       6,
+    DEBUG:      7
+};
+
+// File open flags
+const OPEN_FLAGS = {
+    RDONLY:     0x0000,
+    WRONLY:     0x0001,
+    RDWR:       0x0002,
+    CREAT:      0x0040,
+    TRUNC:      0x0200,
+    APPEND:     0x0400
+};
+
+// Seek modes
+const SEEK_MODES = {
+    SET:        0,
+    CUR:        1,
+    END:        2
+};
+
+// Constant tables on the AKM object, usable in constant expressions
+const AKM_CONSTANTS = {
+    CAPS:       CAPABILITIES,
+    DRV_TYPE:   DRIVER_TYPES,
+    LOG_LEVEL:  LOG_LEVELS,
+    O:          OPEN_FLAGS,
+    SEEK:       SEEK_MODES
+};
+
+// API functions, their required capabilities and argument kinds:
+//   'int' integer, 'string' string pointer, 'buffer' memory pointer,
+//   'func' function reference, 'any' anything; a trailing '?' marks an
+//   optional argument, passed as 0 when omitted, and a trailing '...' any
+//   number of further arguments of that kind; `status` marks APIs that
+//   return 0 on success and a negative error code on failure; `release`
+//   names the API that frees what this one acquires, and `handle` where the
+//   resource's handle is: 'result' or an argument index
+// CALL_API encodes the position in this table, so new entries must be appended
 const API_FUNCTIONS = {
     // Logging
-    log:        { capability: CAPABILITIES.LOG, argCount: 2 },
-    info:       { capability: CAPABILITIES.LOG, argCount: 1 },
-    warn:       { capability: CAPABILITIES.LOG, argCount: 1 },
-    error:      { capability: CAPABILITIES.LOG, argCount: 1 },
-    debug:      { capability: CAPABILITIES.DEBUG, argCount: 1 },
-    hexdump:    { capability: CAPABILITIES.DEBUG, argCount: 2 },
+    log:        { capability: CAPABILITIES.LOG, args: ['int', 'string'] },
+    info:       { capability: CAPABILITIES.LOG, args: ['string'] },
+    warn:       { capability: CAPABILITIES.LOG, args: ['string'] },
+    error:      { capability: CAPABILITIES.LOG, args: ['string'] },
+    debug:      { capability: CAPABILITIES.DEBUG, args: ['string'] },
+    hexdump:    { capability: CAPABILITIES.DEBUG, args: ['buffer', 'int'] },
 
     // Memory
-    malloc:     { capability: CAPABILITIES.MEMORY, argCount: 1 },
-    calloc:     { capability: CAPABILITIES.MEMORY, argCount: 2 },
-    realloc:    { capability: CAPABILITIES.MEMORY, argCount: 2 },
-    free:       { capability: CAPABILITIES.MEMORY, argCount: 1 },
-    allocPage:  { capability: CAPABILITIES.MEMORY, argCount: 0 },
-    freePage:   { capability: CAPABILITIES.MEMORY, argCount: 1 },
+    malloc:     { capability: CAPABILITIES.MEMORY, args: ['int'], release: 'free', handle: 'result' },
+    calloc:     { capability: CAPABILITIES.MEMORY, args: ['int', 'int'] },
+    realloc:    { capability: CAPABILITIES.MEMORY, args: ['buffer', 'int'] },
+    free:       { capability: CAPABILITIES.MEMORY, args: ['buffer'] },
+    allocPage:  { capability: CAPABILITIES.MEMORY, args: [] },
+    freePage:   { capability: CAPABILITIES.MEMORY, args: ['buffer'] },
 
     // Commands
-    registerCommand:    { capability: CAPABILITIES.COMMAND, argCount: 1 },
-    unregisterCommand:  { capability: CAPABILITIES.COMMAND, argCount: 1 },
+    registerCommand:    { capability: CAPABILITIES.COMMAND, args: ['string', 'string', 'string', 'string', 'func'] },
+    unregisterCommand:  { capability: CAPABILITIES.COMMAND, args: ['string'] },
 
     // Environment
-    getenv:     { capability: CAPABILITIES.ENVVAR, argCount: 1 },
-    setenv:     { capability: CAPABILITIES.ENVVAR, argCount: 2 },
-    unsetenv:   { capability: CAPABILITIES.ENVVAR, argCount: 1 },
+    getenv:     { capability: CAPABILITIES.ENVVAR, args: ['string'], returns: 'string' },
+    setenv:     { capability: CAPABILITIES.ENVVAR, args: ['string', 'string'], status: true },
+    unsetenv:   { capability: CAPABILITIES.ENVVAR, args: ['string'], status: true },
 
     // Drivers
-    registerDriver:     { capability: CAPABILITIES.DRIVER, argCount: 1 },
-    unregisterDriver:   { capability: CAPABILITIES.DRIVER, argCount: 1 },
+    registerDriver:     { capability: CAPABILITIES.DRIVER, args: ['buffer'], status: true },
+    unregisterDriver:   { capability: CAPABILITIES.DRIVER, args: ['string'], status: true },
 
     // Filesystem
-    registerFS:     { capability: CAPABILITIES.FILESYSTEM, argCount: 1 },
-    unregisterFS:   { capability: CAPABILITIES.FILESYSTEM, argCount: 1 },
-    open:           { capability: CAPABILITIES.FILESYSTEM, argCount: 2 },
-    close:          { capability: CAPABILITIES.FILESYSTEM, argCount: 1 },
-    read:           { capability: CAPABILITIES.FILESYSTEM, argCount: 3 },
-    write:          { capability: CAPABILITIES.FILESYSTEM, argCount: 3 },
-    seek:           { capability: CAPABILITIES.FILESYSTEM, argCount: 3 },
+    registerFS:     { capability: CAPABILITIES.FILESYSTEM, args: ['buffer'], status: true },
+    unregisterFS:   { capability: CAPABILITIES.FILESYSTEM, args: ['string'], status: true },
+    open:           { capability: CAPABILITIES.FILESYSTEM, args: ['string', 'int'], status: true },
+    close:          { capability: CAPABILITIES.FILESYSTEM, args: ['int'], status: true },
+    read:           { capability: CAPABILITIES.FILESYSTEM, args: ['int', 'buffer', 'int'], status: true },
+    write:          { capability: CAPABILITIES.FILESYSTEM, args: ['int', 'buffer', 'int'], status: true },
+    seek:           { capability: CAPABILITIES.FILESYSTEM, args: ['int', 'int', 'int'], status: true },
 
     // Network
-    registerNetif:      { capability: CAPABILITIES.NETWORK, argCount: 2 },
-    unregisterNetif:    { capability: CAPABILITIES.NETWORK, argCount: 1 },
-    netifReceive:       { capability: CAPABILITIES.NETWORK, argCount: 3 },
+    registerNetif:      { capability: CAPABILITIES.NETWORK, args: ['string', 'buffer'], release: 'unregisterNetif', handle: 'result' },
+    unregisterNetif:    { capability: CAPABILITIES.NETWORK, args: ['int'], status: true },
+    netifReceive:       { capability: CAPABILITIES.NETWORK, args: ['int', 'buffer', 'int'], status: true },
 
     // IRQ
-    registerIRQ:    { capability: CAPABILITIES.IRQ, argCount: 3 },
-    unregisterIRQ:  { capability: CAPABILITIES.IRQ, argCount: 1 },
-    enableIRQ:      { capability: CAPABILITIES.IRQ, argCount: 1 },
-    disableIRQ:     { capability: CAPABILITIES.IRQ, argCount: 1 },
+    registerIRQ:    { capability: CAPABILITIES.IRQ, args: ['int', 'func', 'any?'], status: true, release: 'unregisterIRQ', handle: 0 },
+    unregisterIRQ:  { capability: CAPABILITIES.IRQ, args: ['int'], status: true },
+    enableIRQ:      { capability: CAPABILITIES.IRQ, args: ['int'] },
+    disableIRQ:     { capability: CAPABILITIES.IRQ, args: ['int'] },
 
     // I/O Ports
-    outb:       { capability: CAPABILITIES.IO_PORT, argCount: 2 },
-    outw:       { capability: CAPABILITIES.IO_PORT, argCount: 2 },
-    outl:       { capability: CAPABILITIES.IO_PORT, argCount: 2 },
-    inb:        { capability: CAPABILITIES.IO_PORT, argCount: 1 },
-    inw:        { capability: CAPABILITIES.IO_PORT, argCount: 1 },
-    inl:        { capability: CAPABILITIES.IO_PORT, argCount: 1 },
-    ioWait:     { capability: CAPABILITIES.IO_PORT, argCount: 0 },
+    outb:       { capability: CAPABILITIES.IO_PORT, args: ['int', 'int'] },
+    outw:       { capability: CAPABILITIES.IO_PORT, args: ['int', 'int'] },
+    outl:       { capability: CAPABILITIES.IO_PORT, args: ['int', 'int'] },
+    inb:        { capability: CAPABILITIES.IO_PORT, args: ['int'] },
+    inw:        { capability: CAPABILITIES.IO_PORT, args: ['int'] },
+    inl:        { capability: CAPABILITIES.IO_PORT, args: ['int'] },
+    ioWait:     { capability: CAPABILITIES.IO_PORT, args: [] },
 
     // PCI
-    pciFindDevice:  { capability: CAPABILITIES.PCI, argCount: 2 },
-    pciFindClass:   { capability: CAPABILITIES.PCI, argCount: 2 },
-    pciReadConfig:  { capability: CAPABILITIES.PCI, argCount: 2 },
-    pciWriteConfig: { capability: CAPABILITIES.PCI, argCount: 3 },
-    pciEnableBusmaster: { capability: CAPABILITIES.PCI, argCount: 1 },
+    pciFindDevice:  { capability: CAPABILITIES.PCI, args: ['int', 'int'] },
+    pciFindClass:   { capability: CAPABILITIES.PCI, args: ['int', 'int'] },
+    pciReadConfig:  { capability: CAPABILITIES.PCI, args: ['int', 'int'] },
+    pciWriteConfig: { capability: CAPABILITIES.PCI, args: ['int', 'int', 'int'] },
+    pciEnableBusmaster: { capability: CAPABILITIES.PCI, args: ['int'] },
 
     // Timers
-    createTimer:    { capability: CAPABILITIES.TIMER, argCount: 3 },
-    startTimer:     { capability: CAPABILITIES.TIMER, argCount: 1 },
-    stopTimer:      { capability: CAPABILITIES.TIMER, argCount: 1 },
-    destroyTimer:   { capability: CAPABILITIES.TIMER, argCount: 1 },
-    getTicks:       { capability: CAPABILITIES.TIMER, argCount: 0 },
-    sleep:          { capability: CAPABILITIES.TIMER, argCount: 1 },
+    createTimer:    { capability: CAPABILITIES.TIMER, args: ['int', 'func', 'any?'], release: 'destroyTimer', handle: 'result' },
+    startTimer:     { capability: CAPABILITIES.TIMER, args: ['int'] },
+    stopTimer:      { capability: CAPABILITIES.TIMER, args: ['int'] },
+    destroyTimer:   { capability: CAPABILITIES.TIMER, args: ['int'] },
+    getTicks:       { capability: CAPABILITIES.TIMER, args: [] },
+    sleep:          { capability: CAPABILITIES.TIMER, args: ['int'] },
 
     // Process
-    spawn:          { capability: CAPABILITIES.PROCESS, argCount: 3 },
-    kill:           { capability: CAPABILITIES.PROCESS, argCount: 2 },
-    getpid:         { capability: CAPABILITIES.PROCESS, argCount: 0 },
-    yield:          { capability: CAPABILITIES.PROCESS, argCount: 0 },
+    spawn:          { capability: CAPABILITIES.PROCESS, args: ['string', 'func', 'int'], status: true },
+    kill:           { capability: CAPABILITIES.PROCESS, args: ['int', 'int'], status: true },
+    getpid:         { capability: CAPABILITIES.PROCESS, args: [] },
+    yield:          { capability: CAPABILITIES.PROCESS, args: [] },
 
     // System Info
-    getSysinfo:     { capability: CAPABILITIES.SYSINFO, argCount: 0 },
-    getKernelVersion: { capability: CAPABILITIES.SYSINFO, argCount: 0 },
+    getSysinfo:     { capability: CAPABILITIES.SYSINFO, args: [] },
+    getKernelVersion: { capability: CAPABILITIES.SYSINFO, args: [] },
 
     // IPC
-    ipcSend:        { capability: CAPABILITIES.IPC, argCount: 3 },
-    ipcReceive:     { capability: CAPABILITIES.IPC, argCount: 2 },
-    ipcCreateChannel:   { capability: CAPABILITIES.IPC, argCount: 1 },
-    ipcDestroyChannel:  { capability: CAPABILITIES.IPC, argCount: 1 },
+    ipcSend:        { capability: CAPABILITIES.IPC, args: ['int', 'buffer', 'int'], status: true },
+    ipcReceive:     { capability: CAPABILITIES.IPC, args: ['buffer', 'int'], status: true },
+    ipcCreateChannel:   { capability: CAPABILITIES.IPC, args: ['string'], status: true, release: 'ipcDestroyChannel', handle: 'result' },
+    ipcDestroyChannel:  { capability: CAPABILITIES.IPC, args: ['int'], status: true },
 
     // Crypto
-    sha256:         { capability: CAPABILITIES.CRYPTO, argCount: 2 },
-    randomBytes:    { capability: CAPABILITIES.CRYPTO, argCount: 2 },
+    sha256:         { capability: CAPABILITIES.CRYPTO, args: ['buffer', 'int', 'buffer'] },
+    randomBytes:    { capability: CAPABILITIES.CRYPTO, args: ['buffer', 'int'] },
 
     // User
-    getCurrentUID:  { capability: CAPABILITIES.USER, argCount: 0 },
-    getUsername:    { capability: CAPABILITIES.USER, argCount: 1 },
-    checkPermission: { capability: CAPABILITIES.USER, argCount: 2 },
+    getCurrentUID:  { capability: CAPABILITIES.USER, args: [] },
+    getUsername:    { capability: CAPABILITIES.USER, args: ['int'], returns: 'string' },
+    checkPermission: { capability: CAPABILITIES.USER, args: ['string', 'int'] },
 
     // Command helpers (for bytecode modules)
-    getArgs:        { capability: CAPABILITIES.COMMAND, argCount: 0 },
-    print:          { capability: CAPABILITIES.LOG, argCount: 1 }
+    getArgs:        { capability: CAPABILITIES.COMMAND, args: [], returns: 'string' },
+    print:          { capability: CAPABILITIES.LOG, args: ['string'] },
+
+    // String helpers (strings they return are released when the kernel's
+    // call into the module returns)
+    strcat:         { capability: CAPABILITIES.NONE, args: ['string', 'string'], returns: 'string' },
+    itoa:           { capability: CAPABILITIES.NONE, args: ['int', 'int'], returns: 'string' },
+    strlen:         { capability: CAPABILITIES.NONE, args: ['string'] },
+    format:         { capability: CAPABILITIES.NONE, args: ['string', 'any...'], returns: 'string' }
 };
 
 // AKM bytecode opcodes
@@ -166,6 +231,8 @@ const OPCODES = {
     NEG:        0x25,
     INC:        0x26,
     DEC:        0x27,
+    DIVU:       0x28,   // Unsigned divide
+    MODU:       0x29,   // Unsigned remainder
 
     // Bitwise
     AND:        0x30,
@@ -173,7 +240,8 @@ const OPCODES = {
     XOR:        0x32,
     NOT:        0x33,
     SHL:        0x34,
-    SHR:        0x35,
+    SHR:        0x35,   // Logical (zero-filling) shift right
+    SAR:        0x36,   // Arithmetic (sign-extending) shift right
 
     // Comparison
     EQ:         0x40,
@@ -182,6 +250,10 @@ const OPCODES = {
     LE:         0x43,
     GT:         0x44,
     GE:         0x45,
+    LTU:        0x46,   // Unsigned comparisons
+    LEU:        0x47,
+    GTU:        0x48,
+    GEU:        0x49,
 
     // Control flow
     JMP:        0x50,
@@ -190,6 +262,7 @@ const OPCODES = {
     CALL:       0x53,
     CALL_API:   0x54,
     RET:        0x55,
+    SWITCH:     0x56,
 
     // Memory
     LOAD8:      0x60,
@@ -205,6 +278,35 @@ const OPCODES = {
     HALT:       0x7F
 };
 
+// IR pseudo-instructions (resolved by the code generator, never emitted)
+const IR_OPS = {
+    LABEL:      0x100,
+    PUSH_FUNC:  0x101,  // PUSH of a function's code offset, relocated
+    PUSH_TABLE: 0x102   // PUSH of a constant table's .rodata offset, relocated
+};
+
+// Intrinsics: AKM.* calls compiled inline to a single opcode
+const INTRINSICS = {
+    // Raw memory access (address, [value])
+    peek8:      { capability: CAPABILITIES.MEMORY, args: ['buffer'], opcode: OPCODES.LOAD8 },
+    peek16:     { capability: CAPABILITIES.MEMORY, args: ['buffer'], opcode: OPCODES.LOAD16 },
+    peek32:     { capability: CAPABILITIES.MEMORY, args: ['buffer'], opcode: OPCODES.LOAD32 },
+    poke8:      { capability: CAPABILITIES.MEMORY, args: ['buffer', 'int'], opcode: OPCODES.STORE8 },
+    poke16:     { capability: CAPABILITIES.MEMORY, args: ['buffer', 'int'], opcode: OPCODES.STORE16 },
+    poke32:     { capability: CAPABILITIES.MEMORY, args: ['buffer', 'int'], opcode: OPCODES.STORE32 }
+};
+
+// Field types for AKM.struct() layouts
+const FIELD_TYPES = {
+    u8:     { size: 1, load: OPCODES.LOAD8,  store: OPCODES.STORE8,  signed: false },
+    i8:     { size: 1, load: OPCODES.LOAD8,  store: OPCODES.STORE8,  signed: true },
+    u16:    { size: 2, load: OPCODES.LOAD16, store: OPCODES.STORE16, signed: false },
+    i16:    { size: 2, load: OPCODES.LOAD16, store: OPCODES.STORE16, signed: true },
+    u32:    { size: 4, load: OPCODES.LOAD32, store: OPCODES.STORE32, signed: false },
+    i32:    { size: 4, load: OPCODES.LOAD32, store: OPCODES.STORE32, signed: true },
+    ptr:    { size: 4, load: OPCODES.LOAD32, store: OPCODES.STORE32, signed: false }
+};
+
 // AKM file format constants
 const AKM_FORMAT = {
     MAGIC_V1: 0x004D4B41,   // "AKM\0"
@@ -220,6 +322,8 @@ const AKM_FORMAT = {
     SECTION_SYMTAB: 5,
     SECTION_STRTAB: 6,
     SECTION_RELTAB: 7,
+    SECTION_CMDTAB: 8,
+    SECTION_PARAMTAB: 9,
 
     // Symbol types
     SYM_NOTYPE: 0,
@@ -232,6 +336,51 @@ const AKM_FORMAT = {
     BIND_GLOBAL:    1,
     BIND_WEAK:      2,
 
+    // Relocation types
+    RELOC_CODE:     1,  // 32-bit code offset, rebased to the loaded code address
+    RELOC_DATA:     2,  // 32-bit data offset, rebased to the loaded data address
+    RELOC_RODATA:   3,  // 32-bit .rodata offset, rebased to the loaded .rodata address
+    RELOC_ENTRY_SIZE: 8,
+
+    // Command table: header, command records, completion hints. The loader
+    // registers top-level records after init succeeds and unregisters them
+    // before exit.
+    CMDTAB_MAGIC:       0x444D4341,  // "ACMD"
+    CMDTAB_VERSION:     1,
+    CMDTAB_HEADER_SIZE: 16,
+    CMDTAB_ENTRY_SIZE:  40,
+    CMDTAB_HINT_SIZE:   8,
+    CMD_NO_PARENT:      0xFFFF,
+
+    // Command record flags
+    CMD_HIDDEN:         0x0001,  // Left out of help and completion
+    CMD_PRIVILEGED:     0x0002,  // Handler checks resource/permission first
+    CMD_ALIAS:          0x0004,  // Another name for record alias_of
+    CMD_SUBCOMMANDS:    0x0008,  // Handler dispatches to child records
+
+    // Completion hint kinds
+    HINT_WORD:      1,  // Literal word
+    HINT_FLAG:      2,  // Option flag
+    HINT_FILE:      3,  // File path
+    HINT_DIR:       4,  // Directory path
+    HINT_COMMAND:   5,  // Shell command name
+    HINT_ENV:       6,  // Environment variable name
+    HINT_ANY_POSITION: 0xFF,
+
+    // Parameter table: header, then one record per AKM.param(). The loader
+    // writes values given at load time into the records' .data slots
+    // before init runs.
+    PARAMTAB_MAGIC:       0x4D525041,  // "APRM"
+    PARAMTAB_VERSION:     1,
+    PARAMTAB_HEADER_SIZE: 16,
+    PARAMTAB_ENTRY_SIZE:  16,
+
+    // Parameter types
+    PARAM_INT:      1,  // Signed 32-bit integer
+    PARAM_UINT:     2,  // Unsigned 32-bit integer
+    PARAM_BOOL:     3,  // 0 or 1
+    PARAM_STRING:   4,  // Pointer to a NUL-terminated string
+
     // Module flags
     FLAG_REQUIRED:  0x0001,
     FLAG_AUTOLOAD:  0x0002,
@@ -252,8 +401,16 @@ const LICENSES = {
 
 module.exports = {
     CAPABILITIES,
+    DRIVER_TYPES,
+    LOG_LEVELS,
+    OPEN_FLAGS,
+    SEEK_MODES,
+    AKM_CONSTANTS,
     API_FUNCTIONS,
     OPCODES,
+    IR_OPS,
+    INTRINSICS,
+    FIELD_TYPES,
     AKM_FORMAT,
     LICENSES
 };
@@ -0,0 +1,366 @@
+/**
+ * AKMConstEval - Compile-time Constant Evaluation
+ *
+ * Evaluates expressions built from literals, AKM constant tables
+ * (AKM.CAPS.*, AKM.DRV_TYPE.*, AKM.LOG_LEVEL.*, ...), operators and
+ * top-level `const` bindings, including constant-index elements and
+ * `.length` of constant tables. Used for module and command configuration,
+ * global initializers, struct array lengths and folding in function bodies.
+ *
+ * Integer operators follow the VM's 32-bit semantics (see int32.js).
+ * Unsigned values are kept as numbers in [0, 2^32), signed ones in
+ * [-2^31, 2^31).
+ */
+
+const { AKM_CONSTANTS } = require('./constants');
+const {
+    INT32_MAX, UINT32_MAX, SIGNED_RESULT_OPS, COMPARISON_OPS,
+    toInt32, toUint32, binaryOpcode, builtinName, foldBinary, power
+} = require('./int32');
+
+const isInteger = value => Number.isInteger(value) || typeof value === 'boolean' || value === null;
+
+class AKMConstEval {
+    /**
+     * @param {Map<string, object>} bindings Top-level const name to initializer node
+     */
+    constructor(bindings = new Map()) {
+        this.bindings = bindings;
+        this.values = new Map();
+        this.resolving = new Set();
+        this.signs = new Map();
+    }
+
+    /**
+     * Collect top-level `const` bindings from a Program node
+     */
+    static collectBindings(ast) {
+        const bindings = new Map();
+
+        for (let node of ast.body) {
+            if (node.type === 'ExportNamedDeclaration') node = node.declaration;
+            if (!node || node.type !== 'VariableDeclaration' || node.kind !== 'const') continue;
+
+            for (const decl of node.declarations) {
+                if (decl.id.type === 'Identifier' && decl.init) {
+                    bindings.set(decl.id.name, decl.init);
+                }
+            }
+        }
+
+        return bindings;
+    }
+
+    /**
+     * Evaluate an expression at compile time
+     *
+     * @param {object} node Expression node
+     * @param {function} [isShadowed] Returns true for names bound by an
+     *                                inner scope, which hide top-level consts
+     * @returns {*} The value, or undefined when it is not a constant
+     */
+    evaluate(node, isShadowed = () => false) {
+        if (!node) return undefined;
+
+        switch (node.type) {
+            case 'Literal':
+                if (node.regex || node.bigint !== undefined) return undefined;
+                // Reported by the analyzer rather than silently wrapped
+                if (typeof node.value === 'number' && node.value > UINT32_MAX) return undefined;
+                return node.value;
+
+            case 'TemplateLiteral': {
+                let result = node.quasis[0].value.cooked;
+                for (let i = 0; i < node.expressions.length; i++) {
+                    const value = this.evaluate(node.expressions[i], isShadowed);
+                    if (value === undefined) return undefined;
+                    result += String(value) + node.quasis[i + 1].value.cooked;
+                }
+                return result;
+            }
+
+            case 'Identifier':
+                if (isShadowed(node.name)) return undefined;
+                return this.evaluateBinding(node.name);
+
+            case 'MemberExpression':
+                return this.evaluateMember(node, isShadowed);
+
+            case 'UnaryExpression': {
+                const value = this.evaluate(node.argument, isShadowed);
+                if (value === undefined) return undefined;
+
+                switch (node.operator) {
+                    case '-': return isInteger(value) ? toInt32(-value) : undefined;
+                    case '+': return +value;
+                    case '~': return isInteger(value) ? ~value : undefined;
+                    case '!': return !value;
+                }
+                return undefined;
+            }
+
+            case 'BinaryExpression': {
+                const left = this.evaluate(node.left, isShadowed);
+                if (left === undefined) return undefined;
+                const right = this.evaluate(node.right, isShadowed);
+                if (right === undefined) return undefined;
+                const unsigned = this.isUnsigned(node.left) || this.isUnsigned(node.right);
+                return this.evaluateBinary(node.operator, left, right, unsigned);
+            }
+
+            case 'LogicalExpression': {
+                const left = this.evaluate(node.left, isShadowed);
+                if (left === undefined) return undefined;
+
+                switch (node.operator) {
+                    case '&&': return left ? this.evaluate(node.right, isShadowed) : left;
+                    case '||': return left ? left : this.evaluate(node.right, isShadowed);
+                    case '??': return left !== null ? left : this.evaluate(node.right, isShadowed);
+                }
+                return undefined;
+            }
+
+            case 'ConditionalExpression': {
+                const test = this.evaluate(node.test, isShadowed);
+                if (test === undefined) return undefined;
+                return this.evaluate(test ? node.consequent : node.alternate, isShadowed);
+            }
+
+            case 'CallExpression':
+                return this.evaluateBuiltin(node, isShadowed);
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Evaluate a top-level const by name (cached, cycles are not constant)
+     */
+    evaluateBinding(name) {
+        if (this.values.has(name)) return this.values.get(name);
+        if (!this.bindings.has(name) || this.resolving.has(name)) return undefined;
+
+        // Top-level initializers only see other top-level names
+        this.resolving.add(name);
+        const value = this.evaluate(this.bindings.get(name));
+        this.resolving.delete(name);
+
+        this.values.set(name, value);
+        return value;
+    }
+
+    /**
+     * Evaluate AKM.TABLE.NAME, constant table elements and constant string
+     * or table .length
+     */
+    evaluateMember(node, isShadowed) {
+        const key = node.computed
+            ? this.evaluate(node.property, isShadowed)
+            : node.property.name;
+        if (key === undefined) return undefined;
+
+        const object = node.object;
+        if (object.type === 'MemberExpression' &&
+            !object.computed &&
+            object.object.type === 'Identifier' &&
+            object.object.name === 'AKM' &&
+            !isShadowed('AKM')) {
+            const table = AKM_CONSTANTS[object.property.name];
+            if (table && Object.prototype.hasOwnProperty.call(table, key)) {
+                return table[key];
+            }
+            return undefined;
+        }
+
+        const element = this.tableElement(node, isShadowed);
+        if (element && element.type !== 'ArrayExpression' && element.type !== 'ObjectExpression') {
+            // Table contents only see top-level names
+            return this.evaluate(element);
+        }
+
+        if (key === 'length') {
+            const table = this.tableElement(object, isShadowed);
+            if (table && table.type === 'ArrayExpression') return table.elements.length;
+
+            const value = this.evaluate(object, isShadowed);
+            if (typeof value === 'string') return value.length;
+        }
+
+        return undefined;
+    }
+
+    /**
+     * The literal node a constant table reference selects: the table
+     * itself for its name, then a row or value for each constant index or
+     * key. Null when the reference is not into a top-level const literal.
+     */
+    tableElement(node, isShadowed) {
+        if (node.type === 'Identifier') {
+            if (isShadowed(node.name)) return null;
+            const init = this.bindings.get(node.name);
+            return init && (init.type === 'ArrayExpression' || init.type === 'ObjectExpression') ? init : null;
+        }
+        if (node.type !== 'MemberExpression') return null;
+
+        const parent = this.tableElement(node.object, isShadowed);
+        if (!parent) return null;
+
+        const key = node.computed ? this.evaluate(node.property, isShadowed) : node.property.name;
+        if (parent.type === 'ArrayExpression') {
+            return Number.isInteger(key) && key >= 0 && key < parent.elements.length
+                ? parent.elements[key]
+                : null;
+        }
+        if (parent.type === 'ObjectExpression' && key !== undefined) {
+            const prop = parent.properties.find(p => p.type === 'Property' && !p.computed &&
+                (p.key.type === 'Identifier' ? p.key.name : String(p.key.value)) === String(key));
+            return prop ? prop.value : null;
+        }
+        return null;
+    }
+
+    /**
+     * Evaluate u32(), i32() and Math.imul() with constant arguments
+     */
+    evaluateBuiltin(node, isShadowed) {
+        const name = builtinName(node.callee);
+        if (!name) return undefined;
+
+        const root = name.split('.')[0];
+        if (isShadowed(root) || this.bindings.has(root)) return undefined;
+
+        const args = node.arguments.map(arg => this.evaluate(arg, isShadowed));
+        if (!args.every(isInteger)) return undefined;
+
+        switch (name) {
+            case 'u32':         return args.length === 1 ? toUint32(args[0]) : undefined;
+            case 'i32':         return args.length === 1 ? toInt32(args[0]) : undefined;
+            case 'Math.imul':   return args.length === 2 ? Math.imul(args[0], args[1]) : undefined;
+        }
+        return undefined;
+    }
+
+    /**
+     * Apply a binary operator to constant operands
+     *
+     * Integer operands use the VM's 32-bit semantics; the result is
+     * unsigned when `unsigned` is set and the operator keeps that type.
+     * Non-integer arithmetic is not constant, so it is compiled (and
+     * reported) as written.
+     */
+    evaluateBinary(operator, left, right, unsigned = false) {
+        if (typeof left === 'string' || typeof right === 'string') {
+            switch (operator) {
+                case '+':   return String(left) + String(right);
+                case '==':
+                case '===': return left === right;
+                case '!=':
+                case '!==': return left !== right;
+            }
+            return undefined;
+        }
+        if (!isInteger(left) || !isInteger(right)) return undefined;
+
+        let value;
+        const op = binaryOpcode(operator, unsigned);
+        if (operator === '**') {
+            value = power(Number(left), Number(right));
+        } else if (op !== undefined) {
+            value = foldBinary(op, Number(left), Number(right));
+        }
+
+        if (value === undefined) return undefined;
+        if (COMPARISON_OPS.has(op)) return value === 1;
+        if (operator === '>>>') return value;
+        return unsigned && !SIGNED_RESULT_OPS.has(operator) ? toUint32(value) : value;
+    }
+
+    // =========================================================================
+    // SIGNEDNESS
+    // =========================================================================
+
+    /**
+     * Whether an integer expression has unsigned type
+     *
+     * `>>>`, u32() and literals above 0x7FFFFFFF are unsigned. Arithmetic
+     * and bitwise operators are unsigned when either operand is, as in C;
+     * comparisons, `<<`, `>>`, unary operators and i32() are signed.
+     *
+     * @param {object} node Expression node
+     * @param {function} [leaf] Decides identifiers, member expressions and
+     *                          calls; defaults to top-level constants only
+     */
+    isUnsigned(node, leaf = n => this.isUnsignedConstant(n)) {
+        switch (node.type) {
+            case 'Literal':
+                return typeof node.value === 'number' && node.value > INT32_MAX;
+
+            case 'BinaryExpression':
+                if (node.operator === '>>>') return true;
+                if (SIGNED_RESULT_OPS.has(node.operator)) return false;
+                return this.isUnsigned(node.left, leaf) || this.isUnsigned(node.right, leaf);
+
+            case 'AssignmentExpression': {
+                if (node.operator === '=') return this.isUnsigned(node.right, leaf);
+                const operator = node.operator.slice(0, -1);
+                if (operator === '>>>') return true;
+                if (SIGNED_RESULT_OPS.has(operator)) return false;
+                return this.isUnsigned(node.left, leaf) || this.isUnsigned(node.right, leaf);
+            }
+
+            case 'UpdateExpression':
+                return this.isUnsigned(node.argument, leaf);
+
+            case 'ConditionalExpression':
+            case 'LogicalExpression': {
+                const [a, b] = node.type === 'LogicalExpression'
+                    ? [node.left, node.right]
+                    : [node.consequent, node.alternate];
+                return this.isUnsigned(a, leaf) && this.isUnsigned(b, leaf);
+            }
+
+            case 'SequenceExpression':
+                return this.isUnsigned(node.expressions[node.expressions.length - 1], leaf);
+
+            case 'Identifier':
+            case 'MemberExpression':
+            case 'CallExpression':
+                return leaf(node);
+        }
+        return false;
+    }
+
+    /**
+     * Signedness of top-level constants, AKM constants and u32() calls
+     */
+    isUnsignedConstant(node) {
+        switch (node.type) {
+            case 'Identifier':
+                return this.isUnsignedBinding(node.name);
+
+            case 'CallExpression':
+                return builtinName(node.callee) === 'u32' && !this.bindings.has('u32');
+
+            case 'MemberExpression': {
+                const value = this.evaluateMember(node, () => false);
+                return typeof value === 'number' && value > INT32_MAX;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Whether a top-level const has unsigned type (cycles are signed)
+     */
+    isUnsignedBinding(name) {
+        if (this.signs.has(name)) return this.signs.get(name);
+        if (!this.bindings.has(name)) return false;
+
+        this.signs.set(name, false);
+        const unsigned = this.isUnsigned(this.bindings.get(name));
+        this.signs.set(name, unsigned);
+        return unsigned;
+    }
+}
+
+module.exports = { AKMConstEval };
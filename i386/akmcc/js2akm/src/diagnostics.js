@@ -0,0 +1,170 @@
+/**
+ * AKM Compiler Diagnostics
+ *
+ * Stable diagnostic codes and the JSON/SARIF renderings of a diagnostic
+ * list. Codes never change meaning once released; retired ones are not
+ * reused.
+ *
+ * A diagnostic is a plain object:
+ *   { code, severity: 'error'|'warning', message, file,
+ *     line, column, endLine, endColumn }
+ * Lines are 1-based and columns 0-based, as in the parser's AST; line 0
+ * means the diagnostic applies to the whole file.
+ */
+
+const DIAGNOSTICS = {
+    // 1xxx: syntax and module structure
+    SYNTAX_ERROR:           { code: 'AKM1001', title: 'Syntax error' },
+    MISSING_MODULE:         { code: 'AKM1002', title: 'Missing AKM.module() declaration' },
+    MISSING_NAME:           { code: 'AKM1003', title: 'Module has no name' },
+    MISSING_INIT:           { code: 'AKM1004', title: 'Missing init() function' },
+    MISSING_EXIT:           { code: 'AKM1005', title: 'Missing exit() function' },
+    NOT_CONSTANT:           { code: 'AKM1006', title: 'Configuration value is not a compile-time constant' },
+    INVALID_STRUCT:         { code: 'AKM1007', title: 'Invalid struct layout' },
+    TOP_LEVEL_CODE:         { code: 'AKM1008', title: 'Top-level code is never executed' },
+    INVALID_HANDLER:        { code: 'AKM1009', title: 'Invalid command handler' },
+    INVALID_EXPORT:         { code: 'AKM1010', title: 'Invalid export' },
+    INVALID_ARGS:           { code: 'AKM1011', title: 'Invalid command argument schema' },
+    INVALID_COMMAND:        { code: 'AKM1012', title: 'Invalid command declaration' },
+    INVALID_PARAM:          { code: 'AKM1013', title: 'Invalid module parameter' },
+    INVALID_IMPORT:         { code: 'AKM1014', title: 'Invalid import' },
+    INVALID_TABLE:          { code: 'AKM1015', title: 'Invalid constant table' },
+
+    // 2xxx: language subset
+    UNSUPPORTED_CONSTRUCT:  { code: 'AKM2001', title: 'Unsupported construct' },
+    UNSUPPORTED_OPERATOR:   { code: 'AKM2002', title: 'Unsupported operator' },
+    UNDEFINED_NAME:         { code: 'AKM2003', title: 'Undefined name' },
+    SELF_REFERENCE:         { code: 'AKM2004', title: 'Variable used in its own initializer' },
+    CLOSURE_CAPTURE:        { code: 'AKM2005', title: 'Closures are not supported' },
+    INVALID_ASSIGNMENT:     { code: 'AKM2006', title: 'Invalid assignment target' },
+    UNDEFINED_FUNCTION:     { code: 'AKM2007', title: 'Call to undefined function' },
+    INVALID_CALL:           { code: 'AKM2008', title: 'Unsupported call' },
+    INLINE_FUNCTION:        { code: 'AKM2009', title: 'Inline function outside a callback' },
+    STRUCT_USAGE:           { code: 'AKM2010', title: 'Invalid struct usage' },
+    PROPERTY_ACCESS:        { code: 'AKM2011', title: 'Unsupported property access' },
+    FRAME_TOO_LARGE:        { code: 'AKM2012', title: 'Too many locals' },
+    FUNCTION_ARITY:         { code: 'AKM2013', title: 'Missing function arguments' },
+    TRUNCATED_NUMBER:       { code: 'AKM2014', title: 'Non-integer value truncated' },
+    STRING_SWITCH:          { code: 'AKM2015', title: 'switch compares string addresses' },
+    JUMP_TARGET:            { code: 'AKM2016', title: 'break/continue without a target' },
+    INTEGER_OVERFLOW:       { code: 'AKM2017', title: 'Integer literal out of 32-bit range' },
+    INVALID_THROW:          { code: 'AKM2018', title: 'Thrown value is not an integer error code' },
+    SCRATCH_STRING:         { code: 'AKM2019', title: 'Runtime string stored beyond its call' },
+    DUPLICATE_FUNCTION:     { code: 'AKM2020', title: 'Function name declared twice' },
+    UNTYPED_OPERAND:        { code: 'AKM2021', title: 'String operand of unknown kind' },
+    DIVISION_BY_ZERO:       { code: 'AKM2022', title: 'Constant division by zero' },
+
+    // 3xxx: kernel API usage
+    UNKNOWN_API:            { code: 'AKM3001', title: 'Unknown API method' },
+    API_ARITY:              { code: 'AKM3002', title: 'Wrong number of API arguments' },
+    API_ARGUMENT:           { code: 'AKM3003', title: 'Wrong API argument kind' },
+    AKM_MEMBER:             { code: 'AKM3004', title: 'Invalid use of the AKM object' },
+    MISPLACED_DECLARATION:  { code: 'AKM3005', title: 'Declaration API used inside a function' },
+    RESOURCE_LEAK:          { code: 'AKM3006', title: 'Resource acquired in init() is not released in exit()' },
+
+    // 4xxx: capabilities
+    CAPABILITY_MISSING:     { code: 'AKM4001', title: 'Capability missing from header mask' },
+    UNKNOWN_CAPABILITY:     { code: 'AKM4002', title: 'Unknown capability name' },
+
+    // 9xxx: compiler failures
+    INTERNAL_ERROR:         { code: 'AKM9001', title: 'Internal compiler error' }
+};
+
+/**
+ * Build a diagnostic from an AST node (or a { loc } holder)
+ *
+ * Nodes parsed from an imported file carry it in loc.source, which takes
+ * precedence over `file`.
+ */
+function createDiagnostic(severity, diag, file, node, message) {
+    const loc = node && node.loc;
+    return {
+        code: diag.code,
+        severity: severity,
+        message: message,
+        file: (loc && loc.source) || file,
+        line: loc ? loc.start.line : 0,
+        column: loc ? loc.start.column : 0,
+        endLine: loc ? loc.end.line : 0,
+        endColumn: loc ? loc.end.column : 0
+    };
+}
+
+/**
+ * Error carrying every diagnostic of a failed compilation
+ */
+class AKMCompileError extends Error {
+    constructor(diagnostics) {
+        const first = diagnostics[0];
+        const more = diagnostics.length > 1 ? ` (and ${diagnostics.length - 1} more)` : '';
+        super(`${first.file}:${first.line}:${first.column}: ${first.message}${more}`);
+        this.name = 'AKMCompileError';
+        this.diagnostics = diagnostics;
+    }
+}
+
+/**
+ * Render diagnostics as a JSON document
+ */
+function toJSON(diagnostics) {
+    return JSON.stringify({
+        version: 1,
+        errors: diagnostics.filter(d => d.severity === 'error').length,
+        warnings: diagnostics.filter(d => d.severity === 'warning').length,
+        diagnostics: diagnostics
+    }, null, 2);
+}
+
+/**
+ * Render diagnostics as a SARIF 2.1.0 log
+ */
+function toSARIF(diagnostics, toolVersion) {
+    const byCode = new Map(Object.values(DIAGNOSTICS).map(d => [d.code, d]));
+    const codes = [...new Set(diagnostics.map(d => d.code))].sort();
+
+    const results = diagnostics.map(d => {
+        const location = { artifactLocation: { uri: d.file } };
+        if (d.line > 0) {
+            // SARIF columns are 1-based
+            location.region = {
+                startLine: d.line,
+                startColumn: d.column + 1,
+                endLine: d.endLine || d.line,
+                endColumn: (d.endLine ? d.endColumn : d.column) + 1
+            };
+        }
+        return {
+            ruleId: d.code,
+            ruleIndex: codes.indexOf(d.code),
+            level: d.severity === 'error' ? 'error' : 'warning',
+            message: { text: d.message },
+            locations: [{ physicalLocation: location }]
+        };
+    });
+
+    return JSON.stringify({
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'akmcc',
+                    version: toolVersion,
+                    rules: codes.map(code => ({
+                        id: code,
+                        shortDescription: { text: (byCode.get(code) || DIAGNOSTICS.INTERNAL_ERROR).title }
+                    }))
+                }
+            },
+            results: results
+        }]
+    }, null, 2);
+}
+
+module.exports = {
+    DIAGNOSTICS,
+    AKMCompileError,
+    createDiagnostic,
+    toJSON,
+    toSARIF
+};
@@ -0,0 +1,179 @@
+/**
+ * AKM Integer Semantics
+ *
+ * The VM computes on 32-bit two's-complement integers. ADD, SUB, MUL, NEG
+ * and SHL wrap; DIV and MOD truncate toward zero; shift counts use their
+ * low 5 bits. Signed and unsigned variants exist where the result depends
+ * on it: SHR/SAR, DIV/DIVU, MOD/MODU and LT/LTU, LE/LEU, GT/GTU, GE/GEU.
+ *
+ * Every compile-time evaluation (constant expressions and the optimizer's
+ * constant folding) goes through foldBinary so that it agrees bit for bit
+ * with the runtime.
+ */
+
+const { OPCODES } = require('./constants');
+
+const INT32_MAX = 0x7FFFFFFF;
+const UINT32_MAX = 0xFFFFFFFF;
+
+// Binary operators that map directly onto a single opcode
+const BINARY_OPS = {
+    '+':    OPCODES.ADD,
+    '-':    OPCODES.SUB,
+    '*':    OPCODES.MUL,
+    '/':    OPCODES.DIV,
+    '%':    OPCODES.MOD,
+    '&':    OPCODES.AND,
+    '|':    OPCODES.OR,
+    '^':    OPCODES.XOR,
+    '<<':   OPCODES.SHL,
+    '>>':   OPCODES.SAR,
+    '>>>':  OPCODES.SHR,
+    '==':   OPCODES.EQ,
+    '===':  OPCODES.EQ,
+    '!=':   OPCODES.NE,
+    '!==':  OPCODES.NE,
+    '<':    OPCODES.LT,
+    '<=':   OPCODES.LE,
+    '>':    OPCODES.GT,
+    '>=':   OPCODES.GE
+};
+
+// Replacements used when either operand has unsigned type
+const UNSIGNED_OPS = {
+    '/':    OPCODES.DIVU,
+    '%':    OPCODES.MODU,
+    '<':    OPCODES.LTU,
+    '<=':   OPCODES.LEU,
+    '>':    OPCODES.GTU,
+    '>=':   OPCODES.GEU
+};
+
+// Operators whose result is signed whatever their operands are
+const SIGNED_RESULT_OPS = new Set(['<<', '>>', '==', '===', '!=', '!==', '<', '<=', '>', '>=']);
+
+const COMPARISON_OPS = new Set([
+    OPCODES.EQ, OPCODES.NE,
+    OPCODES.LT, OPCODES.LE, OPCODES.GT, OPCODES.GE,
+    OPCODES.LTU, OPCODES.LEU, OPCODES.GTU, OPCODES.GEU
+]);
+
+// Cast and multiply builtins, with their argument kinds
+const INT_BUILTINS = {
+    'u32':          ['int'],
+    'i32':          ['int'],
+    'Math.imul':    ['int', 'int']
+};
+
+const toInt32 = value => value | 0;
+const toUint32 = value => value >>> 0;
+
+// Opcode semantics; division by zero does not fold (irgen reports it)
+const FOLD = {
+    [OPCODES.ADD]:  (a, b) => (a + b) | 0,
+    [OPCODES.SUB]:  (a, b) => (a - b) | 0,
+    [OPCODES.MUL]:  (a, b) => Math.imul(a, b),
+    [OPCODES.DIV]:  (a, b) => b === 0 ? undefined : Math.trunc(a / b) | 0,
+    [OPCODES.MOD]:  (a, b) => b === 0 ? undefined : (a % b) | 0,
+    [OPCODES.DIVU]: (a, b) => b === 0 ? undefined : Math.trunc(a / b) >>> 0,
+    [OPCODES.MODU]: (a, b) => b === 0 ? undefined : (a % b) >>> 0,
+    [OPCODES.AND]:  (a, b) => a & b,
+    [OPCODES.OR]:   (a, b) => a | b,
+    [OPCODES.XOR]:  (a, b) => a ^ b,
+    [OPCODES.SHL]:  (a, b) => a << b,
+    [OPCODES.SAR]:  (a, b) => a >> b,
+    [OPCODES.SHR]:  (a, b) => a >>> b,
+    [OPCODES.EQ]:   (a, b) => a === b ? 1 : 0,
+    [OPCODES.NE]:   (a, b) => a !== b ? 1 : 0,
+    [OPCODES.LT]:   (a, b) => a < b ? 1 : 0,
+    [OPCODES.LE]:   (a, b) => a <= b ? 1 : 0,
+    [OPCODES.GT]:   (a, b) => a > b ? 1 : 0,
+    [OPCODES.GE]:   (a, b) => a >= b ? 1 : 0,
+    [OPCODES.LTU]:  (a, b) => a < b ? 1 : 0,
+    [OPCODES.LEU]:  (a, b) => a <= b ? 1 : 0,
+    [OPCODES.GTU]:  (a, b) => a > b ? 1 : 0,
+    [OPCODES.GEU]:  (a, b) => a >= b ? 1 : 0
+};
+
+const UNSIGNED_OPERANDS = new Set([
+    OPCODES.DIVU, OPCODES.MODU,
+    OPCODES.LTU, OPCODES.LEU, OPCODES.GTU, OPCODES.GEU
+]);
+
+/**
+ * Opcode for a binary operator, or undefined if it has none
+ */
+function binaryOpcode(operator, unsigned) {
+    if (unsigned && UNSIGNED_OPS[operator] !== undefined) {
+        return UNSIGNED_OPS[operator];
+    }
+    return BINARY_OPS[operator];
+}
+
+/**
+ * Name of the integer builtin a callee refers to, or null
+ *
+ * Only the syntax is checked; callers make sure the name is not shadowed
+ * by a module declaration.
+ */
+function builtinName(callee) {
+    if (callee.type === 'Identifier') {
+        return callee.name === 'u32' || callee.name === 'i32' ? callee.name : null;
+    }
+    if (callee.type === 'MemberExpression' && !callee.computed &&
+        callee.object.type === 'Identifier' && callee.object.name === 'Math' &&
+        callee.property.name === 'imul') {
+        return 'Math.imul';
+    }
+    return null;
+}
+
+/**
+ * Apply an opcode to two constants exactly as the VM would
+ *
+ * Operands may be given as signed or unsigned numbers; only their low
+ * 32 bits matter. Returns undefined when the opcode cannot be folded.
+ */
+function foldBinary(op, a, b) {
+    const fold = FOLD[op];
+    if (!fold) return undefined;
+
+    const convert = UNSIGNED_OPERANDS.has(op) ? toUint32 : toInt32;
+    return fold(convert(a), convert(b));
+}
+
+/**
+ * base ** exponent with wrapping multiplication
+ */
+function power(base, exponent) {
+    base = toInt32(base);
+    exponent = toInt32(exponent);
+    if (exponent < 0) {
+        // Only 1 and -1 have a non-zero integer reciprocal power
+        return base === 1 ? 1 : (base === -1 ? (exponent & 1 ? -1 : 1) : 0);
+    }
+
+    let result = 1;
+    while (exponent > 0) {
+        if (exponent & 1) result = Math.imul(result, base);
+        base = Math.imul(base, base);
+        exponent >>>= 1;
+    }
+    return result;
+}
+
+module.exports = {
+    INT32_MAX,
+    UINT32_MAX,
+    BINARY_OPS,
+    UNSIGNED_OPS,
+    SIGNED_RESULT_OPS,
+    COMPARISON_OPS,
+    INT_BUILTINS,
+    toInt32,
+    toUint32,
+    binaryOpcode,
+    builtinName,
+    foldBinary,
+    power
+};
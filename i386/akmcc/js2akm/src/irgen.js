@@ -0,0 +1,2215 @@
+/**
+ * AKMIRGen - Function Body Lowering
+ *
+ * Lowers JavaScript statements and expressions into the stack-based IR
+ * consumed by AKMCodeGen. Expressions are compiled in post-order and
+ * always leave exactly one 32-bit value on the operand stack.
+ */
+
+const { OPCODES, IR_OPS, API_FUNCTIONS, INTRINSICS } = require('./constants');
+const { DIAGNOSTICS } = require('./diagnostics');
+const { binaryOpcode, builtinName } = require('./int32');
+
+// Expressions folded to a single push when their value is known
+const FOLDABLE_EXPRESSIONS = new Set([
+    'Identifier',
+    'MemberExpression',
+    'TemplateLiteral',
+    'UnaryExpression',
+    'BinaryExpression',
+    'LogicalExpression',
+    'ConditionalExpression',
+    'CallExpression'
+]);
+
+// Frame slots are addressed with a single byte
+const MAX_FRAME_SLOTS = 256;
+
+// Switches use a jump table when they have at least this many integer
+// cases covering at least this fraction of their value range
+const JUMP_TABLE_MIN_CASES = 4;
+const JUMP_TABLE_MIN_DENSITY = 0.5;
+const JUMP_TABLE_MAX_ENTRIES = 0xFFFF;
+
+// Opcodes that fault when their divisor is 0
+const DIVISION_OPCODES = new Set([OPCODES.DIV, OPCODES.MOD, OPCODES.DIVU, OPCODES.MODU]);
+
+// Hidden global holding the pending error code while an error unwinds
+const ERROR_GLOBAL = '.error';
+
+// Values completing a finally block: normally, with a pending error, by
+// a return, or by the n-th break/continue routed through it (JUMP + n)
+const COMPLETION = { NORMAL: 0, ERROR: 1, RETURN: 2, JUMP: 3 };
+
+// Operand stack effect of each fixed-arity instruction
+const STACK_EFFECTS = new Map([
+    ...[OPCODES.PUSH, OPCODES.PUSH_STR, OPCODES.PUSH_ARG, OPCODES.DUP,
+        OPCODES.LOAD_LOCAL, OPCODES.LOAD_GLOBAL, IR_OPS.PUSH_FUNC, IR_OPS.PUSH_TABLE].map(op => [op, 1]),
+    ...[OPCODES.NOP, OPCODES.SWAP, OPCODES.NEG, OPCODES.INC, OPCODES.DEC, OPCODES.NOT,
+        OPCODES.LOAD8, OPCODES.LOAD16, OPCODES.LOAD32, OPCODES.BREAKPOINT].map(op => [op, 0]),
+    ...[OPCODES.STORE8, OPCODES.STORE16, OPCODES.STORE32].map(op => [op, -2])
+]);
+
+class AKMIRGen {
+    constructor(parser, context) {
+        this.parser = parser;
+        this.addString = context.addString;
+        this.functions = context.functions || {};
+        this.globals = context.globals || new Map();
+        this.structs = context.structs || new Map();
+        this.tables = context.tables || new Map();
+        this.checkErrors = context.checkErrors || false;
+        this.throwing = new Set();
+        this.argKinds = new Map();
+        this.entryPoints = new Set();
+        this.errorState = null;
+        this.labelCount = 0;
+        this.func = null;
+        this.scopes = [];
+        this.targets = [];
+        this.pendingLabels = [];
+        this.stringSlots = new Set();
+        this.untypedSlots = new Set();
+        this.stringArgSlots = new Set();
+        this.unsignedSlots = new Set();
+        this.constSlots = new Set();
+        this.slotTypes = new Map();
+        this.freeTemps = [];
+        this.handlers = [];
+        this.unwindLabel = null;
+        this.depth = 0;
+        this.labelDepths = new Map();
+    }
+
+    /**
+     * Compile a function node into irFunc.instructions
+     *
+     * globalInits are module-level declarations whose initializers are
+     * not compile-time constants; they are evaluated before the body.
+     */
+    compileFunction(node, irFunc, globalInits = []) {
+        this.func = irFunc;
+        this.scopes = [new Map()];
+        this.targets = [];
+        this.pendingLabels = [];
+        this.stringSlots = new Set();
+        this.untypedSlots = new Set();
+        this.stringArgSlots = new Set();
+        this.unsignedSlots = new Set();
+        this.constSlots = new Set();
+        this.slotTypes = new Map();
+        this.freeTemps = [];
+        this.handlers = [];
+        this.unwindLabel = null;
+        this.depth = 0;
+        this.labelDepths = new Map();
+
+        // Parameters occupy the first frame slots, in order
+        node.params.forEach((param, i) => {
+            if (param.type === 'AssignmentPattern') {
+                this.error(param, DIAGNOSTICS.UNSUPPORTED_CONSTRUCT, 'Default parameter values are not supported');
+            } else if (param.type !== 'Identifier') {
+                this.error(param, DIAGNOSTICS.UNSUPPORTED_CONSTRUCT, `Unsupported parameter pattern: ${param.type}`);
+            }
+            const slot = this.declareLocal(irFunc.params[i] || `$arg${i}`);
+            if (irFunc.paramKinds[i] === 'string') {
+                this.stringSlots.add(slot);
+            } else if (!irFunc.paramKinds[i]) {
+                // Only formatting uses what the call sites pass: `+` on
+                // a parameter stays address arithmetic
+                const kind = this.calledWith(irFunc.name, i);
+                if (kind === 'string') this.stringArgSlots.add(slot);
+                if (!kind) this.untypedSlots.add(slot);
+            }
+        });
+
+        // Global initializers see only module scope, not init's parameters
+        const functionScopes = this.scopes;
+        this.scopes = [new Map()];
+        for (const global of globalInits) {
+            this.checkScratchStore(global.init, `module variable '${global.name}'`);
+            this.compileExpression(global.init);
+            this.emit({ op: OPCODES.STORE_GLOBAL, name: global.name });
+        }
+        this.scopes = functionScopes;
+
+        if (node.body.type === 'BlockStatement') {
+            this.compileStatement(node.body);
+        } else {
+            // Expression-bodied arrow function
+            this.compileExpression(node.body);
+            this.emit({ op: OPCODES.RET });
+        }
+
+        // Falling off the end returns 0
+        const instructions = irFunc.instructions;
+        if (instructions.length === 0 ||
+            instructions[instructions.length - 1].op !== OPCODES.RET) {
+            this.emit({ op: OPCODES.PUSH, value: 0 });
+            this.emit({ op: OPCODES.RET });
+        }
+
+        if (this.unwindLabel) {
+            this.emitUnwind();
+        }
+
+        if (irFunc.locals.length > MAX_FRAME_SLOTS) {
+            this.error(node, DIAGNOSTICS.FRAME_TOO_LARGE, `Function '${irFunc.name}' needs ${irFunc.locals.length} frame slots (max ${MAX_FRAME_SLOTS})`);
+        }
+
+        this.func = null;
+    }
+
+    // =========================================================================
+    // STATEMENTS
+    // =========================================================================
+
+    /**
+     * Compile a statement (leaves the stack balanced)
+     */
+    compileStatement(node) {
+        switch (node.type) {
+            case 'BlockStatement':
+                this.scopes.push(new Map());
+                for (const stmt of node.body) {
+                    this.compileStatement(stmt);
+                }
+                this.scopes.pop();
+                break;
+
+            case 'ExpressionStatement':
+                this.compileExpression(node.expression);
+                this.emit({ op: OPCODES.POP });
+                break;
+
+            case 'VariableDeclaration':
+                this.compileVariableDeclaration(node);
+                break;
+
+            case 'ReturnStatement':
+                if (node.argument) {
+                    this.compileExpression(node.argument);
+                } else {
+                    this.emit({ op: OPCODES.PUSH, value: 0 });
+                }
+                this.emitReturn(this.handlers.length);
+                break;
+
+            case 'IfStatement':
+                this.compileIf(node);
+                break;
+
+            case 'WhileStatement':
+                this.compileWhile(node);
+                break;
+
+            case 'DoWhileStatement':
+                this.compileDoWhile(node);
+                break;
+
+            case 'ForStatement':
+                this.compileFor(node);
+                break;
+
+            case 'SwitchStatement':
+                this.compileSwitch(node);
+                break;
+
+            case 'LabeledStatement':
+                this.compileLabeled(node);
+                break;
+
+            case 'BreakStatement':
+                this.compileJump(node, 'breakLabel');
+                break;
+
+            case 'ContinueStatement':
+                this.compileJump(node, 'continueLabel');
+                break;
+
+            case 'TryStatement':
+                this.compileTry(node);
+                break;
+
+            case 'ThrowStatement':
+                this.compileThrow(node);
+                break;
+
+            case 'FunctionDeclaration':
+                // Compiled separately as its own function
+                break;
+
+            case 'EmptyStatement':
+                break;
+
+            default:
+                this.error(node, DIAGNOSTICS.UNSUPPORTED_CONSTRUCT, `Unsupported statement: ${node.type}`);
+        }
+    }
+
+    /**
+     * Compile let/const/var declarations into local slots
+     */
+    compileVariableDeclaration(node) {
+        for (const decl of node.declarations) {
+            if (decl.init &&
+                (decl.init.type === 'ArrowFunctionExpression' ||
+                 decl.init.type === 'FunctionExpression')) {
+                // Hoisted by extractFunctions
+                continue;
+            }
+
+            if (decl.id.type !== 'Identifier') {
+                this.error(decl.id, DIAGNOSTICS.UNSUPPORTED_CONSTRUCT, `Unsupported declaration pattern: ${decl.id.type}`);
+                continue;
+            }
+
+            const slot = this.declareLocal(decl.id.name);
+
+            if (decl.init && this.isStringExpression(decl.init)) {
+                this.stringSlots.add(slot);
+            } else if (decl.init && this.isUntyped(decl.init)) {
+                this.untypedSlots.add(slot);
+            } else if (decl.init && this.isStringArg(decl.init)) {
+                this.stringArgSlots.add(slot);
+            }
+            if (decl.init && this.isUnsignedExpression(decl.init)) {
+                this.unsignedSlots.add(slot);
+            }
+            if (node.kind === 'const') {
+                this.constSlots.add(slot);
+            }
+            const struct = decl.init && this.structTypeOf(decl.init);
+            if (struct) {
+                this.slotTypes.set(slot, struct);
+            }
+
+            if (decl.init) {
+                this.compileExpression(decl.init);
+            } else {
+                this.emit({ op: OPCODES.PUSH, value: 0 });
+            }
+            this.emit({ op: OPCODES.STORE_LOCAL, name: slot });
+        }
+    }
+
+    // =========================================================================
+    // CONTROL FLOW
+    // =========================================================================
+
+    /**
+     * if (test) consequent [else alternate]
+     */
+    compileIf(node) {
+        const end = this.newLabel();
+
+        this.compileExpression(node.test);
+
+        if (node.alternate) {
+            const otherwise = this.newLabel();
+            this.emit({ op: OPCODES.JZ, label: otherwise });
+            this.compileStatement(node.consequent);
+            this.emit({ op: OPCODES.JMP, label: end });
+            this.emitLabel(otherwise);
+            this.compileStatement(node.alternate);
+        } else {
+            this.emit({ op: OPCODES.JZ, label: end });
+            this.compileStatement(node.consequent);
+        }
+
+        this.emitLabel(end);
+    }
+
+    /**
+     * while (test) body
+     */
+    compileWhile(node) {
+        const top = this.newLabel();
+        const end = this.newLabel();
+
+        this.emitLabel(top);
+        this.compileExpression(node.test);
+        this.emit({ op: OPCODES.JZ, label: end });
+        this.compileLoopBody(node.body, end, top);
+        this.emit({ op: OPCODES.JMP, label: top });
+        this.emitLabel(end);
+    }
+
+    /**
+     * do body while (test)
+     */
+    compileDoWhile(node) {
+        const top = this.newLabel();
+        const next = this.newLabel();
+        const end = this.newLabel();
+
+        this.emitLabel(top);
+        this.compileLoopBody(node.body, end, next);
+        this.emitLabel(next);
+        this.compileExpression(node.test);
+        this.emit({ op: OPCODES.JNZ, label: top });
+        this.emitLabel(end);
+    }
+
+    /**
+     * for (init; test; update) body
+     */
+    compileFor(node) {
+        const top = this.newLabel();
+        const next = this.newLabel();
+        const end = this.newLabel();
+
+        // Loop header declarations are scoped to the loop
+        this.scopes.push(new Map());
+
+        if (node.init) {
+            if (node.init.type === 'VariableDeclaration') {
+                this.compileVariableDeclaration(node.init);
+            } else {
+                this.compileExpression(node.init);
+                this.emit({ op: OPCODES.POP });
+            }
+        }
+
+        this.emitLabel(top);
+        if (node.test) {
+            this.compileExpression(node.test);
+            this.emit({ op: OPCODES.JZ, label: end });
+        }
+
+        this.compileLoopBody(node.body, end, next);
+
+        this.emitLabel(next);
+        if (node.update) {
+            this.compileExpression(node.update);
+            this.emit({ op: OPCODES.POP });
+        }
+        this.emit({ op: OPCODES.JMP, label: top });
+        this.emitLabel(end);
+
+        this.scopes.pop();
+    }
+
+    /**
+     * Compile a loop body with break/continue targets in place
+     */
+    compileLoopBody(body, breakLabel, continueLabel) {
+        this.targets.push({
+            names: this.pendingLabels,
+            breakLabel: breakLabel,
+            continueLabel: continueLabel,
+            handlerDepth: this.handlers.length
+        });
+        this.pendingLabels = [];
+
+        this.compileStatement(body);
+
+        this.targets.pop();
+    }
+
+    /**
+     * switch (discriminant) { case ...: ... default: ... }
+     *
+     * Case bodies are emitted in source order so fallthrough works; the
+     * dispatch in front of them jumps to the first matching case, or to
+     * default (wherever it appears), or past the end.
+     */
+    compileSwitch(node) {
+        const end = this.newLabel();
+        const caseLabels = node.cases.map(() => this.newLabel());
+        const defaultIdx = node.cases.findIndex(c => c.test === null);
+        const fallback = defaultIdx >= 0 ? caseLabels[defaultIdx] : end;
+
+        // Scoped like a block: declarations in cases share one scope
+        this.scopes.push(new Map());
+
+        const table = this.buildJumpTable(node, caseLabels, fallback);
+        if (table) {
+            this.compileExpression(node.discriminant);
+            this.emit({ op: OPCODES.SWITCH, min: table.min, labels: table.labels, defaultLabel: fallback });
+        } else {
+            if (this.isStringExpression(node.discriminant)) {
+                this.warn(node, DIAGNOSTICS.STRING_SWITCH, 'switch on a string compares string addresses, not contents');
+            }
+
+            // Evaluate the discriminant once, then compare case by case
+            const temp = this.allocTemp();
+            this.compileExpression(node.discriminant);
+            this.emit({ op: OPCODES.STORE_LOCAL, name: temp });
+
+            node.cases.forEach((c, i) => {
+                if (c.test === null) return;
+                this.emit({ op: OPCODES.LOAD_LOCAL, name: temp });
+                this.compileExpression(c.test);
+                this.emit({ op: OPCODES.EQ });
+                this.emit({ op: OPCODES.JNZ, label: caseLabels[i] });
+            });
+            this.emit({ op: OPCODES.JMP, label: fallback });
+            this.freeTemp(temp);
+        }
+
+        this.targets.push({ names: [], breakLabel: end, continueLabel: null, handlerDepth: this.handlers.length });
+        node.cases.forEach((c, i) => {
+            this.emitLabel(caseLabels[i]);
+            for (const stmt of c.consequent) {
+                this.compileStatement(stmt);
+            }
+        });
+        this.targets.pop();
+
+        this.scopes.pop();
+        this.emitLabel(end);
+    }
+
+    /**
+     * Build a dense jump table for switches over compact integer cases
+     *
+     * Returns null when any case is not an integer constant or the
+     * values are too sparse.
+     */
+    buildJumpTable(node, caseLabels, fallback) {
+        const values = [];
+        for (let i = 0; i < node.cases.length; i++) {
+            const test = node.cases[i].test;
+            if (test === null) continue;
+
+            const value = this.constantValue(test);
+            if (value === null) return null;
+            values.push({ value: value, label: caseLabels[i] });
+        }
+
+        if (values.length < JUMP_TABLE_MIN_CASES) return null;
+
+        const min = Math.min(...values.map(v => v.value));
+        const max = Math.max(...values.map(v => v.value));
+        const size = max - min + 1;
+        if (size > JUMP_TABLE_MAX_ENTRIES || values.length / size < JUMP_TABLE_MIN_DENSITY) {
+            return null;
+        }
+
+        const labels = new Array(size).fill(fallback);
+        const seen = new Set();
+        for (const { value, label } of values) {
+            // First matching case wins, as in JavaScript
+            if (seen.has(value)) continue;
+            seen.add(value);
+            labels[value - min] = label;
+        }
+
+        return { min: min, labels: labels };
+    }
+
+    /**
+     * name: statement
+     *
+     * Labels on a loop are handed to the loop so `continue name` works;
+     * labels on any other statement only allow `break name`.
+     */
+    compileLabeled(node) {
+        const names = [];
+        let body = node;
+        while (body.type === 'LabeledStatement') {
+            names.push(body.label.name);
+            body = body.body;
+        }
+
+        if (body.type === 'WhileStatement' ||
+            body.type === 'DoWhileStatement' ||
+            body.type === 'ForStatement') {
+            this.pendingLabels = names;
+            this.compileStatement(body);
+            return;
+        }
+
+        const end = this.newLabel();
+        this.targets.push({ names: names, breakLabel: end, continueLabel: null, handlerDepth: this.handlers.length });
+        this.compileStatement(body);
+        this.targets.pop();
+        this.emitLabel(end);
+    }
+
+    /**
+     * break/continue [label]
+     */
+    compileJump(node, kind) {
+        for (let i = this.targets.length - 1; i >= 0; i--) {
+            const target = this.targets[i];
+
+            // Unlabeled jumps skip plain labeled blocks
+            if (!target[kind]) continue;
+            if (node.label && !target.names.includes(node.label.name)) continue;
+
+            this.emitJump(target[kind], target.handlerDepth);
+            return;
+        }
+
+        const what = node.type === 'BreakStatement' ? 'break' : 'continue';
+        this.error(node, DIAGNOSTICS.JUMP_TARGET, `No target for '${what}'`);
+    }
+
+    // =========================================================================
+    // ERRORS
+    // =========================================================================
+
+    /**
+     * Decide which functions can leave an error pending for their caller
+     *
+     * Entry points (init, exit, command handlers and functions used as
+     * values) never do: an error escaping them clears the pending error
+     * and becomes their return value, since their caller is the kernel.
+     */
+    planErrorFlow(ast, entryNames) {
+        this.entryPoints = new Set([...entryNames, ...this.functionValues(ast)]);
+        this.throwing = new Set();
+
+        // Throwing is contagious through calls, so iterate to a fixed point
+        for (let changed = true; changed;) {
+            changed = false;
+            for (const [name, func] of Object.entries(this.functions)) {
+                if (this.throwing.has(name) || this.entryPoints.has(name)) continue;
+                if (this.canEscape(func.node.body)) {
+                    this.throwing.add(name);
+                    changed = true;
+                }
+            }
+        }
+    }
+
+    /**
+     * Names of functions referenced other than by a direct call
+     */
+    functionValues(node, names = new Set()) {
+        if (Array.isArray(node)) {
+            node.forEach(child => this.functionValues(child, names));
+            return names;
+        }
+        if (!node || typeof node.type !== 'string') return names;
+
+        if (node.akmName) names.add(node.akmName);
+        if (node.type === 'Identifier' && this.functions[node.name]) names.add(node.name);
+
+        for (const key of Object.keys(node)) {
+            if (key === 'id' || key === 'params' || key === 'label' ||
+                (key === 'callee' && node.callee.type === 'Identifier') ||
+                ((key === 'property' || key === 'key') && !node.computed)) {
+                continue;
+            }
+            if (node[key] && typeof node[key] === 'object') {
+                this.functionValues(node[key], names);
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Whether an error raised inside node can propagate out of it
+     *
+     * Nested functions are compiled separately and do not count.
+     */
+    canEscape(node) {
+        if (Array.isArray(node)) return node.some(child => this.canEscape(child));
+        if (!node || typeof node.type !== 'string') return false;
+
+        switch (node.type) {
+            case 'FunctionDeclaration':
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                return false;
+
+            case 'ThrowStatement':
+                return true;
+
+            case 'TryStatement':
+                return (!node.handler && this.canEscape(node.block)) ||
+                    (node.handler !== null && this.canEscape(node.handler.body)) ||
+                    this.canEscape(node.finalizer);
+
+            case 'CallExpression':
+                if (this.raisesError(node)) return true;
+                break;
+        }
+
+        return Object.keys(node).some(key =>
+            key !== 'loc' && node[key] && typeof node[key] === 'object' && this.canEscape(node[key]));
+    }
+
+    /**
+     * Whether a call can return with an error pending
+     *
+     * That is a call to a throwing module function, or with checkErrors
+     * a call to an API that reports failure as a negative status.
+     */
+    raisesError(node) {
+        const callee = node.callee;
+        if (callee.type === 'Identifier') {
+            return this.throwing.has(callee.name);
+        }
+        if (this.checkErrors && callee.type === 'MemberExpression' &&
+            !callee.computed && callee.object.name === 'AKM') {
+            const api = API_FUNCTIONS[callee.property.name];
+            return Boolean(api && api.status);
+        }
+        return false;
+    }
+
+    /**
+     * try block [catch (e) handler] [finally finalizer]
+     *
+     * Errors jump to the catch block with the operand stack emptied. A
+     * finally block is entered with a completion code saying how to leave
+     * it: fall through, rethrow, return, or finish a break/continue.
+     */
+    compileTry(node) {
+        const end = this.newLabel();
+        let region = null;
+
+        if (node.finalizer) {
+            region = {
+                kind: 'finally',
+                label: this.newLabel(),
+                errorLabel: this.newLabel(),
+                completion: this.allocTemp(),
+                value: this.allocTemp(),
+                jumps: [],
+                raised: false,
+                returned: false
+            };
+            this.handlers.push(region);
+        }
+
+        const done = region ? this.newLabel() : end;
+        if (node.handler) {
+            const handler = { kind: 'catch', label: this.newLabel(), raised: false };
+            this.handlers.push(handler);
+            this.compileStatement(node.block);
+            this.handlers.pop();
+
+            this.emit({ op: OPCODES.JMP, label: done });
+            this.emitLabel(handler.label);
+            this.compileCatch(node.handler);
+        } else {
+            this.compileStatement(node.block);
+        }
+
+        if (region) {
+            this.handlers.pop();
+            this.emitLabel(done);
+            this.emit({ op: OPCODES.PUSH, value: COMPLETION.NORMAL });
+            this.emit({ op: OPCODES.STORE_LOCAL, name: region.completion });
+
+            if (region.raised) {
+                // Park the error so calls in the finally block start clean
+                this.emit({ op: OPCODES.JMP, label: region.label });
+                this.emitLabel(region.errorLabel);
+                this.emit({ op: OPCODES.LOAD_GLOBAL, name: this.errorGlobal() });
+                this.emit({ op: OPCODES.STORE_LOCAL, name: region.value });
+                this.emit({ op: OPCODES.PUSH, value: 0 });
+                this.emit({ op: OPCODES.STORE_GLOBAL, name: this.errorGlobal() });
+                this.emit({ op: OPCODES.PUSH, value: COMPLETION.ERROR });
+                this.emit({ op: OPCODES.STORE_LOCAL, name: region.completion });
+            }
+
+            this.emitLabel(region.label);
+            this.compileStatement(node.finalizer);
+            this.emitCompletion(region);
+
+            this.freeTemp(region.value);
+            this.freeTemp(region.completion);
+        }
+
+        this.emitLabel(end);
+    }
+
+    /**
+     * catch (e) { ... }: take the pending error as e and clear it
+     */
+    compileCatch(clause) {
+        this.scopes.push(new Map());
+
+        this.emit({ op: OPCODES.LOAD_GLOBAL, name: this.errorGlobal() });
+        if (clause.param) {
+            this.emit({ op: OPCODES.STORE_LOCAL, name: this.declareLocal(clause.param.name) });
+        } else {
+            this.emit({ op: OPCODES.POP });
+        }
+        this.emit({ op: OPCODES.PUSH, value: 0 });
+        this.emit({ op: OPCODES.STORE_GLOBAL, name: this.errorGlobal() });
+
+        this.compileStatement(clause.body);
+
+        this.scopes.pop();
+    }
+
+    /**
+     * Leave a finally block the way it was entered
+     */
+    emitCompletion(region) {
+        const when = (completion, emitExit) => {
+            const next = this.newLabel();
+            this.emit({ op: OPCODES.LOAD_LOCAL, name: region.completion });
+            this.emit({ op: OPCODES.PUSH, value: completion });
+            this.emit({ op: OPCODES.EQ });
+            this.emit({ op: OPCODES.JZ, label: next });
+            emitExit();
+            this.emitLabel(next);
+        };
+
+        if (region.raised) {
+            when(COMPLETION.ERROR, () => {
+                this.emit({ op: OPCODES.LOAD_LOCAL, name: region.value });
+                this.emit({ op: OPCODES.STORE_GLOBAL, name: this.errorGlobal() });
+                this.emitRaise();
+            });
+        }
+        if (region.returned) {
+            when(COMPLETION.RETURN, () => {
+                this.emit({ op: OPCODES.LOAD_LOCAL, name: region.value });
+                this.emitReturn(this.handlers.length);
+            });
+        }
+        region.jumps.forEach((jump, i) => {
+            when(COMPLETION.JUMP + i, () => this.emitJump(jump.label, jump.handlerDepth));
+        });
+    }
+
+    /**
+     * throw value: the value becomes the pending error code
+     *
+     * A thrown 0 would read as "no error", so it is raised as -1.
+     */
+    compileThrow(node) {
+        const value = this.constantValue(node.argument);
+
+        this.compileExpression(node.argument);
+        if (value === null || value === 0) {
+            // value - (value == 0)
+            this.emit({ op: OPCODES.DUP });
+            this.emit({ op: OPCODES.PUSH, value: 0 });
+            this.emit({ op: OPCODES.EQ });
+            this.emit({ op: OPCODES.SUB });
+        }
+        this.emit({ op: OPCODES.STORE_GLOBAL, name: this.errorGlobal() });
+        this.emitRaise();
+    }
+
+    /**
+     * After a call to a throwing function, raise if an error is pending
+     */
+    emitErrorCheck() {
+        const ok = this.newLabel();
+        this.emit({ op: OPCODES.LOAD_GLOBAL, name: this.errorGlobal() });
+        this.emit({ op: OPCODES.JZ, label: ok });
+        this.emitRaise();
+        this.emitLabel(ok);
+    }
+
+    /**
+     * After a status API call, raise its result if it is negative
+     */
+    emitStatusCheck() {
+        const ok = this.newLabel();
+        this.emit({ op: OPCODES.DUP });
+        this.emit({ op: OPCODES.PUSH, value: 0 });
+        this.emit({ op: OPCODES.LT });
+        this.emit({ op: OPCODES.JZ, label: ok });
+        this.emit({ op: OPCODES.DUP });
+        this.emit({ op: OPCODES.STORE_GLOBAL, name: this.errorGlobal() });
+        this.emitRaise();
+        this.emitLabel(ok);
+    }
+
+    /**
+     * Transfer control to the innermost handler for the pending error
+     *
+     * Handlers expect an empty operand stack, so whatever the enclosing
+     * expressions have pushed is dropped first.
+     */
+    emitRaise() {
+        for (let i = this.depth || 0; i > 0; i--) {
+            this.emit({ op: OPCODES.POP });
+        }
+
+        const handler = this.handlers[this.handlers.length - 1];
+        if (!handler) {
+            this.unwindLabel = this.unwindLabel || this.newLabel();
+            this.emit({ op: OPCODES.JMP, label: this.unwindLabel });
+            return;
+        }
+
+        handler.raised = true;
+        this.emit({ op: OPCODES.JMP, label: handler.kind === 'catch' ? handler.label : handler.errorLabel });
+    }
+
+    /**
+     * Return the value on the stack, running the finally blocks among
+     * the first handlerDepth handlers first
+     */
+    emitReturn(handlerDepth) {
+        const region = this.finallyRegion(0, handlerDepth);
+        if (!region) {
+            this.emit({ op: OPCODES.RET });
+            return;
+        }
+
+        region.returned = true;
+        this.emit({ op: OPCODES.STORE_LOCAL, name: region.value });
+        this.emit({ op: OPCODES.PUSH, value: COMPLETION.RETURN });
+        this.emit({ op: OPCODES.STORE_LOCAL, name: region.completion });
+        this.emit({ op: OPCODES.JMP, label: region.label });
+    }
+
+    /**
+     * Jump to a break/continue label, running the finally blocks entered
+     * since handlerDepth first
+     */
+    emitJump(label, handlerDepth) {
+        const region = this.finallyRegion(handlerDepth, this.handlers.length);
+        if (!region) {
+            this.emit({ op: OPCODES.JMP, label: label });
+            return;
+        }
+
+        region.jumps.push({ label: label, handlerDepth: handlerDepth });
+        this.emit({ op: OPCODES.PUSH, value: COMPLETION.JUMP + region.jumps.length - 1 });
+        this.emit({ op: OPCODES.STORE_LOCAL, name: region.completion });
+        this.emit({ op: OPCODES.JMP, label: region.label });
+    }
+
+    /**
+     * Innermost finally region among handlers[from..to)
+     */
+    finallyRegion(from, to) {
+        for (let i = to - 1; i >= from; i--) {
+            if (this.handlers[i].kind === 'finally') return this.handlers[i];
+        }
+        return null;
+    }
+
+    /**
+     * Landing pad for errors no handler in the function catches
+     *
+     * Throwing functions return with the error still pending; entry
+     * points clear it and return the error code.
+     */
+    emitUnwind() {
+        this.emitLabel(this.unwindLabel);
+        if (this.entryPoints.has(this.func.name)) {
+            this.emit({ op: OPCODES.LOAD_GLOBAL, name: this.errorGlobal() });
+            this.emit({ op: OPCODES.PUSH, value: 0 });
+            this.emit({ op: OPCODES.STORE_GLOBAL, name: this.errorGlobal() });
+        } else {
+            this.emit({ op: OPCODES.PUSH, value: 0 });
+        }
+        this.emit({ op: OPCODES.RET });
+    }
+
+    /**
+     * Name of the pending-error global, creating it on first use
+     */
+    errorGlobal() {
+        if (!this.errorState) {
+            this.errorState = {
+                name: ERROR_GLOBAL,
+                nameIdx: this.addString(ERROR_GLOBAL),
+                section: 'bss',
+                value: 0,
+                kind: 'int',
+                isConst: false,
+                isExport: false
+            };
+        }
+        return ERROR_GLOBAL;
+    }
+
+    // =========================================================================
+    // EXPRESSIONS
+    // =========================================================================
+
+    /**
+     * Compile an expression (pushes exactly one value)
+     */
+    compileExpression(node) {
+        if (FOLDABLE_EXPRESSIONS.has(node.type) && this.compileFolded(node)) {
+            return;
+        }
+
+        switch (node.type) {
+            case 'Literal':
+                this.compileLiteral(node);
+                break;
+
+            case 'TemplateLiteral':
+                this.compileFormat(node);
+                break;
+
+            case 'MemberExpression':
+                this.compileMember(node);
+                break;
+
+            case 'Identifier':
+                this.compileIdentifier(node);
+                break;
+
+            case 'BinaryExpression':
+                this.compileBinary(node);
+                break;
+
+            case 'LogicalExpression':
+                this.compileLogical(node);
+                break;
+
+            case 'UnaryExpression':
+                this.compileUnary(node);
+                break;
+
+            case 'UpdateExpression':
+                this.compileUpdate(node);
+                break;
+
+            case 'AssignmentExpression':
+                this.compileAssignment(node);
+                break;
+
+            case 'ConditionalExpression':
+                this.compileConditional(node);
+                break;
+
+            case 'SequenceExpression':
+                node.expressions.forEach((expr, i) => {
+                    if (i > 0) this.emit({ op: OPCODES.POP });
+                    this.compileExpression(expr);
+                });
+                break;
+
+            case 'CallExpression':
+                this.compileCall(node);
+                break;
+
+            case 'ArrowFunctionExpression':
+            case 'FunctionExpression':
+                if (node.akmName) {
+                    this.emit({ op: IR_OPS.PUSH_FUNC, func: node.akmName });
+                } else {
+                    this.error(node, DIAGNOSTICS.INLINE_FUNCTION, `Unsupported expression: ${node.type}; inline functions are only hoisted for callback APIs`);
+                    this.emit({ op: OPCODES.PUSH, value: 0 });
+                }
+                break;
+
+            default:
+                this.error(node, DIAGNOSTICS.UNSUPPORTED_CONSTRUCT, `Unsupported expression: ${node.type}`);
+                this.emit({ op: OPCODES.PUSH, value: 0 });
+        }
+    }
+
+    /**
+     * Compile a literal value
+     */
+    compileLiteral(node) {
+        const value = node.value;
+
+        if (typeof value === 'string') {
+            this.pushString(value);
+        } else if (typeof value === 'number') {
+            if (!Number.isInteger(value)) {
+                this.warn(node, DIAGNOSTICS.TRUNCATED_NUMBER, `Non-integer literal ${node.raw} truncated to ${Math.trunc(value)}`);
+            }
+            this.emit({ op: OPCODES.PUSH, value: Math.trunc(value) });
+        } else if (typeof value === 'boolean') {
+            this.emit({ op: OPCODES.PUSH, value: value ? 1 : 0 });
+        } else if (value === null) {
+            this.emit({ op: OPCODES.PUSH, value: 0 });
+        } else {
+            this.error(node, DIAGNOSTICS.UNSUPPORTED_CONSTRUCT, `Unsupported literal: ${node.raw}`);
+            this.emit({ op: OPCODES.PUSH, value: 0 });
+        }
+    }
+
+    /**
+     * Push an expression's compile-time value, if it has one
+     */
+    compileFolded(node) {
+        const value = this.foldConstant(node);
+
+        if (typeof value === 'string') {
+            this.pushString(value);
+        } else if (typeof value === 'number' && Number.isFinite(value)) {
+            if (!Number.isInteger(value)) {
+                this.warn(node, DIAGNOSTICS.TRUNCATED_NUMBER, `Non-integer constant ${value} truncated to ${Math.trunc(value)}`);
+            }
+            this.emit({ op: OPCODES.PUSH, value: Math.trunc(value) });
+        } else if (typeof value === 'boolean') {
+            this.emit({ op: OPCODES.PUSH, value: value ? 1 : 0 });
+        } else if (value === null) {
+            this.emit({ op: OPCODES.PUSH, value: 0 });
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Load a named value onto the stack
+     */
+    compileIdentifier(node) {
+        const ref = this.resolveName(node.name);
+        if (ref) {
+            this.emitLoad(ref);
+            return;
+        }
+
+        // Function used as a value: push its (relocated) code address
+        if (this.functions[node.name]) {
+            this.emit({ op: IR_OPS.PUSH_FUNC, func: node.name });
+            return;
+        }
+
+        // Constant table used as a value: push its (relocated) address
+        if (this.tables.has(node.name)) {
+            this.emit({ op: IR_OPS.PUSH_TABLE, table: node.name });
+            return;
+        }
+
+        if (node.name !== 'undefined') {
+            this.error(node, DIAGNOSTICS.UNDEFINED_NAME, `Unresolved identifier '${node.name}'`);
+        }
+        this.emit({ op: OPCODES.PUSH, value: 0 });
+    }
+
+    /**
+     * Compile a binary expression: left, right, op
+     */
+    compileBinary(node) {
+        const op = binaryOpcode(node.operator, this.hasUnsignedOperand(node.left, node.right));
+        if (op === undefined) {
+            this.error(node, DIAGNOSTICS.UNSUPPORTED_OPERATOR, `Unsupported operator '${node.operator}'`);
+            this.emit({ op: OPCODES.PUSH, value: 0 });
+            return;
+        }
+
+        if (node.operator === '+' &&
+            (this.isStringExpression(node.left) || this.isStringExpression(node.right))) {
+            this.compileFormat(node);
+            return;
+        }
+
+        this.checkDivisor(node, op);
+        this.compileExpression(node.left);
+        this.compileExpression(node.right);
+        this.emit({ op: op });
+    }
+
+    /**
+     * Report a division or remainder whose divisor folds to 0
+     */
+    checkDivisor(node, op) {
+        if (DIVISION_OPCODES.has(op) && this.constantValue(node.right) === 0) {
+            this.error(node, DIAGNOSTICS.DIVISION_BY_ZERO,
+                `Division by zero: the right operand of '${node.operator}' is always 0`);
+        }
+    }
+
+    /**
+     * Compile && / || with short-circuit evaluation
+     *
+     * The left value is kept as the result when it decides the outcome,
+     * matching JavaScript's value semantics.
+     */
+    compileLogical(node) {
+        if (node.operator !== '&&' && node.operator !== '||') {
+            this.error(node, DIAGNOSTICS.UNSUPPORTED_OPERATOR, `Unsupported operator '${node.operator}'`);
+            this.emit({ op: OPCODES.PUSH, value: 0 });
+            return;
+        }
+
+        const end = this.newLabel();
+
+        this.compileExpression(node.left);
+        this.emit({ op: OPCODES.DUP });
+        this.emit({ op: node.operator === '&&' ? OPCODES.JZ : OPCODES.JNZ, label: end });
+        this.emit({ op: OPCODES.POP });
+        this.compileExpression(node.right);
+        this.emitLabel(end);
+    }
+
+    /**
+     * Compile test ? consequent : alternate
+     */
+    compileConditional(node) {
+        const otherwise = this.newLabel();
+        const end = this.newLabel();
+
+        this.compileExpression(node.test);
+        this.emit({ op: OPCODES.JZ, label: otherwise });
+        this.compileExpression(node.consequent);
+        this.emit({ op: OPCODES.JMP, label: end });
+        this.emitLabel(otherwise);
+        this.compileExpression(node.alternate);
+        this.emitLabel(end);
+    }
+
+    /**
+     * Compile a unary expression
+     */
+    compileUnary(node) {
+        switch (node.operator) {
+            case '-':
+                this.compileExpression(node.argument);
+                this.emit({ op: OPCODES.NEG });
+                break;
+            case '+':
+                this.compileExpression(node.argument);
+                break;
+            case '~':
+                this.compileExpression(node.argument);
+                this.emit({ op: OPCODES.NOT });
+                break;
+            case '!':
+                this.compileExpression(node.argument);
+                this.emit({ op: OPCODES.PUSH, value: 0 });
+                this.emit({ op: OPCODES.EQ });
+                break;
+            case 'void':
+                this.compileExpression(node.argument);
+                this.emit({ op: OPCODES.POP });
+                this.emit({ op: OPCODES.PUSH, value: 0 });
+                break;
+            default:
+                this.error(node, DIAGNOSTICS.UNSUPPORTED_OPERATOR, `Unsupported operator '${node.operator}'`);
+                this.emit({ op: OPCODES.PUSH, value: 0 });
+        }
+    }
+
+    /**
+     * Compile ++/-- (prefix yields the new value, postfix the old one)
+     */
+    compileUpdate(node) {
+        if (node.argument.type === 'MemberExpression') {
+            this.compileFieldUpdate(node);
+            return;
+        }
+
+        const ref = this.resolveAssignable(node.argument);
+        if (!ref) {
+            this.emit({ op: OPCODES.PUSH, value: 0 });
+            return;
+        }
+
+        const op = node.operator === '++' ? OPCODES.INC : OPCODES.DEC;
+
+        this.emitLoad(ref);
+        if (node.prefix) {
+            this.emit({ op: op });
+            this.emit({ op: OPCODES.DUP });
+        } else {
+            this.emit({ op: OPCODES.DUP });
+            this.emit({ op: op });
+        }
+        this.emitStore(ref);
+    }
+
+    /**
+     * Compile = and compound assignment (yields the assigned value)
+     */
+    compileAssignment(node) {
+        if (node.left.type === 'MemberExpression') {
+            this.checkScratchStore(node, 'a struct field');
+            this.compileFieldAssignment(node);
+            return;
+        }
+
+        const ref = this.resolveAssignable(node.left);
+        if (!ref) {
+            this.compileExpression(node.right);
+            return;
+        }
+        if (ref.global) {
+            this.checkScratchStore(node, `module variable '${node.left.name}'`);
+        }
+
+        if (node.operator === '=') {
+            this.compileExpression(node.right);
+        } else if (node.operator === '+=' && this.isStringExpression(node.left)) {
+            this.compileFormat(node.right, () => this.emitLoad(ref));
+        } else {
+            const op = binaryOpcode(node.operator.slice(0, -1), this.hasUnsignedOperand(node.left, node.right));
+            if (op === undefined) {
+                this.error(node, DIAGNOSTICS.UNSUPPORTED_OPERATOR, `Unsupported operator '${node.operator}'`);
+                this.emit({ op: OPCODES.PUSH, value: 0 });
+                return;
+            }
+            this.checkDivisor(node, op);
+            this.emitLoad(ref);
+            this.compileExpression(node.right);
+            this.emit({ op: op });
+        }
+
+        this.emit({ op: OPCODES.DUP });
+        this.emitStore(ref);
+    }
+
+    /**
+     * Compile a call: arguments left to right, then CALL/CALL_API
+     */
+    compileCall(node) {
+        const callee = node.callee;
+
+        if (callee.type === 'MemberExpression' &&
+            callee.object.name === 'AKM' &&
+            !callee.computed &&
+            INTRINSICS[callee.property.name]) {
+            this.compileIntrinsic(node, callee.property.name);
+        } else if (callee.type === 'MemberExpression' &&
+            callee.object.name === 'AKM' &&
+            !callee.computed) {
+            const api = API_FUNCTIONS[callee.property.name];
+            for (const arg of node.arguments) {
+                this.compileExpression(arg);
+            }
+
+            // Omitted optional arguments are passed as 0
+            const fixed = api ? api.args.filter(k => !k.endsWith('...')).length : 0;
+            const argc = Math.max(fixed, node.arguments.length);
+            for (let i = node.arguments.length; i < argc; i++) {
+                this.emit({ op: OPCODES.PUSH, value: 0 });
+            }
+            this.emit({
+                op: OPCODES.CALL_API,
+                method: callee.property.name,
+                argc: argc
+            });
+            if (this.raisesError(node)) {
+                this.emitStatusCheck();
+            }
+        } else if (this.structTypeOf(node)) {
+            // Struct.at(ptr) only retypes the pointer
+            if (node.arguments.length !== 1) {
+                this.error(node, DIAGNOSTICS.STRUCT_USAGE, `${callee.object.name}.at() expects 1 argument, got ${node.arguments.length}`);
+                this.emit({ op: OPCODES.PUSH, value: 0 });
+            } else {
+                this.compileExpression(node.arguments[0]);
+            }
+        } else if (callee.type === 'MemberExpression' &&
+                   !callee.computed &&
+                   callee.property.name === 'toString') {
+            // value.toString([radix])
+            this.compileToString(callee.object, node.arguments[0]);
+        } else if (this.isBuiltinCall(node)) {
+            // u32()/i32() only retype their operand; Math.imul() is MUL
+            for (const arg of node.arguments) {
+                this.compileExpression(arg);
+            }
+            if (builtinName(callee) === 'Math.imul') {
+                this.emit({ op: OPCODES.MUL });
+            }
+        } else if (callee.type === 'Identifier' && callee.name === 'String') {
+            // String(value)
+            if (node.arguments.length > 0) {
+                this.compileToString(node.arguments[0], null);
+            } else {
+                this.pushString('');
+            }
+        } else if (callee.type === 'Identifier') {
+            const target = this.functions[callee.name];
+            if (!target && this.resolveName(callee.name)) {
+                this.error(node, DIAGNOSTICS.INVALID_CALL, `Indirect call through '${callee.name}' is not supported`);
+            } else if (!target) {
+                this.error(node, DIAGNOSTICS.UNDEFINED_FUNCTION, `Call to undefined function '${callee.name}'`);
+            } else if (node.arguments.length < target.params.length) {
+                this.warn(node, DIAGNOSTICS.FUNCTION_ARITY, `'${callee.name}' expects ${target.params.length} argument(s), got ${node.arguments.length}; missing arguments are 0`);
+            }
+            if (target) {
+                this.recordArgKinds(callee.name, node.arguments);
+            }
+
+            for (const arg of node.arguments) {
+                this.compileExpression(arg);
+            }
+
+            // Missing arguments are passed as 0, as for API calls
+            const argc = target ? Math.max(target.params.length, node.arguments.length) : node.arguments.length;
+            for (let i = node.arguments.length; i < argc; i++) {
+                this.emit({ op: OPCODES.PUSH, value: 0 });
+            }
+            this.emit({
+                op: OPCODES.CALL,
+                func: callee.name,
+                argc: argc
+            });
+            if (this.raisesError(node)) {
+                this.emitErrorCheck();
+            }
+        } else {
+            this.error(node, DIAGNOSTICS.INVALID_CALL, `Unsupported call target: ${callee.type}`);
+            this.emit({ op: OPCODES.PUSH, value: 0 });
+        }
+    }
+
+    /**
+     * Compile an AKM.* intrinsic to its opcode
+     *
+     * Loads pop an address and push the zero-extended value; stores pop
+     * the value and the address and the call itself evaluates to 0.
+     */
+    compileIntrinsic(node, name) {
+        const intrinsic = INTRINSICS[name];
+
+        if (node.arguments.length !== intrinsic.args.length) {
+            this.error(node, DIAGNOSTICS.API_ARITY, `AKM.${name} expects ${intrinsic.args.length} argument(s), got ${node.arguments.length}`);
+            this.emit({ op: OPCODES.PUSH, value: 0 });
+            return;
+        }
+
+        for (const arg of node.arguments) {
+            this.compileExpression(arg);
+        }
+        this.emit({ op: intrinsic.opcode });
+
+        if (intrinsic.args.length === 2) {
+            this.emit({ op: OPCODES.PUSH, value: 0 });
+        }
+    }
+
+    // =========================================================================
+    // STRUCTS
+    // =========================================================================
+
+    /**
+     * Find the struct a typed pointer expression points to, or null
+     *
+     * Pointers get a type from Struct.at(ptr), from a variable initialized
+     * that way, or from an embedded struct field. Constant tables of
+     * records are typed by their record layout.
+     */
+    structTypeOf(node) {
+        switch (node.type) {
+            case 'CallExpression': {
+                const callee = node.callee;
+                if (callee.type === 'MemberExpression' &&
+                    !callee.computed &&
+                    callee.property.name === 'at') {
+                    return this.structByName(callee.object);
+                }
+                return null;
+            }
+
+            case 'Identifier': {
+                const ref = this.resolveName(node.name);
+                if (!ref) {
+                    const table = this.tableByName(node);
+                    return table ? table.struct : null;
+                }
+                if (ref.global) {
+                    return ref.global.struct ? this.structs.get(ref.global.struct) : null;
+                }
+                return this.slotTypes.get(ref.slot) || null;
+            }
+
+            case 'MemberExpression': {
+                const field = this.resolveField(node);
+                return field && field.kind === 'struct' ? field.struct : null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Resolve an identifier naming a struct layout (not shadowed)
+     */
+    structByName(node) {
+        if (node.type !== 'Identifier' || this.resolveName(node.name)) return null;
+        return this.structs.get(node.name) || null;
+    }
+
+    /**
+     * Resolve a constant table name (not shadowed)
+     */
+    tableByName(node) {
+        if (node.type !== 'Identifier' || this.resolveName(node.name)) return null;
+        return this.tables.get(node.name) || null;
+    }
+
+    /**
+     * Resolve ptr.field, ptr.array[i] or TABLE[i] to a field descriptor,
+     * or null
+     */
+    resolveField(node) {
+        if (node.type !== 'MemberExpression') return null;
+
+        if (node.computed) {
+            // Element of a constant table
+            const table = this.tableByName(node.object);
+            if (table) {
+                return table.elem ? Object.assign({ element: true, count: table.count }, table.elem) : null;
+            }
+
+            // Element of an array field
+            const array = this.resolveField(node.object);
+            if (!array || array.kind !== 'array') return null;
+            return { kind: 'scalar', type: array.type, size: array.type.size, element: true };
+        }
+
+        const struct = this.structTypeOf(node.object);
+        if (!struct) return null;
+
+        return struct.fields.get(node.property.name) || null;
+    }
+
+    /**
+     * Report a property access that is not a known struct field
+     */
+    unknownFieldError(node, fallback) {
+        const struct = !node.computed && this.structTypeOf(node.object);
+        if (struct) {
+            this.error(node, DIAGNOSTICS.STRUCT_USAGE,
+                `${struct.table ? 'Table' : 'Struct'} '${struct.name}' has no field '${node.property.name}'`);
+        } else {
+            this.error(node, DIAGNOSTICS.PROPERTY_ACCESS, fallback);
+        }
+    }
+
+    /**
+     * Push the address of a field (base pointer plus offset)
+     */
+    emitFieldAddress(node, field) {
+        if (field.element) {
+            // array base + index * element size
+            const index = field.readonly ? this.constantValue(node.property) : null;
+            if (index !== null && (index < 0 || index >= field.count)) {
+                this.error(node.property, DIAGNOSTICS.INVALID_TABLE,
+                    `Index ${index} is outside table '${node.object.name}' (${field.count} elements)`);
+            }
+            this.compileExpression(node.object);
+            this.compileExpression(node.property);
+            if (field.size > 1) {
+                this.emit({ op: OPCODES.PUSH, value: field.size });
+                this.emit({ op: OPCODES.MUL });
+            }
+            this.emit({ op: OPCODES.ADD });
+            return;
+        }
+
+        this.compileExpression(node.object);
+        if (field.offset > 0) {
+            this.emit({ op: OPCODES.PUSH, value: field.offset });
+            this.emit({ op: OPCODES.ADD });
+        }
+    }
+
+    /**
+     * Replace the address on the stack with the field value
+     */
+    emitFieldLoad(field) {
+        this.emit({ op: field.type.load });
+
+        // Sign-extend narrow signed fields: (v ^ signBit) - signBit
+        if (field.type.signed && field.type.size < 4) {
+            const signBit = 1 << (field.type.size * 8 - 1);
+            this.emit({ op: OPCODES.PUSH, value: signBit });
+            this.emit({ op: OPCODES.XOR });
+            this.emit({ op: OPCODES.PUSH, value: signBit });
+            this.emit({ op: OPCODES.SUB });
+        }
+    }
+
+    /**
+     * Resolve a field that can be written, reporting why if it cannot
+     */
+    resolveWritableField(node) {
+        const field = this.resolveField(node);
+        if (!field) {
+            this.unknownFieldError(node, 'Unsupported assignment target: not a struct field');
+            return null;
+        }
+        if (field.readonly) {
+            this.error(node, DIAGNOSTICS.INVALID_ASSIGNMENT, 'Cannot assign to a constant table; tables are read-only');
+            return null;
+        }
+        if (field.kind !== 'scalar') {
+            this.error(node, DIAGNOSTICS.STRUCT_USAGE, `Cannot assign to ${field.kind} field '${node.property.name}'`);
+            return null;
+        }
+        return field;
+    }
+
+    /**
+     * ptr.field = value / ptr.field op= value (yields the stored value)
+     */
+    compileFieldAssignment(node) {
+        const field = this.resolveWritableField(node.left);
+        if (!field) {
+            this.compileExpression(node.right);
+            return;
+        }
+
+        let op;
+        if (node.operator !== '=') {
+            op = binaryOpcode(node.operator.slice(0, -1), this.hasUnsignedOperand(node.left, node.right));
+            if (op === undefined) {
+                this.error(node, DIAGNOSTICS.UNSUPPORTED_OPERATOR, `Unsupported operator '${node.operator}'`);
+                this.emit({ op: OPCODES.PUSH, value: 0 });
+                return;
+            }
+            this.checkDivisor(node, op);
+        }
+
+        const value = this.allocTemp();
+        this.emitFieldAddress(node.left, field);
+
+        if (node.operator === '=') {
+            this.compileExpression(node.right);
+        } else {
+            // Keep the address so it is evaluated only once
+            const addr = this.allocTemp();
+            this.emit({ op: OPCODES.STORE_LOCAL, name: addr });
+            this.emit({ op: OPCODES.LOAD_LOCAL, name: addr });
+            this.emit({ op: OPCODES.LOAD_LOCAL, name: addr });
+            this.emitFieldLoad(field);
+            this.compileExpression(node.right);
+            this.emit({ op: op });
+            this.freeTemp(addr);
+        }
+
+        this.emit({ op: OPCODES.STORE_LOCAL, name: value });
+        this.emit({ op: OPCODES.LOAD_LOCAL, name: value });
+        this.emit({ op: field.type.store });
+        this.emit({ op: OPCODES.LOAD_LOCAL, name: value });
+        this.freeTemp(value);
+    }
+
+    /**
+     * ++ptr.field / ptr.field-- and friends
+     */
+    compileFieldUpdate(node) {
+        const field = this.resolveWritableField(node.argument);
+        if (!field) {
+            this.emit({ op: OPCODES.PUSH, value: 0 });
+            return;
+        }
+
+        const op = node.operator === '++' ? OPCODES.INC : OPCODES.DEC;
+        const addr = this.allocTemp();
+        const result = this.allocTemp();
+
+        this.emitFieldAddress(node.argument, field);
+        this.emit({ op: OPCODES.STORE_LOCAL, name: addr });
+        this.emit({ op: OPCODES.LOAD_LOCAL, name: addr });
+        this.emit({ op: OPCODES.LOAD_LOCAL, name: addr });
+        this.emitFieldLoad(field);
+
+        // Stack: addr old
+        if (node.prefix) {
+            this.emit({ op: op });
+            this.emit({ op: OPCODES.DUP });
+            this.emit({ op: OPCODES.STORE_LOCAL, name: result });
+        } else {
+            this.emit({ op: OPCODES.DUP });
+            this.emit({ op: OPCODES.STORE_LOCAL, name: result });
+            this.emit({ op: op });
+        }
+        this.emit({ op: field.type.store });
+        this.emit({ op: OPCODES.LOAD_LOCAL, name: result });
+
+        this.freeTemp(addr);
+        this.freeTemp(result);
+    }
+
+    // =========================================================================
+    // STRINGS
+    // =========================================================================
+
+    /**
+     * Build a string at runtime with a single AKM.format call
+     *
+     * Template literals and string `+` chains are flattened into one format
+     * string, so no intermediate strings are allocated. `prefix` emits a
+     * string to put in front, the old value for `+=`.
+     */
+    compileFormat(node, prefix = null) {
+        const format = { spec: '', args: [] };
+        if (prefix) {
+            format.spec += '%s';
+            format.args.push(prefix);
+        }
+        this.formatPiece(node, format);
+
+        if (format.args.length === 0) {
+            this.pushString(format.spec.replace(/%%/g, '%'));
+            return;
+        }
+
+        this.pushString(format.spec);
+        for (const emitArg of format.args) {
+            emitArg();
+        }
+        this.emit({ op: OPCODES.CALL_API, method: 'format', argc: 1 + format.args.length });
+    }
+
+    /**
+     * Report storing a string built at runtime where it outlives the call
+     *
+     * Those strings are kernel scratch memory, released when the kernel's
+     * call into the module returns.
+     */
+    checkScratchStore(node, target) {
+        if (this.buildsString(node)) {
+            this.error(node, DIAGNOSTICS.SCRATCH_STRING, `String built at runtime is released when the module call ` +
+                `returns; storing it in ${target} would leave a dangling pointer`);
+        }
+    }
+
+    /**
+     * Statically decide whether an expression yields a string built at
+     * runtime by AKM.format, AKM.itoa or AKM.strcat
+     */
+    buildsString(node) {
+        const callee = node.type === 'CallExpression' ? node.callee : null;
+        if (FOLDABLE_EXPRESSIONS.has(node.type) && typeof this.foldConstant(node) === 'string') {
+            return false;
+        }
+
+        switch (node.type) {
+            case 'TemplateLiteral':
+            case 'BinaryExpression':
+                return this.isStringExpression(node) && this.hasFormatArgs(node);
+
+            case 'AssignmentExpression':
+                return (node.operator === '+=' && this.isStringExpression(node.left)) ||
+                    (node.operator === '=' && this.buildsString(node.right));
+
+            case 'ConditionalExpression':
+                return this.buildsString(node.consequent) || this.buildsString(node.alternate);
+
+            case 'LogicalExpression':
+                return this.buildsString(node.left) || this.buildsString(node.right);
+
+            case 'SequenceExpression':
+                return this.buildsString(node.expressions[node.expressions.length - 1]);
+
+            case 'CallExpression':
+                if (callee.type === 'Identifier' && callee.name === 'String') {
+                    return node.arguments.length > 0 && !this.isStringExpression(node.arguments[0]);
+                }
+                if (callee.type !== 'MemberExpression' || callee.computed) {
+                    return false;
+                }
+                if (callee.property.name === 'toString') {
+                    return !this.isStringExpression(callee.object);
+                }
+                return callee.object.name === 'AKM' &&
+                    ['format', 'itoa', 'strcat'].includes(callee.property.name);
+        }
+        return false;
+    }
+
+    /**
+     * Whether formatPiece() would pass any value to AKM.format, so the
+     * string is not just the format text
+     */
+    hasFormatArgs(node) {
+        const callee = node.type === 'CallExpression' ? node.callee : null;
+
+        if (node.type === 'Literal' && typeof node.value === 'string') {
+            return false;
+        }
+        if (node.type === 'TemplateLiteral') {
+            return node.expressions.some(expr => this.hasFormatArgs(expr));
+        }
+        if (node.type === 'BinaryExpression' && this.isStringExpression(node)) {
+            return this.hasFormatArgs(node.left) || this.hasFormatArgs(node.right);
+        }
+        if (callee && callee.type === 'Identifier' && callee.name === 'String' && node.arguments.length > 0) {
+            return this.hasFormatArgs(node.arguments[0]);
+        }
+        return true;
+    }
+
+    /**
+     * Append one piece of a string expression to a format: literal text is
+     * copied with '%' doubled, strings become %s, numbers %d and
+     * value.toString(radix) %r, which takes the value and the radix
+     */
+    formatPiece(node, format) {
+        const callee = node.type === 'CallExpression' ? node.callee : null;
+        const arg = value => format.args.push(() => this.compileExpression(value));
+
+        if (node.type === 'Literal' && typeof node.value === 'string') {
+            format.spec += node.value.replace(/%/g, '%%');
+        } else if (node.type === 'TemplateLiteral') {
+            node.quasis.forEach((quasi, i) => {
+                format.spec += quasi.value.cooked.replace(/%/g, '%%');
+                if (i < node.expressions.length) {
+                    this.formatPiece(node.expressions[i], format);
+                }
+            });
+        } else if (node.type === 'BinaryExpression' && this.isStringExpression(node)) {
+            this.formatPiece(node.left, format);
+            this.formatPiece(node.right, format);
+        } else if (callee && callee.type === 'Identifier' && callee.name === 'String' &&
+                   node.arguments.length > 0) {
+            // String() of a value of unknown kind asks for a number
+            if (this.isUntyped(node.arguments[0])) {
+                format.spec += '%d';
+                arg(node.arguments[0]);
+            } else {
+                this.formatPiece(node.arguments[0], format);
+            }
+        } else if (callee && callee.type === 'MemberExpression' && !callee.computed &&
+                   callee.property.name === 'toString' &&
+                   !this.isStringExpression(callee.object)) {
+            format.spec += node.arguments.length > 0 ? '%r' : '%d';
+            arg(callee.object);
+            if (node.arguments.length > 0) arg(node.arguments[0]);
+        } else if (this.isStringExpression(node) || this.isStringArg(node)) {
+            format.spec += '%s';
+            arg(node);
+        } else {
+            if (this.isUntyped(node)) {
+                this.warn(node, DIAGNOSTICS.UNTYPED_OPERAND, `Cannot tell whether '${node.name}' is a number or a ` +
+                    `string, so it is formatted as a number; write String(${node.name}) if that is intended`);
+            }
+            format.spec += '%d';
+            arg(node);
+        }
+    }
+
+    /**
+     * Whether an expression is a parameter, or a local copied from one,
+     * whose call sites do not all pass the same kind of value
+     */
+    isUntyped(node) {
+        return this.inSlots(node, this.untypedSlots);
+    }
+
+    /**
+     * Whether an expression is a parameter, or a local copied from one,
+     * that every call site passes a string
+     */
+    isStringArg(node) {
+        return this.inSlots(node, this.stringArgSlots);
+    }
+
+    /**
+     * Whether an identifier names a local in one of the given slots
+     */
+    inSlots(node, slots) {
+        if (node.type !== 'Identifier') return false;
+        const ref = this.resolveName(node.name);
+        return !!ref && !ref.global && slots.has(ref.slot);
+    }
+
+    /**
+     * Remember the kinds of the arguments at a call to a module function
+     */
+    recordArgKinds(name, args) {
+        const sites = this.argKinds.get(name) || [];
+        sites.push(args.map(arg => {
+            if (this.isStringExpression(arg) || this.isStringArg(arg)) return 'string';
+            return this.isUntyped(arg) ? null : 'int';
+        }));
+        this.argKinds.set(name, sites);
+    }
+
+    /**
+     * The kind every call compiled so far passes as parameter `i`, or null
+     *
+     * Functions are compiled callers first, so this sees every call site
+     * outside of call cycles.
+     */
+    calledWith(name, i) {
+        const sites = this.argKinds.get(name) || [];
+        const kinds = new Set(sites.map(args => (i < args.length ? args[i] : 'int')));
+        return kinds.size === 1 ? [...kinds][0] : null;
+    }
+
+    /**
+     * Compile value.toString(radix) / String(value)
+     */
+    compileToString(value, radix) {
+        if (this.isStringExpression(value)) {
+            this.compileExpression(value);
+            return;
+        }
+
+        this.compileExpression(value);
+        if (radix) {
+            this.compileExpression(radix);
+        } else {
+            this.emit({ op: OPCODES.PUSH, value: 10 });
+        }
+        this.emit({ op: OPCODES.CALL_API, method: 'itoa', argc: 2 });
+    }
+
+    /**
+     * Compile property access: struct fields, Struct.size and string length
+     */
+    compileMember(node) {
+        const field = this.resolveField(node);
+        if (field) {
+            this.emitFieldAddress(node, field);
+            // Embedded structs and arrays evaluate to their address
+            if (field.kind === 'scalar') {
+                this.emitFieldLoad(field);
+            }
+            return;
+        }
+
+        const struct = this.structByName(node.object);
+        if (struct && !node.computed && node.property.name === 'size') {
+            this.emit({ op: OPCODES.PUSH, value: struct.size });
+            return;
+        }
+
+        if (!node.computed &&
+            node.property.name === 'length' &&
+            this.isStringExpression(node.object)) {
+            this.compileExpression(node.object);
+            this.emit({ op: OPCODES.CALL_API, method: 'strlen', argc: 1 });
+            return;
+        }
+
+        this.unknownFieldError(node, 'Unsupported property access: not a struct field, table element, Struct.size or .length');
+        this.emit({ op: OPCODES.PUSH, value: 0 });
+    }
+
+    /**
+     * Statically decide whether an expression produces a string
+     */
+    isStringExpression(node) {
+        switch (node.type) {
+            case 'Literal':
+                return typeof node.value === 'string';
+
+            case 'TemplateLiteral':
+                return true;
+
+            case 'BinaryExpression':
+                return node.operator === '+' &&
+                    (this.isStringExpression(node.left) || this.isStringExpression(node.right));
+
+            case 'AssignmentExpression':
+                return this.isStringExpression(node.right) ||
+                    (node.operator === '+=' && this.isStringExpression(node.left));
+
+            case 'ConditionalExpression':
+                return this.isStringExpression(node.consequent) &&
+                    this.isStringExpression(node.alternate);
+
+            case 'LogicalExpression':
+                return this.isStringExpression(node.left) &&
+                    this.isStringExpression(node.right);
+
+            case 'SequenceExpression':
+                return this.isStringExpression(node.expressions[node.expressions.length - 1]);
+
+            case 'MemberExpression': {
+                // String columns of constant tables
+                const field = this.resolveField(node);
+                return !!field && !!field.string;
+            }
+
+            case 'Identifier': {
+                const ref = this.resolveName(node.name);
+                if (!ref) return false;
+                return ref.global ? ref.global.kind === 'string' : this.stringSlots.has(ref.slot);
+            }
+
+            case 'CallExpression': {
+                const callee = node.callee;
+                if (callee.type === 'Identifier') {
+                    return callee.name === 'String';
+                }
+                if (callee.type !== 'MemberExpression' || callee.computed) {
+                    return false;
+                }
+                if (callee.property.name === 'toString') {
+                    return true;
+                }
+                const api = callee.object.name === 'AKM' && API_FUNCTIONS[callee.property.name];
+                return !!api && api.returns === 'string';
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Statically decide whether an integer expression is unsigned
+     *
+     * Variables are unsigned when declared with an unsigned initializer;
+     * u32 and ptr struct fields are unsigned.
+     */
+    isUnsignedExpression(node) {
+        return this.parser.constEval.isUnsigned(node, leaf => {
+            switch (leaf.type) {
+                case 'Identifier': {
+                    const ref = this.resolveName(leaf.name);
+                    if (!ref) return false;
+                    return ref.global ? !!ref.global.unsigned : this.unsignedSlots.has(ref.slot);
+                }
+
+                case 'CallExpression':
+                    return this.isBuiltinCall(leaf) && builtinName(leaf.callee) === 'u32';
+
+                case 'MemberExpression': {
+                    const field = this.resolveField(leaf);
+                    if (field) {
+                        return field.kind === 'scalar' && !field.type.signed && field.type.size === 4;
+                    }
+                    return this.parser.constEval.isUnsignedConstant(leaf);
+                }
+            }
+            return false;
+        });
+    }
+
+    /**
+     * Whether either operand selects the unsigned form of an operator
+     */
+    hasUnsignedOperand(left, right) {
+        return this.isUnsignedExpression(left) || this.isUnsignedExpression(right);
+    }
+
+    /**
+     * u32(), i32() or Math.imul() not shadowed by a module declaration
+     */
+    isBuiltinCall(node) {
+        const name = builtinName(node.callee);
+        if (!name) return false;
+
+        const root = name.split('.')[0];
+        return !this.resolveName(root) && !this.functions[root];
+    }
+
+    // =========================================================================
+    // HELPERS
+    // =========================================================================
+
+    /**
+     * Resolve an assignment target to a local or global reference
+     */
+    resolveAssignable(node) {
+        if (node.type !== 'Identifier') {
+            this.error(node, DIAGNOSTICS.INVALID_ASSIGNMENT, `Unsupported assignment target: ${node.type}`);
+            return null;
+        }
+
+        const ref = this.resolveName(node.name);
+        if (!ref) {
+            this.error(node, DIAGNOSTICS.INVALID_ASSIGNMENT, `Cannot assign to '${node.name}': not a variable`);
+            return null;
+        }
+
+        const isConst = ref.global ? ref.global.isConst : this.constSlots.has(ref.slot);
+        if (isConst) {
+            this.error(node, DIAGNOSTICS.INVALID_ASSIGNMENT, `Assignment to constant variable '${node.name}'`);
+            return null;
+        }
+        return ref;
+    }
+
+    /**
+     * Resolve a name to a local slot or module global
+     */
+    resolveName(name) {
+        const slot = this.resolveLocal(name);
+        if (slot) return { slot: slot };
+
+        const global = this.globals.get(name);
+        if (global) return { global: global };
+
+        return null;
+    }
+
+    /**
+     * Push the value of a resolved reference
+     */
+    emitLoad(ref) {
+        if (ref.global) {
+            this.emit({ op: OPCODES.LOAD_GLOBAL, name: ref.global.name });
+        } else {
+            this.emit({ op: OPCODES.LOAD_LOCAL, name: ref.slot });
+        }
+    }
+
+    /**
+     * Pop the stack top into a resolved reference
+     */
+    emitStore(ref) {
+        if (ref.global) {
+            this.emit({ op: OPCODES.STORE_GLOBAL, name: ref.global.name });
+        } else {
+            this.emit({ op: OPCODES.STORE_LOCAL, name: ref.slot });
+        }
+    }
+
+    /**
+     * Evaluate an expression at compile time (undefined if not constant)
+     *
+     * Locals hide top-level consts of the same name.
+     */
+    foldConstant(node) {
+        return this.parser.constEval.evaluate(node,
+            name => this.resolveLocal(name) !== null || !!this.functions[name]);
+    }
+
+    /**
+     * Evaluate an expression to an integer at compile time, or null
+     */
+    constantValue(node) {
+        let value = this.foldConstant(node);
+        if (typeof value === 'boolean') value = value ? 1 : 0;
+        if (typeof value === 'number' && Number.isInteger(value)) {
+            return value;
+        }
+        return null;
+    }
+
+    /**
+     * Allocate an anonymous frame slot for compiler temporaries
+     */
+    allocTemp() {
+        if (this.freeTemps.length > 0) {
+            return this.freeTemps.pop();
+        }
+
+        const slot = `.t${this.func.locals.length}`;
+        this.func.locals.push(slot);
+        return slot;
+    }
+
+    /**
+     * Return a temporary slot for reuse
+     */
+    freeTemp(slot) {
+        this.freeTemps.push(slot);
+    }
+
+    /**
+     * Declare a local in the current scope and return its slot name
+     *
+     * Shadowing declarations get their own slot so inner blocks
+     * never clobber an outer variable of the same name.
+     */
+    declareLocal(name) {
+        const scope = this.scopes[this.scopes.length - 1];
+        if (scope.has(name)) return scope.get(name);
+
+        let slot = name;
+        for (let n = 1; this.func.locals.includes(slot); n++) {
+            slot = `${name}$${n}`;
+        }
+
+        this.func.locals.push(slot);
+        scope.set(name, slot);
+        return slot;
+    }
+
+    /**
+     * Find the slot for a name in the enclosing scopes
+     */
+    resolveLocal(name) {
+        for (let i = this.scopes.length - 1; i >= 0; i--) {
+            if (this.scopes[i].has(name)) {
+                return this.scopes[i].get(name);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Push a string constant
+     */
+    pushString(value) {
+        this.addString(value);
+        this.emit({ op: OPCODES.PUSH_STR, value: value });
+    }
+
+    /**
+     * Allocate a module-unique label name
+     */
+    newLabel() {
+        return `.L${this.labelCount++}`;
+    }
+
+    /**
+     * Place a label at the current position
+     */
+    emitLabel(name) {
+        this.emit({ op: IR_OPS.LABEL, name: name });
+    }
+
+    /**
+     * Append an instruction to the current function
+     */
+    emit(instr) {
+        this.func.instructions.push(instr);
+        this.trackDepth(instr);
+    }
+
+    /**
+     * Follow the operand stack depth through an instruction
+     *
+     * Jumps record the depth at their target; after an unconditional
+     * transfer the depth is unknown (null) until the next label.
+     */
+    trackDepth(instr) {
+        const reach = label => {
+            if (!this.labelDepths.has(label)) this.labelDepths.set(label, this.depth);
+        };
+
+        switch (instr.op) {
+            case IR_OPS.LABEL:
+                if (this.labelDepths.has(instr.name)) {
+                    this.depth = this.labelDepths.get(instr.name);
+                } else if (this.depth === null) {
+                    this.depth = 0;
+                }
+                break;
+
+            case OPCODES.JMP:
+                reach(instr.label);
+                this.depth = null;
+                break;
+
+            case OPCODES.RET:
+                this.depth = null;
+                break;
+
+            case OPCODES.JZ:
+            case OPCODES.JNZ:
+                this.depth--;
+                reach(instr.label);
+                break;
+
+            case OPCODES.SWITCH:
+                this.depth--;
+                instr.labels.forEach(reach);
+                reach(instr.defaultLabel);
+                break;
+
+            case OPCODES.CALL:
+            case OPCODES.CALL_API:
+                this.depth += 1 - instr.argc;
+                break;
+
+            default:
+                // Everything else is a binary operator
+                this.depth += STACK_EFFECTS.has(instr.op) ? STACK_EFFECTS.get(instr.op) : -1;
+        }
+    }
+
+    /**
+     * Record an error against a source node
+     */
+    error(node, diag, message) {
+        this.parser.error(node, diag, message);
+    }
+
+    /**
+     * Record a warning against a source node
+     */
+    warn(node, diag, message) {
+        this.parser.warn(node, diag, message);
+    }
+}
+
+module.exports = { AKMIRGen };
@@ -0,0 +1,606 @@
+/**
+ * AKMLinker - Multi-file Module Linker
+ *
+ * Loads the entry file and every file it imports with
+ *
+ *   import { helper, MAX as LIMIT } from './util.js';
+ *
+ * and links them into one program for the rest of the pipeline. Each file
+ * has its own top-level scope: it sees only its own declarations and the
+ * names it imports. Top-level names keep their spelling in the combined
+ * symbol table unless another file already uses them; those become
+ * `<file>$<name>` (for example `util$crc`). The entry file's names and
+ * init/exit are never renamed.
+ *
+ * Imported files come before the files that import them, so their globals
+ * are initialized and their struct layouts declared first. Their exports
+ * only serve imports: in the linked program they are plain declarations,
+ * so only the entry file's exports become global symbols. Functions of
+ * imported files that nothing uses are left out.
+ *
+ * `akm:<name>` imports the bundled standard library file stdlib/<name>.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const acorn = require('acorn');
+const { DIAGNOSTICS, createDiagnostic } = require('./diagnostics');
+
+// Names only the entry file may define
+const ENTRY_NAMES = ['init', 'exit'];
+
+// Standard library files, imported as 'akm:<name>'
+const STDLIB_PREFIX = 'akm:';
+const STDLIB_DIR = path.join(__dirname, 'stdlib');
+
+class AKMLinker {
+    constructor(options = {}) {
+        this.options = options;
+        this.readFile = options.readFile || (file => fs.readFileSync(file, 'utf8'));
+        this.errors = [];
+        this.warnings = [];
+    }
+
+    /**
+     * Link an entry file and its imports
+     *
+     * @returns {object} { ast, files, sources, errors, warnings }: ast is
+     *                   null when a file could not be parsed
+     */
+    link(source, filename) {
+        this.errors = [];
+        this.warnings = [];
+        this.units = new Map();
+        this.order = [];
+
+        const entry = this.load(filename, source, null);
+        if (!entry || this.order.some(unit => !unit.ast)) {
+            return this.result(null);
+        }
+
+        this.checkImports();
+        this.assignNames(entry);
+        for (const unit of this.order) {
+            this.rename(unit);
+        }
+
+        // Dependencies first, then the files importing them
+        const body = [];
+        for (const unit of this.order) {
+            for (const node of unit.ast.body) {
+                if (node.type === 'ImportDeclaration') continue;
+                if (unit.isEntry || node.type !== 'ExportNamedDeclaration' || node.source) {
+                    body.push(node);
+                } else if (node.declaration) {
+                    body.push(node.declaration);
+                }
+            }
+        }
+
+        return this.result(Object.assign({}, entry.ast, { body: this.prune(body, entry) }));
+    }
+
+    /**
+     * Link result around a combined program (or null)
+     */
+    result(ast) {
+        return {
+            ast: ast,
+            files: [...this.units.values()].map(unit => unit.file),
+            sources: new Map([...this.units.values()].filter(unit => unit.source !== undefined)
+                .map(unit => [unit.file, unit.source])),
+            errors: this.errors,
+            warnings: this.warnings
+        };
+    }
+
+    // =========================================================================
+    // LOADING
+    // =========================================================================
+
+    /**
+     * Parse a file, then the files it imports (depth first)
+     *
+     * A unit is registered before its imports are loaded, so import
+     * cycles end at the file already being loaded.
+     */
+    load(file, source, importNode) {
+        const key = path.resolve(file);
+        if (this.units.has(key)) return this.units.get(key);
+
+        const unit = {
+            file: file,
+            key: key,
+            ast: null,
+            isEntry: importNode === null,
+            imports: [],
+            exports: new Map(),
+            topLevel: new Set(),
+            names: new Map()
+        };
+        this.units.set(key, unit);
+
+        if (source === null) {
+            try {
+                source = this.readFile(key);
+            } catch (e) {
+                this.error(importNode.source, DIAGNOSTICS.INVALID_IMPORT, `Cannot read '${importNode.source.value}': ${e.code || e.message}`);
+                this.units.delete(key);
+                return null;
+            }
+        }
+        unit.source = source;
+
+        try {
+            unit.ast = acorn.parse(source, {
+                ecmaVersion: 2020,
+                sourceType: 'module',
+                locations: true,
+                ranges: true,
+                sourceFile: file
+            });
+        } catch (e) {
+            const at = e.loc ? { loc: { start: e.loc, end: e.loc } } : null;
+            this.errors.push(createDiagnostic('error', DIAGNOSTICS.SYNTAX_ERROR, file, at, e.message));
+            this.order.push(unit);
+            return unit;
+        }
+
+        this.collectDeclarations(unit);
+
+        for (const node of unit.ast.body) {
+            if (node.type !== 'ImportDeclaration') continue;
+
+            const target = this.resolve(unit, node);
+            if (!target) continue;
+
+            const imported = this.load(target, null, node);
+            if (imported) unit.imports.push({ node: node, unit: imported });
+        }
+
+        this.order.push(unit);
+        return unit;
+    }
+
+    /**
+     * File an import refers to, relative to the importing file
+     *
+     * Only relative specifiers and the standard library are supported;
+     * '.js' may be left out.
+     */
+    resolve(unit, node) {
+        const spec = node.source.value;
+        if (spec.startsWith(STDLIB_PREFIX)) {
+            const name = spec.slice(STDLIB_PREFIX.length);
+            const file = path.join(STDLIB_DIR, `${name}.js`);
+            if (!/^[a-z0-9_-]+$/.test(name) || !this.exists(file)) {
+                this.error(node.source, DIAGNOSTICS.INVALID_IMPORT, `Unknown standard library module '${spec}' ` +
+                    `(available: ${AKMLinker.stdlibModules().map(m => STDLIB_PREFIX + m).join(', ')})`);
+                return null;
+            }
+            return file;
+        }
+        if (!spec.startsWith('./') && !spec.startsWith('../')) {
+            this.error(node.source, DIAGNOSTICS.INVALID_IMPORT,
+                `Cannot import '${spec}': only relative paths ('./file.js') and '${STDLIB_PREFIX}<module>' are supported`);
+            return null;
+        }
+
+        const file = path.join(path.dirname(unit.file), spec);
+        if (path.extname(file) === '' && !this.exists(file) && this.exists(`${file}.js`)) {
+            return `${file}.js`;
+        }
+        return file;
+    }
+
+    /**
+     * Whether a file can be read
+     */
+    exists(file) {
+        try {
+            this.readFile(path.resolve(file));
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Record a file's top-level names and what it exports
+     */
+    collectDeclarations(unit) {
+        const declare = (id, exported) => {
+            if (!id || id.type !== 'Identifier') return;
+            unit.topLevel.add(id.name);
+            if (exported) unit.exports.set(id.name, id.name);
+        };
+
+        for (const node of unit.ast.body) {
+            const exported = node.type === 'ExportNamedDeclaration';
+            const decl = exported ? node.declaration : node;
+
+            if (exported && !decl && !node.source) {
+                // export { a, b as c }
+                for (const spec of node.specifiers) {
+                    unit.exports.set(spec.exported.name, spec.local.name);
+                }
+            }
+            if (!decl) continue;
+
+            if (decl.type === 'FunctionDeclaration') {
+                declare(decl.id, exported);
+            } else if (decl.type === 'VariableDeclaration') {
+                for (const d of decl.declarations) declare(d.id, exported);
+            }
+        }
+    }
+
+    /**
+     * Check every import against the exports of the file it names
+     *
+     * Also rejects declarations only the entry file may make.
+     */
+    checkImports() {
+        for (const unit of this.order) {
+            for (const { node, unit: target } of unit.imports) {
+                for (const spec of node.specifiers) {
+                    if (spec.type !== 'ImportSpecifier') {
+                        this.error(spec, DIAGNOSTICS.INVALID_IMPORT,
+                            `Default and namespace imports are not supported; use import { name } from '${node.source.value}'`);
+                    } else if (!target.exports.has(spec.imported.name)) {
+                        this.error(spec.imported, DIAGNOSTICS.INVALID_IMPORT,
+                            `'${node.source.value}' does not export '${spec.imported.name}'`);
+                    } else if (unit.topLevel.has(spec.local.name)) {
+                        this.error(spec.local, DIAGNOSTICS.INVALID_IMPORT,
+                            `Imported name '${spec.local.name}' is also declared in this file`);
+                    }
+                }
+            }
+
+            if (unit.isEntry) continue;
+
+            for (const node of unit.ast.body) {
+                if (node.type === 'ExpressionStatement' && this.isAKMCall(node.expression, 'module')) {
+                    this.error(node, DIAGNOSTICS.INVALID_IMPORT, 'AKM.module() must be in the entry file, not an imported one');
+                }
+            }
+            for (const name of ENTRY_NAMES) {
+                if (unit.topLevel.has(name)) {
+                    this.warn(unit, DIAGNOSTICS.INVALID_IMPORT,
+                        `${name}() in an imported file is not the module's ${name}(); define it in the entry file`);
+                }
+            }
+        }
+    }
+
+    // =========================================================================
+    // SCOPING
+    // =========================================================================
+
+    /**
+     * Choose the linked name of every top-level declaration
+     *
+     * The entry file keeps its names; other files keep theirs unless the
+     * name is already taken, in which case it gets the file's prefix.
+     */
+    assignNames(entry) {
+        const taken = new Set(ENTRY_NAMES);
+        const prefixes = new Set();
+
+        for (const name of entry.topLevel) {
+            entry.names.set(name, name);
+            taken.add(name);
+        }
+
+        for (const unit of this.order) {
+            if (unit === entry) continue;
+
+            const prefix = this.prefix(unit, prefixes);
+            for (const name of unit.topLevel) {
+                let linked = taken.has(name) ? `${prefix}$${name}` : name;
+                for (let n = 2; taken.has(linked); n++) {
+                    linked = `${prefix}$${name}_${n}`;
+                }
+                unit.names.set(name, linked);
+                taken.add(linked);
+            }
+        }
+    }
+
+    /**
+     * Identifier-safe prefix for a file's renamed names, unique per link
+     */
+    prefix(unit, prefixes) {
+        const base = path.basename(unit.file).replace(/(\.akm)?\.js$/, '').replace(/[^A-Za-z0-9_]/g, '_') || 'file';
+        let prefix = /^[0-9]/.test(base) ? `_${base}` : base;
+        for (let n = 2; prefixes.has(prefix); n++) {
+            prefix = `${base}${n}`;
+        }
+        prefixes.add(prefix);
+        return prefix;
+    }
+
+    /**
+     * Rewrite a file's references to top-level names, its own and
+     * imported ones, to their linked names
+     *
+     * Renamed identifiers keep their source spelling in `sourceName`.
+     * A free name declared only in another file is reported, since the
+     * file would otherwise see it through the combined program.
+     */
+    rename(unit) {
+        const names = new Map(unit.names);
+        for (const { node, unit: target } of unit.imports) {
+            for (const spec of node.specifiers) {
+                if (spec.type !== 'ImportSpecifier' || !target.exports.has(spec.imported.name)) continue;
+                const local = target.exports.get(spec.imported.name);
+                names.set(spec.local.name, target.names.get(local) || local);
+            }
+        }
+
+        const foreign = new Map();
+        for (const other of this.order) {
+            if (other === unit) continue;
+            for (const linked of other.names.values()) {
+                if (!foreign.has(linked)) foreign.set(linked, other);
+            }
+        }
+
+        this.renameIn(unit.ast, [], (id) => {
+            if (names.has(id.name)) {
+                const linked = names.get(id.name);
+                if (linked !== id.name) {
+                    id.sourceName = id.name;
+                    id.name = linked;
+                }
+            } else if (foreign.has(id.name)) {
+                const owner = foreign.get(id.name);
+                this.error(id, DIAGNOSTICS.UNDEFINED_NAME,
+                    `'${id.name}' is not defined in this file (import it from '${this.relative(unit, owner)}')`);
+            }
+        });
+    }
+
+    /**
+     * Walk a subtree, calling `free` for every identifier reference that
+     * no enclosing function or block declares
+     */
+    renameIn(node, scopes, free, parent = null, key = null) {
+        if (!node || typeof node.type !== 'string') return;
+
+        if (node.type === 'Identifier') {
+            if (this.isReference(node, parent, key) && !scopes.some(scope => scope.has(node.name))) {
+                free(node);
+            }
+            return;
+        }
+        if (node.type === 'ImportDeclaration') return;
+
+        const scope = this.scopeOf(node);
+        const inner = scope ? scopes.concat([scope]) : scopes;
+
+        for (const childKey in node) {
+            if (childKey === 'loc' || childKey === 'range' || childKey === 'start' || childKey === 'end') continue;
+
+            const child = node[childKey];
+            const children = Array.isArray(child) ? child : [child];
+            for (const c of children) {
+                if (c && typeof c === 'object') this.renameIn(c, inner, free, node, childKey);
+            }
+        }
+    }
+
+    /**
+     * Names a function, block or catch clause declares, or null
+     */
+    scopeOf(node) {
+        const names = new Set();
+        const addPattern = (p) => {
+            if (!p) return;
+            if (p.type === 'Identifier') names.add(p.name);
+            else if (p.type === 'AssignmentPattern') addPattern(p.left);
+            else if (p.type === 'RestElement') addPattern(p.argument);
+        };
+        const addLexical = (statements) => {
+            for (const s of statements) {
+                if (s.type === 'VariableDeclaration' && s.kind !== 'var') s.declarations.forEach(d => addPattern(d.id));
+                if (s.type === 'FunctionDeclaration' && s.id) names.add(s.id.name);
+            }
+        };
+
+        switch (node.type) {
+            case 'FunctionDeclaration':
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                node.params.forEach(addPattern);
+                if (node.type === 'FunctionExpression' && node.id) names.add(node.id.name);
+                this.collectVars(node.body, names);
+                return names;
+
+            case 'BlockStatement':
+                addLexical(node.body);
+                return names;
+
+            case 'SwitchStatement':
+                node.cases.forEach(c => addLexical(c.consequent));
+                return names;
+
+            case 'ForStatement':
+            case 'ForInStatement':
+            case 'ForOfStatement': {
+                const decl = node.type === 'ForStatement' ? node.init : node.left;
+                if (decl && decl.type === 'VariableDeclaration' && decl.kind !== 'var') addLexical([decl]);
+                return names;
+            }
+
+            case 'CatchClause':
+                addPattern(node.param);
+                return names;
+        }
+
+        return null;
+    }
+
+    /**
+     * Add the `var` declarations of a function body, not entering nested
+     * functions
+     */
+    collectVars(node, names) {
+        if (!node || typeof node.type !== 'string') return;
+        if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+            for (const d of node.declarations) {
+                if (d.id.type === 'Identifier') names.add(d.id.name);
+            }
+        }
+
+        for (const key in node) {
+            if (key === 'loc' || key === 'range') continue;
+            const child = node[key];
+            const children = Array.isArray(child) ? child : [child];
+            for (const c of children) {
+                if (c && typeof c === 'object' && c.type !== 'FunctionDeclaration' &&
+                    c.type !== 'FunctionExpression' && c.type !== 'ArrowFunctionExpression') {
+                    this.collectVars(c, names);
+                }
+            }
+        }
+    }
+
+    /**
+     * Whether an identifier names a binding rather than a property, key
+     * or label
+     */
+    isReference(node, parent, key) {
+        if (!parent) return true;
+
+        switch (parent.type) {
+            case 'MemberExpression':
+                return key !== 'property' || parent.computed;
+            case 'Property':
+            case 'MethodDefinition':
+                return key !== 'key' || parent.computed;
+            case 'LabeledStatement':
+            case 'BreakStatement':
+            case 'ContinueStatement':
+                return false;
+            case 'ExportSpecifier':
+                return key === 'local';
+        }
+        return true;
+    }
+
+    /**
+     * Drop functions of imported files that no code kept in the program
+     * refers to, directly or through other functions
+     *
+     * Everything else is kept: the entry file, global initializers,
+     * declarations and command registrations of imported files.
+     */
+    prune(body, entry) {
+        const entryNodes = new Set(entry.ast.body);
+        const candidates = new Map();
+        for (const node of body) {
+            const name = entryNodes.has(node) ? null : this.functionName(node);
+            if (name) candidates.set(name, node);
+        }
+
+        const used = new Set();
+        const queue = body.filter(node => !candidates.has(this.functionName(node)) || entryNodes.has(node));
+        while (queue.length > 0) {
+            this.identifiers(queue.pop(), (name) => {
+                if (candidates.has(name) && !used.has(name)) {
+                    used.add(name);
+                    queue.push(candidates.get(name));
+                }
+            });
+        }
+
+        return body.filter(node => entryNodes.has(node) || !candidates.has(this.functionName(node)) ||
+            used.has(this.functionName(node)));
+    }
+
+    /**
+     * Name a top-level function declaration (or const bound to a function
+     * expression) declares, or null
+     */
+    functionName(node) {
+        if (node.type === 'FunctionDeclaration' && node.id) return node.id.name;
+        if (node.type === 'VariableDeclaration' && node.declarations.length === 1) {
+            const decl = node.declarations[0];
+            if (decl.id.type === 'Identifier' && decl.init &&
+                (decl.init.type === 'FunctionExpression' || decl.init.type === 'ArrowFunctionExpression')) {
+                return decl.id.name;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Call `visit` with the name of every identifier in a subtree
+     */
+    identifiers(node, visit) {
+        if (!node || typeof node.type !== 'string') return;
+        if (node.type === 'Identifier') visit(node.name);
+
+        for (const key in node) {
+            if (key === 'loc' || key === 'range') continue;
+            const child = node[key];
+            const children = Array.isArray(child) ? child : [child];
+            for (const c of children) {
+                if (c && typeof c === 'object') this.identifiers(c, visit);
+            }
+        }
+    }
+
+    // =========================================================================
+    // HELPERS
+    // =========================================================================
+
+    /**
+     * Names of the bundled standard library modules
+     */
+    static stdlibModules() {
+        try {
+            return fs.readdirSync(STDLIB_DIR).filter(f => f.endsWith('.js')).map(f => f.slice(0, -3)).sort();
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Check for an AKM.<method>() call
+     */
+    isAKMCall(node, method) {
+        return !!node && node.type === 'CallExpression' &&
+            node.callee.type === 'MemberExpression' && !node.callee.computed &&
+            node.callee.object.type === 'Identifier' && node.callee.object.name === 'AKM' &&
+            node.callee.property.name === method;
+    }
+
+    /**
+     * Path of one file as an import specifier from another
+     */
+    relative(from, to) {
+        if (path.dirname(to.key) === STDLIB_DIR) {
+            return STDLIB_PREFIX + path.basename(to.key, '.js');
+        }
+        const rel = path.relative(path.dirname(from.key), to.key).split(path.sep).join('/');
+        return rel.startsWith('.') ? rel : `./${rel}`;
+    }
+
+    /**
+     * Report an error at a node; its file comes from the node's location
+     */
+    error(node, diag, message) {
+        this.errors.push(createDiagnostic('error', diag, null, node, message));
+    }
+
+    /**
+     * Report a warning for a whole file
+     */
+    warn(unit, diag, message) {
+        this.warnings.push(createDiagnostic('warning', diag, unit.file, null, message));
+    }
+}
+
+module.exports = { AKMLinker };
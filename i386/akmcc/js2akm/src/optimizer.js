@@ -4,7 +4,8 @@
  * Performs various optimizations on the intermediate representation.
  */
 
-const { OPCODES } = require('./constants');
+const { OPCODES, IR_OPS } = require('./constants');
+const { foldBinary } = require('./int32');
 
 class AKMOptimizer {
     constructor(options = {}) {
@@ -27,29 +28,16 @@ class AKMOptimizer {
     /**
      * Dead code elimination
      * Remove unreachable code after unconditional jumps/returns
+     * up to the next label
      */
     deadCodeElimination(ir) {
         for (const func of ir.functions) {
             const newInstructions = [];
             let reachable = true;
-            let seenLabels = new Set();
 
-            // First pass: find all jump targets
             for (const instr of func.instructions) {
-                if (instr.label) {
-                    seenLabels.add(instr.label);
-                }
-                if (instr.target) {
-                    seenLabels.add(instr.target);
-                }
-            }
-
-            // Second pass: eliminate dead code
-            for (let i = 0; i < func.instructions.length; i++) {
-                const instr = func.instructions[i];
-
-                // Check if this is a jump target
-                if (seenLabels.has(i)) {
+                // Labels are jump targets, so code after them is live again
+                if (instr.op === IR_OPS.LABEL) {
                     reachable = true;
                 }
 
@@ -59,6 +47,7 @@ class AKMOptimizer {
                     // Unconditional jumps and returns make following code unreachable
                     if (instr.op === OPCODES.RET || 
                         instr.op === OPCODES.JMP ||
+                        instr.op === OPCODES.SWITCH ||
                         instr.op === OPCODES.HALT) {
                         reachable = false;
                     }
@@ -92,45 +81,10 @@ class AKMOptimizer {
                         next1.op === OPCODES.PUSH && 
                         typeof next1.value === 'number') {
                         
-                        let result = null;
-                        switch (next2.op) {
-                            case OPCODES.ADD:
-                                result = instr.value + next1.value;
-                                break;
-                            case OPCODES.SUB:
-                                result = instr.value - next1.value;
-                                break;
-                            case OPCODES.MUL:
-                                result = instr.value * next1.value;
-                                break;
-                            case OPCODES.DIV:
-                                if (next1.value !== 0) {
-                                    result = Math.floor(instr.value / next1.value);
-                                }
-                                break;
-                            case OPCODES.MOD:
-                                if (next1.value !== 0) {
-                                    result = instr.value % next1.value;
-                                }
-                                break;
-                            case OPCODES.AND:
-                                result = instr.value & next1.value;
-                                break;
-                            case OPCODES.OR:
-                                result = instr.value | next1.value;
-                                break;
-                            case OPCODES.XOR:
-                                result = instr.value ^ next1.value;
-                                break;
-                            case OPCODES.SHL:
-                                result = instr.value << next1.value;
-                                break;
-                            case OPCODES.SHR:
-                                result = instr.value >>> next1.value;
-                                break;
-                        }
+                        // Same 32-bit semantics as the VM
+                        const result = foldBinary(next2.op, instr.value, next1.value);
 
-                        if (result !== null) {
+                        if (result !== undefined) {
                             // Replace with single PUSH
                             newInstructions.push({
                                 op: OPCODES.PUSH,
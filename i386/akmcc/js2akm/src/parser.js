@@ -6,7 +6,32 @@
  */
 
 const acorn = require('acorn');
-const { CAPABILITIES, API_FUNCTIONS, OPCODES } = require('./constants');
+const { CAPABILITIES, API_FUNCTIONS, INTRINSICS, FIELD_TYPES, AKM_FORMAT } = require('./constants');
+const { AKMIRGen } = require('./irgen');
+const { AKMConstEval } = require('./consteval');
+const { AKMCommandArgs } = require('./cmdargs');
+const { AKMCleanup } = require('./cleanup');
+const { AKMLinker } = require('./linker');
+const { DIAGNOSTICS, createDiagnostic } = require('./diagnostics');
+
+// APIs that take a function argument, and where it sits in the argument list
+const CALLBACK_APIS = {
+    command:        { arg: 1, prefix: 'cmd' },
+    registerIRQ:    { arg: 1, prefix: 'irq' },
+    createTimer:    { arg: 1, prefix: 'timer' },
+    spawn:          { arg: 1, prefix: 'proc' }
+};
+
+// Command config properties that hold code rather than constants
+const COMMAND_CODE_KEYS = ['handler', 'subcommands'];
+
+// AKM.param() types and the JavaScript type of their defaults
+const PARAM_TYPES = {
+    int:    { type: AKM_FORMAT.PARAM_INT, value: 'number' },
+    uint:   { type: AKM_FORMAT.PARAM_UINT, value: 'number' },
+    bool:   { type: AKM_FORMAT.PARAM_BOOL, value: 'boolean' },
+    string: { type: AKM_FORMAT.PARAM_STRING, value: 'string' }
+};
 
 class AKMParser {
     constructor(options = {}) {
@@ -14,36 +39,34 @@ class AKMParser {
         this.errors = [];
         this.warnings = [];
         this.currentFile = '';
+        this.commandArgs = new AKMCommandArgs(this);
+        this.cleanup = new AKMCleanup(this);
+        this.linker = new AKMLinker(options);
     }
 
     /**
-     * Parse JavaScript source code
+     * Parse JavaScript source code, with the files it imports
      */
     parse(source, filename = 'module.js') {
         this.currentFile = filename;
-        this.errors = [];
-        this.warnings = [];
 
-        let ast;
-        try {
-            ast = acorn.parse(source, {
-                ecmaVersion: 2020,
-                sourceType: 'module',
-                locations: true,
-                ranges: true
-            });
-        } catch (e) {
-            this.errors.push({
-                file: filename,
-                line: e.loc ? e.loc.line : 0,
-                column: e.loc ? e.loc.column : 0,
-                message: e.message
-            });
+        // Parse and link the entry file and its imports into one program
+        const linked = this.linker.link(source, filename);
+        this.errors = linked.errors.slice();
+        this.warnings = linked.warnings.slice();
+        if (!linked.ast || this.errors.length > 0) {
             return {
+                file: filename,
+                files: linked.files,
+                sources: linked.sources,
                 errors: this.errors,
                 warnings: this.warnings
             };
         }
+        const ast = linked.ast;
+
+        // Top-level consts are visible to every constant expression
+        this.constEval = new AKMConstEval(AKMConstEval.collectBindings(ast));
 
         // Extract module configuration
         const moduleConfig = this.extractModuleConfig(ast);
@@ -51,31 +74,59 @@ class AKMParser {
         // Extract functions
         const functions = this.extractFunctions(ast);
 
+        // Extract struct layouts
+        const structs = this.extractStructs(ast);
+
+        // Extract constant tables
+        const tables = this.extractTables(ast);
+
+        // Extract load-time parameters
+        const params = this.extractParams(ast);
+
+        // Extract module-level variables
+        const globals = this.extractGlobals(ast);
+
         // Extract commands
         const commands = this.extractCommands(ast);
 
+        // Generate argument parsing, permission checks and subcommand dispatch
+        this.expandCommands(ast, commands, functions);
+
+        // Check that exit() releases what init() acquires
+        this.cleanup.check(functions, globals, this.options);
+
         // Extract API calls
         const apiCalls = this.extractAPICalls(ast);
 
         // Compute required capabilities from API usage
-        const requiredCaps = this.computeRequiredCapabilities(apiCalls, commands);
+        const capabilityUses = this.collectCapabilityUses(apiCalls, commands);
+        const requiredCaps = capabilityUses.reduce((caps, use) => caps | use.capability, 0) >>> 0;
 
-        // Merge with declared capabilities
-        if (moduleConfig.capabilities) {
-            moduleConfig.capabilities |= requiredCaps;
-        } else {
-            moduleConfig.capabilities = requiredCaps;
-        }
+        // Merge with declared capabilities (kept as an unsigned mask)
+        const declaredCaps = typeof moduleConfig.capabilities === 'number'
+            ? moduleConfig.capabilities >>> 0
+            : null;
+        moduleConfig.capabilities = ((declaredCaps || 0) | requiredCaps) >>> 0;
 
         // Generate IR
-        const ir = this.generateIR(ast, functions, commands, apiCalls);
+        const ir = this.generateIR(ast, functions, commands, apiCalls, globals, structs, params, tables);
 
         return {
+            file: filename,
+            files: linked.files,
+            sources: linked.sources,
             ast: ast,
             moduleConfig: moduleConfig,
             functions: functions,
+            globals: globals,
+            structs: structs,
+            tables: tables,
+            params: params,
             commands: commands,
             apiCalls: apiCalls,
+            declaredCapabilities: declaredCaps,
+            requiredCapabilities: requiredCaps,
+            capabilityUses: capabilityUses,
             ir: ir,
             errors: this.errors,
             warnings: this.warnings
@@ -105,20 +156,34 @@ class AKMParser {
 
     /**
      * Extract function declarations
+     *
+     * Nested declarations become module functions too, so every function
+     * name must be unique across the module.
      */
     extractFunctions(ast) {
         const functions = {};
 
+        const add = (name, node, loc, isExport) => {
+            const existing = functions[name];
+            if (existing && existing.node !== node) {
+                this.error({ loc }, DIAGNOSTICS.DUPLICATE_FUNCTION,
+                    `Function '${name}' is already declared on line ${existing.loc.start.line}; ` +
+                    'nested functions share one module-wide namespace');
+                return;
+            }
+            functions[name] = {
+                name: name,
+                node: node,
+                params: node.params.map(p => p.name || p.left?.name),
+                loc: loc,
+                isExport: isExport
+            };
+        };
+
         this.walkAST(ast, (node) => {
             // Regular function declarations
             if (node.type === 'FunctionDeclaration' && node.id) {
-                functions[node.id.name] = {
-                    name: node.id.name,
-                    node: node,
-                    params: node.params.map(p => p.name),
-                    loc: node.loc,
-                    isExport: false
-                };
+                add(node.id.name, node, node.loc, false);
             }
 
             // Export function declarations
@@ -126,13 +191,7 @@ class AKMParser {
                 node.declaration && 
                 node.declaration.type === 'FunctionDeclaration') {
                 const func = node.declaration;
-                functions[func.id.name] = {
-                    name: func.id.name,
-                    node: func,
-                    params: func.params.map(p => p.name),
-                    loc: func.loc,
-                    isExport: true
-                };
+                add(func.id.name, func, func.loc, true);
             }
 
             // Arrow functions assigned to variables
@@ -141,23 +200,579 @@ class AKMParser {
                     if (decl.init && 
                         (decl.init.type === 'ArrowFunctionExpression' ||
                          decl.init.type === 'FunctionExpression')) {
-                        functions[decl.id.name] = {
-                            name: decl.id.name,
-                            node: decl.init,
-                            params: decl.init.params.map(p => p.name || p.left?.name),
-                            loc: decl.loc,
-                            isExport: false
-                        };
+                        add(decl.id.name, decl.init, decl.loc, false);
                     }
                 }
             }
         });
 
+        this.hoistCallbackFunctions(ast, functions);
+
         return functions;
     }
 
+    /**
+     * Hoist function expressions passed inline to callback-taking APIs
+     *
+     * Each one becomes a module function with a generated name, which is
+     * recorded on the AST node as `akmName` so later passes can refer to it.
+     */
+    hoistCallbackFunctions(ast, functions) {
+        const counters = {};
+
+        this.walkAST(ast, (node) => {
+            if (node.type !== 'CallExpression' ||
+                node.callee.type !== 'MemberExpression' ||
+                node.callee.object.name !== 'AKM') {
+                return;
+            }
+
+            const method = node.callee.property.name;
+            const callback = CALLBACK_APIS[method];
+            if (!callback) return;
+
+            // Commands are named after the command path, others are numbered
+            const handlers = method === 'command'
+                ? this.commandHandlers(node.arguments[0], node.arguments[callback.arg], null)
+                : [{ node: node.arguments[callback.arg], suffix: null }];
+
+            for (const entry of handlers) {
+                const handler = entry.node;
+                if (!handler ||
+                    (handler.type !== 'ArrowFunctionExpression' &&
+                     handler.type !== 'FunctionExpression')) {
+                    continue;
+                }
+
+                let suffix = entry.suffix;
+                if (suffix === null) {
+                    counters[method] = counters[method] || 0;
+                    suffix = String(counters[method]++);
+                }
+
+                let name = `__akm_${callback.prefix}_${suffix}`;
+                for (let n = 1; functions[name]; n++) {
+                    name = `__akm_${callback.prefix}_${suffix}_${n}`;
+                }
+
+                handler.akmName = name;
+                functions[name] = {
+                    name: name,
+                    node: handler,
+                    params: handler.params.map(p => p.name || p.left?.name),
+                    loc: handler.loc,
+                    isExport: false
+                };
+            }
+        });
+    }
+
+    /**
+     * Handler nodes of a command and its subcommands, each with a name
+     * suffix derived from the command path ("netctl up" -> netctl_up)
+     */
+    commandHandlers(configNode, handler, parentPath) {
+        const nameNode = this.propertyNode(configNode, 'name');
+        const name = nameNode ? this.constEval.evaluate(nameNode.value) : undefined;
+        const path = [parentPath, name === undefined ? 'unknown' : String(name)].filter(Boolean).join(' ');
+
+        const handlers = [{ node: handler, suffix: path.replace(/[^A-Za-z0-9_]/g, '_') }];
+        const subcommands = this.propertyNode(configNode, 'subcommands');
+        if (subcommands && subcommands.value.type === 'ArrayExpression') {
+            for (const element of subcommands.value.elements) {
+                const sub = this.propertyNode(element, 'handler');
+                handlers.push(...this.commandHandlers(element, sub ? sub.value : null, path));
+            }
+        }
+
+        return handlers;
+    }
+
+    /**
+     * Extract top-level let/const/var declarations
+     */
+    extractGlobals(ast) {
+        const globals = [];
+
+        for (let node of ast.body) {
+            const isExport = node.type === 'ExportNamedDeclaration';
+            if (isExport) node = node.declaration;
+            if (!node || node.type !== 'VariableDeclaration') continue;
+
+            for (const decl of node.declarations) {
+                // Function-valued bindings are handled by extractFunctions
+                if (decl.init &&
+                    (decl.init.type === 'ArrowFunctionExpression' ||
+                     decl.init.type === 'FunctionExpression')) {
+                    continue;
+                }
+
+                // Struct layouts exist only at compile time
+                if (this.isStructDeclaration(decl.init)) {
+                    continue;
+                }
+
+                // Constant tables live in .rodata
+                if (this.isTableLiteral(decl.init)) {
+                    continue;
+                }
+
+                // Parameters are globals the loader may overwrite
+                if (this.isParamDeclaration(decl.init)) {
+                    if (node.kind === 'const' && decl.id.type === 'Identifier') {
+                        globals.push({
+                            name: decl.id.name,
+                            init: null,
+                            declarator: decl,
+                            isConst: true,
+                            isExport: isExport,
+                            isParam: true,
+                            loc: decl.loc
+                        });
+                    }
+                    continue;
+                }
+
+                if (decl.id.type !== 'Identifier') {
+                    this.warn(decl.id, DIAGNOSTICS.UNSUPPORTED_CONSTRUCT,
+                        `Unsupported declaration pattern: ${decl.id.type} (ignored)`);
+                    continue;
+                }
+
+                globals.push({
+                    name: decl.id.name,
+                    init: decl.init,
+                    declarator: decl,
+                    isConst: node.kind === 'const',
+                    isExport: isExport,
+                    loc: decl.loc
+                });
+            }
+        }
+
+        return globals;
+    }
+
+    /**
+     * Extract top-level `const Name = AKM.struct({...}, {packed})` layouts
+     */
+    extractStructs(ast) {
+        const structs = new Map();
+
+        for (let node of ast.body) {
+            if (node.type === 'ExportNamedDeclaration') node = node.declaration;
+            if (!node || node.type !== 'VariableDeclaration') continue;
+
+            for (const decl of node.declarations) {
+                if (!this.isStructDeclaration(decl.init)) continue;
+
+                if (node.kind !== 'const' || decl.id.type !== 'Identifier') {
+                    this.error(decl, DIAGNOSTICS.INVALID_STRUCT, 'AKM.struct() must be assigned to a const');
+                    continue;
+                }
+
+                const [fieldsNode, optionsNode] = decl.init.arguments;
+                const options = optionsNode ? this.parseObjectExpression(optionsNode) : {};
+                structs.set(decl.id.name,
+                    this.layoutStruct(decl.id.name, fieldsNode, !!options.packed, structs));
+            }
+        }
+
+        return structs;
+    }
+
+    /**
+     * Check for an AKM.struct() call
+     */
+    isStructDeclaration(node) {
+        return !!node &&
+            node.type === 'CallExpression' &&
+            node.callee.type === 'MemberExpression' &&
+            node.callee.object.name === 'AKM' &&
+            node.callee.property.name === 'struct';
+    }
+
+    /**
+     * Extract top-level `const NAME = [...]` and `const NAME = {...}`
+     * constant tables, in declaration order
+     */
+    extractTables(ast) {
+        const tables = new Map();
+
+        for (let node of ast.body) {
+            if (node.type === 'ExportNamedDeclaration') node = node.declaration;
+            if (!node || node.type !== 'VariableDeclaration') continue;
+
+            for (const decl of node.declarations) {
+                if (!this.isTableLiteral(decl.init) || decl.id.type !== 'Identifier') continue;
+
+                if (node.kind !== 'const') {
+                    this.error(decl, DIAGNOSTICS.INVALID_TABLE,
+                        `Table '${decl.id.name}' must be declared const; array and object literals are read-only`);
+                }
+                tables.set(decl.id.name, this.layoutTable(decl.id.name, decl.init));
+            }
+        }
+
+        return tables;
+    }
+
+    /**
+     * Check for an array or object literal
+     */
+    isTableLiteral(node) {
+        return !!node && (node.type === 'ArrayExpression' || node.type === 'ObjectExpression');
+    }
+
+    /**
+     * Extract top-level `const irq = AKM.param({ name, type, default,
+     * description })` parameters, in declaration order
+     *
+     * The load-time name defaults to the variable's name; the type to
+     * 'int', with default 0, false or ''.
+     */
+    extractParams(ast) {
+        const params = [];
+
+        for (let node of ast.body) {
+            if (node.type === 'ExportNamedDeclaration') node = node.declaration;
+            if (!node || node.type !== 'VariableDeclaration') continue;
+
+            for (const decl of node.declarations) {
+                if (!this.isParamDeclaration(decl.init)) continue;
+
+                if (node.kind !== 'const' || decl.id.type !== 'Identifier') {
+                    this.error(decl, DIAGNOSTICS.INVALID_PARAM, 'AKM.param() must be assigned to a const');
+                    continue;
+                }
+
+                const param = this.parseParam(decl.id, decl.init);
+                if (!param) continue;
+
+                if (params.some(p => p.name === param.name)) {
+                    this.error(decl.init, DIAGNOSTICS.INVALID_PARAM, `Duplicate parameter '${param.name}'`);
+                    continue;
+                }
+                params.push(param);
+            }
+        }
+
+        return params;
+    }
+
+    /**
+     * Check for an AKM.param() call
+     */
+    isParamDeclaration(node) {
+        return !!node &&
+            node.type === 'CallExpression' &&
+            node.callee.type === 'MemberExpression' &&
+            node.callee.object.name === 'AKM' &&
+            node.callee.property.name === 'param';
+    }
+
+    /**
+     * Validate one AKM.param() configuration
+     *
+     * The default load-time name is the variable's name as written, even
+     * when linking renamed the global.
+     */
+    parseParam(id, call) {
+        const global = id.name;
+        const configNode = call.arguments[0];
+        if (call.arguments.length !== 1 || !configNode || configNode.type !== 'ObjectExpression') {
+            this.error(call, DIAGNOSTICS.INVALID_PARAM, `AKM.param() for '${global}' needs one configuration object`);
+            return null;
+        }
+
+        const config = this.parseObjectExpression(configNode);
+        const fail = (key, message) => {
+            const prop = this.propertyNode(configNode, key);
+            this.error(prop ? prop.value : configNode, DIAGNOSTICS.INVALID_PARAM, message);
+            return null;
+        };
+
+        const name = config.name === undefined ? (id.sourceName || global) : config.name;
+        if (typeof name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            return fail('name', `Parameter name must be an identifier-like string, got ${JSON.stringify(name)}`);
+        }
+
+        const typeName = config.type === undefined ? 'int' : config.type;
+        const type = PARAM_TYPES[typeName];
+        if (!type) {
+            return fail('type', `Unknown type for parameter '${name}': ${JSON.stringify(typeName)} ` +
+                `(expected ${Object.keys(PARAM_TYPES).join('/')})`);
+        }
+
+        const empty = { number: 0, boolean: false, string: '' };
+        const value = config.default === undefined ? empty[type.value] : config.default;
+        if (typeof value !== type.value || (type.value === 'number' && !Number.isInteger(value))) {
+            return fail('default', `Default of ${typeName} parameter '${name}' must be ${type.value === 'number' ? 'an integer' : `a ${type.value}`}`);
+        }
+        if (typeName === 'uint' && value < 0) {
+            return fail('default', `Default of uint parameter '${name}' must not be negative`);
+        }
+
+        if (config.description !== undefined && typeof config.description !== 'string') {
+            return fail('description', `Description of parameter '${name}' must be a string`);
+        }
+
+        return {
+            name: name,
+            global: global,
+            typeName: typeName,
+            type: type.type,
+            default: value,
+            description: config.description || '',
+            loc: call.loc
+        };
+    }
+
+    /**
+     * Compute field offsets, size and alignment for a struct
+     *
+     * Fields are naturally aligned unless the struct is packed; the size
+     * is rounded up to the struct's alignment so arrays of it stay aligned.
+     */
+    layoutStruct(name, fieldsNode, packed, structs) {
+        const struct = { name: name, size: 0, align: 1, packed: packed, fields: new Map() };
+
+        if (!fieldsNode || fieldsNode.type !== 'ObjectExpression') {
+            this.error(fieldsNode, DIAGNOSTICS.INVALID_STRUCT,
+                `AKM.struct() for '${name}' needs an object of fields`);
+            return struct;
+        }
+
+        let offset = 0;
+        for (const prop of fieldsNode.properties) {
+            const fieldName = prop.key.name || prop.key.value;
+            const field = this.parseFieldType(prop.value, structs);
+            if (!field) {
+                this.error(prop, DIAGNOSTICS.INVALID_STRUCT,
+                    `Invalid type for field '${name}.${fieldName}' ` +
+                    `(expected ${Object.keys(FIELD_TYPES).join('/')}, a struct, or [type, count])`);
+                continue;
+            }
+
+            const align = packed ? 1 : field.align;
+            offset = (offset + align - 1) & ~(align - 1);
+            field.offset = offset;
+            struct.fields.set(fieldName, field);
+            offset += field.size;
+            struct.align = Math.max(struct.align, align);
+        }
+
+        struct.size = (offset + struct.align - 1) & ~(struct.align - 1);
+        return struct;
+    }
+
+    /**
+     * Parse a field type: 'u32', an earlier struct, or ['u8', count]
+     */
+    parseFieldType(node, structs) {
+        if (node.type === 'Literal' && FIELD_TYPES[node.value]) {
+            const type = FIELD_TYPES[node.value];
+            return { kind: 'scalar', typeName: node.value, type: type, size: type.size, align: type.size };
+        }
+
+        if (node.type === 'Identifier' && structs.has(node.name)) {
+            const struct = structs.get(node.name);
+            return { kind: 'struct', typeName: node.name, struct: struct, size: struct.size, align: struct.align };
+        }
+
+        if (node.type === 'ArrayExpression' && node.elements.length === 2) {
+            const elem = this.parseFieldType(node.elements[0], structs);
+            const count = this.constEval.evaluate(node.elements[1]);
+            if (elem && elem.kind === 'scalar' && Number.isInteger(count) && count > 0) {
+                return {
+                    kind: 'array',
+                    typeName: `${elem.typeName}[${count}]`,
+                    type: elem.type,
+                    count: count,
+                    size: elem.size * count,
+                    align: elem.align
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Lay out a constant table: an array of scalars, an array of records
+     * (objects with the same keys), or a single record
+     *
+     * Each column gets the narrowest type holding all its values and
+     * records are laid out like a struct. `cells` lists every scalar with
+     * its offset from the start of the table.
+     */
+    layoutTable(name, node) {
+        const table = { name: name, count: null, elem: null, struct: null, size: 0, align: 1, cells: [], loc: node.loc };
+
+        if (node.type === 'ObjectExpression') {
+            const struct = this.layoutRecord(name, [node]);
+            if (!struct) return table;
+            return Object.assign(table, {
+                typeName: name, struct: struct, size: struct.size, align: struct.align, cells: struct.cells[0]
+            });
+        }
+
+        const elements = node.elements;
+        if (elements.length === 0) {
+            this.error(node, DIAGNOSTICS.INVALID_TABLE, `Table '${name}' is empty`);
+            return table;
+        }
+        if (elements.some(e => !e || e.type === 'SpreadElement')) {
+            this.error(node, DIAGNOSTICS.INVALID_TABLE, `Table '${name}' cannot have holes or spread elements`);
+            return table;
+        }
+
+        const records = elements.filter(e => e.type === 'ObjectExpression').length;
+        if (records > 0) {
+            if (records < elements.length) {
+                this.error(node, DIAGNOSTICS.INVALID_TABLE, `Table '${name}' mixes objects with other values`);
+                return table;
+            }
+            const struct = this.layoutRecord(name, elements);
+            if (!struct) return table;
+            return Object.assign(table, {
+                typeName: `${name}[${elements.length}]`,
+                count: elements.length,
+                elem: { kind: 'struct', typeName: name, struct: struct, size: struct.size, align: struct.align, readonly: true },
+                size: struct.size * elements.length,
+                align: struct.align,
+                cells: [].concat(...struct.cells.map((row, i) =>
+                    row.map(cell => Object.assign({}, cell, { offset: i * struct.size + cell.offset }))))
+            });
+        }
+
+        const values = elements.map((e, i) => this.tableValue(e, `Element ${i} of table '${name}'`));
+        const typeName = this.tableType(values, node, `Table '${name}'`);
+        const type = FIELD_TYPES[typeName];
+        return Object.assign(table, {
+            typeName: `${typeName}[${elements.length}]`,
+            count: elements.length,
+            elem: {
+                kind: 'scalar', typeName: typeName, type: type, size: type.size, align: type.size,
+                string: typeName === 'ptr', readonly: true
+            },
+            size: type.size * elements.length,
+            align: type.size,
+            cells: values.map((value, i) => this.tableCell(value, i * type.size, type.size))
+        });
+    }
+
+    /**
+     * Lay out the shared record type of a table's objects
+     *
+     * Fields are naturally aligned in the first object's key order; every
+     * object must have the same keys. The returned struct also carries
+     * each row's cells.
+     */
+    layoutRecord(name, rows) {
+        const keysOf = (row) => row.properties.map(p =>
+            p.type === 'Property' && !p.computed && p.kind === 'init' && !p.method
+                ? (p.key.type === 'Identifier' ? p.key.name : String(p.key.value))
+                : null);
+
+        const keys = keysOf(rows[0]);
+        if (keys.length === 0 || keys.includes(null) || new Set(keys).size !== keys.length) {
+            this.error(rows[0], DIAGNOSTICS.INVALID_TABLE,
+                `Objects in table '${name}' need distinct, plain keys with constant values`);
+            return null;
+        }
+        const columns = keys.map(() => []);
+        for (const row of rows) {
+            const rowKeys = keysOf(row);
+            if (rowKeys.length !== keys.length || !keys.every(k => rowKeys.includes(k))) {
+                this.error(row, DIAGNOSTICS.INVALID_TABLE,
+                    `Every object in table '${name}' must have the keys ${keys.join(', ')}`);
+                return null;
+            }
+            keys.forEach((key, k) => columns[k].push(
+                this.tableValue(row.properties[rowKeys.indexOf(key)].value, `'${key}' of table '${name}'`)));
+        }
+
+        const struct = { name: name, size: 0, align: 1, packed: false, table: true, fields: new Map(), cells: rows.map(() => []) };
+        let offset = 0;
+        keys.forEach((key, k) => {
+            const typeName = this.tableType(columns[k], rows[0], `Field '${key}' of table '${name}'`);
+            const type = FIELD_TYPES[typeName];
+            offset = (offset + type.size - 1) & ~(type.size - 1);
+
+            struct.fields.set(key, {
+                kind: 'scalar', typeName: typeName, type: type, size: type.size, align: type.size,
+                offset: offset, string: typeName === 'ptr', readonly: true
+            });
+            columns[k].forEach((value, i) => struct.cells[i].push(this.tableCell(value, offset, type.size)));
+
+            struct.align = Math.max(struct.align, type.size);
+            offset += type.size;
+        });
+        struct.size = (offset + struct.align - 1) & ~(struct.align - 1);
+        return struct;
+    }
+
+    /**
+     * Evaluate one table value: an integer, boolean, null or string constant
+     */
+    tableValue(node, what) {
+        let value = this.constEval.evaluate(node);
+        if (typeof value === 'boolean') value = value ? 1 : 0;
+        if (value === null) value = 0;
+
+        if (typeof value === 'string' ||
+            (Number.isInteger(value) && value >= -0x80000000 && value <= 0xFFFFFFFF)) {
+            return value;
+        }
+        this.error(node, DIAGNOSTICS.INVALID_TABLE, `${what} must be a constant integer or string`);
+        return 0;
+    }
+
+    /**
+     * Narrowest field type holding every value of a table column
+     *
+     * Strings are pointers. Numbers take the smallest unsigned type that
+     * fits, a signed one when any is negative, and u32 only for values
+     * above 0x7FFFFFFF, so loads have the values' own signedness.
+     */
+    tableType(values, node, what) {
+        const strings = values.filter(v => typeof v === 'string').length;
+        if (strings > 0) {
+            if (strings < values.length) {
+                this.error(node, DIAGNOSTICS.INVALID_TABLE, `${what} mixes strings and numbers`);
+            }
+            return 'ptr';
+        }
+
+        const min = values.reduce((a, b) => Math.min(a, b));
+        const max = values.reduce((a, b) => Math.max(a, b));
+        if (min >= 0) {
+            if (max <= 0xFF) return 'u8';
+            if (max <= 0xFFFF) return 'u16';
+            return max <= 0x7FFFFFFF ? 'i32' : 'u32';
+        }
+        if (max > 0x7FFFFFFF) {
+            this.error(node, DIAGNOSTICS.INVALID_TABLE, `${what} mixes negative values with values above 0x7FFFFFFF`);
+        }
+        if (min >= -0x80 && max <= 0x7F) return 'i8';
+        if (min >= -0x8000 && max <= 0x7FFF) return 'i16';
+        return 'i32';
+    }
+
+    /**
+     * One scalar of a table's contents
+     */
+    tableCell(value, offset, size) {
+        return typeof value === 'string'
+            ? { offset: offset, size: size, string: value }
+            : { offset: offset, size: size, value: value };
+    }
+
     /**
      * Extract AKM.command() registrations
+     *
+     * Subcommands are flattened into the same list after their parent.
      */
     extractCommands(ast) {
         const commands = [];
@@ -168,19 +783,8 @@ class AKMParser {
                 node.callee.object.name === 'AKM' &&
                 node.callee.property.name === 'command') {
 
-                if (node.arguments.length >= 2) {
-                    const cmdConfig = this.parseObjectExpression(node.arguments[0]);
-                    const handler = node.arguments[1];
-
-                    commands.push({
-                        name: cmdConfig.name || 'unknown',
-                        syntax: cmdConfig.syntax || cmdConfig.name,
-                        description: cmdConfig.description || '',
-                        category: cmdConfig.category || 'Module',
-                        handler: handler.name || handler.id?.name || null,
-                        handlerNode: handler,
-                        loc: node.loc
-                    });
+                if (node.arguments.length >= 1) {
+                    this.addCommand(commands, node.arguments[0], node.arguments[1] || null, null, node.loc);
                 }
             }
         });
@@ -188,6 +792,133 @@ class AKMParser {
         return commands;
     }
 
+    /**
+     * Add a command and then its subcommands to the command list
+     *
+     * Each entry records its parent's index (null at the top level), the
+     * indices of its subcommands and its full path ("netctl up"), which
+     * names it in messages.
+     */
+    addCommand(commands, configNode, handler, parent, loc) {
+        const cmdConfig = this.parseObjectExpression(configNode, COMMAND_CODE_KEYS);
+        const fail = (key, message) => this.commandArgs.commandError(configNode, key, message);
+
+        const name = typeof cmdConfig.name === 'string' ? cmdConfig.name : 'unknown';
+        const path = parent === null ? name : `${commands[parent].path} ${name}`;
+        if (typeof cmdConfig.name !== 'string' || !/^\S+$/.test(cmdConfig.name)) {
+            fail('name', 'Command name must be a string without spaces');
+        }
+
+        let aliases = cmdConfig.aliases === undefined ? [] : cmdConfig.aliases;
+        if (!Array.isArray(aliases) || !aliases.every(a => typeof a === 'string' && /^\S+$/.test(a))) {
+            fail('aliases', 'aliases must be a list of names without spaces');
+            aliases = [];
+        }
+
+        // Names and aliases share one namespace per level
+        const prefix = parent === null ? '' : `${commands[parent].path} `;
+        const taken = new Set();
+        commands.filter(c => c.parent === parent).forEach(c => [c.name, ...c.aliases].forEach(n => taken.add(n)));
+        for (const n of [name, ...aliases]) {
+            if (taken.has(n)) {
+                fail(n === name ? 'name' : 'aliases', `Command '${prefix}${n}' is defined twice`);
+            }
+            taken.add(n);
+        }
+
+        const args = this.commandArgs.parseSchema(configNode);
+        const subcommands = this.propertyNode(configNode, 'subcommands');
+        if (args && subcommands) {
+            fail('args', `'${path}' has subcommands, so its arguments belong in their args schemas`);
+        }
+
+        const cmd = {
+            name: name,
+            path: path,
+            syntax: null,
+            description: cmdConfig.description || '',
+            category: cmdConfig.category || (parent === null ? 'Module' : commands[parent].category),
+            aliases: aliases,
+            hidden: Boolean(cmdConfig.hidden),
+            privileged: this.commandArgs.parsePrivilege(configNode, cmdConfig.privileged, path),
+            hints: this.commandArgs.completionHints(configNode, cmdConfig.complete, args),
+            parent: parent,
+            subcommands: [],
+            handler: !handler ? null : (handler.type === 'Identifier' ? handler.name : (handler.akmName || null)),
+            handlerNode: handler,
+            args: args,
+            target: null,
+            loc: loc
+        };
+        const index = commands.push(cmd) - 1;
+
+        if (subcommands && subcommands.value.type !== 'ArrayExpression') {
+            fail('subcommands', 'subcommands must be a list of command declarations');
+        } else if (subcommands) {
+            for (const element of subcommands.value.elements) {
+                if (!element || element.type !== 'ObjectExpression') {
+                    this.error(element || subcommands.value, DIAGNOSTICS.INVALID_COMMAND,
+                        'Each subcommand must be an object literal');
+                    continue;
+                }
+                const sub = this.propertyNode(element, 'handler');
+                cmd.subcommands.push(commands.length);
+                this.addCommand(commands, element, sub ? sub.value : null, index, element.loc);
+            }
+        }
+
+        const subs = cmd.subcommands.map(i => commands[i]);
+        cmd.syntax = cmdConfig.syntax ||
+            (subs.length > 0 ? this.commandArgs.dispatchSyntax(path, subs, cmd.handler !== null) :
+             args ? this.commandArgs.syntax(path, args) : path);
+    }
+
+    /**
+     * Route each command through a generated wrapper where it needs one
+     *
+     * The wrapper checks a privileged command's permission, dispatches to
+     * subcommands or parses an args schema, then calls the declared
+     * handler (cmd.target). Commands are expanded last to first so that a
+     * parent dispatches to its subcommands' final handlers. Generated
+     * functions are appended to the program so every later pass sees
+     * them, and are located at their command's declaration.
+     */
+    expandCommands(ast, commands, functions) {
+        const wrapped = commands.filter(cmd =>
+            cmd.subcommands.length > 0 || (cmd.handler && (cmd.args || cmd.privileged)));
+        if (wrapped.length === 0) return;
+
+        const addFunctions = (source, loc) => {
+            const program = acorn.parse(source, { ecmaVersion: 2020, sourceType: 'module', locations: true });
+            this.walkAST(program, (node) => { node.loc = loc; });
+
+            for (const node of program.body) {
+                ast.body.push(node);
+                functions[node.id.name] = {
+                    name: node.id.name,
+                    node: node,
+                    params: node.params.map(p => p.name),
+                    loc: loc,
+                    isExport: false
+                };
+            }
+        };
+
+        addFunctions(this.commandArgs.helperSource(wrapped), wrapped[0].loc);
+
+        for (const cmd of wrapped.reverse()) {
+            const suffix = cmd.path.replace(/[^A-Za-z0-9_]/g, '_');
+            let name = `__akm_run_${suffix}`;
+            for (let n = 1; functions[name]; n++) {
+                name = `__akm_run_${suffix}_${n}`;
+            }
+
+            cmd.target = cmd.handler;
+            cmd.handler = name;
+            addFunctions(this.commandArgs.wrapperSource(cmd, name, commands), cmd.loc);
+        }
+    }
+
     /**
      * Extract all AKM.* API calls
      */
@@ -201,8 +932,8 @@ class AKMParser {
 
                 const method = node.callee.property.name;
 
-                // Skip module/command declarations
-                if (method === 'module' || method === 'command') return;
+                // Skip module/command/struct/param declarations
+                if (method === 'module' || method === 'command' || method === 'struct' || method === 'param') return;
 
                 calls.push({
                     method: method,
@@ -216,42 +947,52 @@ class AKMParser {
     }
 
     /**
-     * Compute required capabilities from API usage
+     * Record the capability each command and API call requires, with its
+     * call site, for capability inference and auditing
      */
-    computeRequiredCapabilities(apiCalls, commands) {
-        let caps = 0;
+    collectCapabilityUses(apiCalls, commands) {
+        const uses = [];
+        const use = (capability, what, loc) => uses.push({
+            capability: capability,
+            what: what,
+            file: (loc && loc.source) || this.currentFile,
+            line: loc ? loc.start.line : 0,
+            column: loc ? loc.start.column : 0,
+            loc: loc || null
+        });
 
         // Commands require COMMAND capability
-        if (commands.length > 0) {
-            caps |= CAPABILITIES.COMMAND;
+        for (const cmd of commands.filter(c => c.parent === null)) {
+            use(CAPABILITIES.COMMAND, `AKM.command '${cmd.name}'`, cmd.loc);
         }
 
         // Check API calls
         for (const call of apiCalls) {
-            const apiInfo = API_FUNCTIONS[call.method];
+            const apiInfo = API_FUNCTIONS[call.method] || INTRINSICS[call.method];
             if (apiInfo) {
-                caps |= apiInfo.capability;
+                if (apiInfo.capability) {
+                    use(apiInfo.capability, `AKM.${call.method}`, call.loc);
+                }
             } else {
-                this.warnings.push({
-                    file: this.currentFile,
-                    line: call.loc.start.line,
-                    message: `Unknown API method: AKM.${call.method}`
-                });
+                this.warn(call, DIAGNOSTICS.UNKNOWN_API, `Unknown API method: AKM.${call.method}`);
             }
         }
 
         // Always need LOG capability for module logging
-        caps |= CAPABILITIES.LOG;
+        use(CAPABILITIES.LOG, 'module logging', null);
 
-        return caps;
+        return uses;
     }
 
     /**
      * Generate intermediate representation
      */
-    generateIR(ast, functions, commands, apiCalls) {
+    generateIR(ast, functions, commands, apiCalls, globals = [], structs = new Map(), params = [], tables = new Map()) {
         const ir = {
             globals: [],
+            structs: [],
+            tables: [],
+            params: [],
             strings: [],
             functions: [],
             commands: [],
@@ -273,62 +1014,184 @@ class AKMParser {
             return stringTable.get(s);
         };
 
-        // Process commands
-        for (const cmd of commands) {
-            ir.commands.push({
+        const globalMap = new Map();
+        const irgen = new AKMIRGen(this, {
+            addString: addString,
+            functions: functions,
+            globals: globalMap,
+            structs: structs,
+            tables: tables,
+            checkErrors: this.options.checkErrors
+        });
+
+        // The kernel calls init, exit and command handlers, so errors
+        // escaping them become return codes
+        irgen.planErrorFlow(ast, ['init', 'exit', ...commands.map(c => c.handler).filter(Boolean)]);
+
+        // Struct layouts (informational, for --emit-ir)
+        for (const struct of structs.values()) {
+            ir.structs.push({
+                name: struct.name,
+                size: struct.size,
+                align: struct.align,
+                fields: [...struct.fields].map(([name, field]) => ({
+                    name: name,
+                    type: field.typeName,
+                    offset: field.offset,
+                    size: field.size
+                }))
+            });
+        }
+
+        // Constant tables, laid out back to back in .rodata at their own
+        // alignment; strings are data offsets, relocated like globals
+        let rodataSize = 0;
+        for (const table of tables.values()) {
+            const offset = (rodataSize + table.align - 1) & ~(table.align - 1);
+            ir.tables.push({
+                name: table.name,
+                type: table.typeName,
+                offset: offset,
+                size: table.size,
+                cells: table.cells.map(cell => cell.string !== undefined
+                    ? { offset: offset + cell.offset, size: cell.size, stringIdx: addString(cell.string) }
+                    : { offset: offset + cell.offset, size: cell.size, value: cell.value })
+            });
+            rodataSize = offset + table.size;
+        }
+
+        // Process globals: constant initializers go to .data, zero or
+        // missing ones to .bss, anything else is computed at the start of init
+        const dynamicInits = [];
+        for (const global of globals) {
+            const irGlobal = {
+                name: global.name,
+                nameIdx: addString(global.name),
+                section: 'bss',
+                value: 0,
+                kind: 'int',
+                isConst: global.isConst,
+                isExport: global.isExport
+            };
+
+            const value = global.init ? this.constEval.evaluate(global.init) : undefined;
+            if ((typeof value === 'number' || typeof value === 'boolean') &&
+                Number.isFinite(Number(value))) {
+                irGlobal.value = Math.trunc(Number(value));
+                if (irGlobal.value !== 0) irGlobal.section = 'data';
+            } else if (global.init &&
+                       !(global.init.type === 'Literal' && global.init.value === null)) {
+                // Literal null stays zeroed in .bss
+                dynamicInits.push(global);
+            }
+
+            if (global.init && irgen.isStringExpression(global.init)) {
+                irGlobal.kind = 'string';
+            }
+            if (global.init && irgen.isUnsignedExpression(global.init)) {
+                irGlobal.unsigned = true;
+            }
+
+            const struct = global.init && irgen.structTypeOf(global.init);
+            if (struct) {
+                irGlobal.struct = struct.name;
+            }
+
+            globalMap.set(global.name, irGlobal);
+            ir.globals.push(irGlobal);
+        }
+
+        // Process parameters: defaults always go to .data, where the loader
+        // overwrites them; string defaults point into the string table
+        for (const param of params) {
+            const irGlobal = globalMap.get(param.global);
+            irGlobal.section = 'data';
+            if (param.typeName === 'string') {
+                irGlobal.kind = 'string';
+                irGlobal.stringIdx = addString(param.default);
+            } else {
+                irGlobal.value = Number(param.default) | 0;
+                irGlobal.unsigned = param.typeName === 'uint';
+            }
+
+            ir.params.push({
+                name: param.name,
+                nameIdx: addString(param.name),
+                descIdx: addString(param.description),
+                type: param.type,
+                global: param.global,
+                default: param.default
+            });
+        }
+
+        // Process commands: one record per command, then one per alias
+        const aliasRecords = [];
+        commands.forEach((cmd, i) => {
+            const record = {
                 nameIdx: addString(cmd.name),
                 syntaxIdx: addString(cmd.syntax),
                 descIdx: addString(cmd.description),
                 categoryIdx: addString(cmd.category),
-                handler: cmd.handler
-            });
-        }
+                handler: cmd.handler,
+                parent: cmd.parent,
+                flags: (cmd.hidden ? AKM_FORMAT.CMD_HIDDEN : 0) |
+                       (cmd.privileged ? AKM_FORMAT.CMD_PRIVILEGED : 0) |
+                       (cmd.subcommands.length > 0 ? AKM_FORMAT.CMD_SUBCOMMANDS : 0),
+                resourceIdx: cmd.privileged ? addString(cmd.privileged.resource) : null,
+                permission: cmd.privileged ? cmd.privileged.permission : 0,
+                hints: cmd.hints.map(hint => ({
+                    kind: hint.kind,
+                    position: hint.position,
+                    textIdx: addString(hint.text)
+                })),
+                aliasOf: null
+            };
+            ir.commands.push(record);
+
+            for (const alias of cmd.aliases) {
+                aliasRecords.push(Object.assign({}, record, {
+                    nameIdx: addString(alias),
+                    flags: record.flags | AKM_FORMAT.CMD_ALIAS,
+                    aliasOf: i
+                }));
+            }
+        });
+        ir.commands.push(...aliasRecords);
 
         // Process functions
+        const irFuncs = new Map();
         for (const [name, func] of Object.entries(functions)) {
-            const irFunc = {
+            irFuncs.set(name, {
                 name: name,
                 nameIdx: addString(name),
                 params: func.params,
+                paramKinds: this.paramKinds(name, commands),
                 instructions: [],
                 locals: [],
                 isInit: name === 'init',
                 isExit: name === 'exit'
-            };
+            });
+        }
 
-            // Generate bytecode for function body
-            this.generateFunctionIR(func.node, irFunc, addString);
-
-            // If this is the init function, inject command registration calls
-            if (name === 'init' && commands.length > 0) {
-                // Find the return statement and insert before it
-                const returnIdx = irFunc.instructions.findIndex(i => i.op === OPCODES.RET);
-                const insertIdx = returnIdx >= 0 ? returnIdx : irFunc.instructions.length;
-                
-                // Generate registration calls for each command
-                for (const cmd of commands) {
-                    const regCalls = [
-                        // Push arguments: name, syntax, description, category, handler
-                        { op: OPCODES.PUSH_STR, value: cmd.name },
-                        { op: OPCODES.PUSH_STR, value: cmd.syntax },
-                        { op: OPCODES.PUSH_STR, value: cmd.description },
-                        { op: OPCODES.PUSH_STR, value: cmd.category },
-                        { op: OPCODES.PUSH, value: 0 },  // handler offset (placeholder for now)
-                        // Call AKM.registerCommand API
-                        { op: OPCODES.CALL_API, method: 'registerCommand', argc: 5 },
-                        // Pop result
-                        { op: OPCODES.POP }
-                    ];
-                    irFunc.instructions.splice(insertIdx, 0, ...regCalls);
-                }
-            }
+        // Generate bytecode for function bodies, callers first so their
+        // call sites tell each callee which parameters receive strings
+        for (const name of this.callerOrder(functions, dynamicInits)) {
+            this.generateFunctionIR(functions[name].node, irFuncs.get(name), irgen,
+                name === 'init' ? dynamicInits : []);
+        }
 
+        for (const [name, irFunc] of irFuncs) {
             ir.functions.push(irFunc);
 
             if (name === 'init') ir.initFunc = irFunc;
             if (name === 'exit') ir.exitFunc = irFunc;
         }
 
+        // Pending error code, if any function throws or catches
+        if (irgen.errorState) {
+            ir.globals.push(irgen.errorState);
+        }
+
         // Process API calls
         for (const call of apiCalls) {
             ir.apiCalls.push({
@@ -342,151 +1205,120 @@ class AKMParser {
     }
 
     /**
-     * Generate IR for a function body
+     * Kinds of a function's parameters that are known from how it is called
+     *
+     * Command handlers receive the argument string; handlers behind an
+     * args schema receive one value per argument.
      */
-    generateFunctionIR(node, irFunc, addString) {
-        const body = node.body;
-        const instructions = irFunc.instructions;
-
-        // Simple bytecode generation
-        // In a full implementation, this would compile to actual bytecode
-
-        this.walkAST(body, (n) => {
-            switch (n.type) {
-                case 'CallExpression':
-                    if (n.callee.type === 'MemberExpression' &&
-                        n.callee.object.name === 'AKM') {
-                        // AKM API call
-                        const method = n.callee.property.name;
-                        
-                        // Push arguments (actual values, not references)
-                        for (let i = 0; i < n.arguments.length; i++) {
-                            const arg = n.arguments[i];
-                            const value = this.evaluateLiteral(arg);
-                            
-                            if (typeof value === 'string') {
-                                // Add string to table and push its offset
-                                addString(value);
-                                instructions.push({
-                                    op: OPCODES.PUSH_STR,
-                                    value: value
-                                });
-                            } else if (typeof value === 'number') {
-                                instructions.push({
-                                    op: OPCODES.PUSH,
-                                    value: value
-                                });
-                            } else if (arg.type === 'Identifier') {
-                                // Variable reference - load from local
-                                instructions.push({
-                                    op: OPCODES.LOAD_LOCAL,
-                                    name: arg.name
-                                });
-                            } else {
-                                // Default to pushing 0
-                                instructions.push({
-                                    op: OPCODES.PUSH,
-                                    value: 0
-                                });
-                            }
-                        }
-
-                        instructions.push({
-                            op: OPCODES.CALL_API,
-                            method: method,
-                            argc: n.arguments.length
-                        });
-                    } else if (n.callee.type === 'Identifier') {
-                        // Regular function call
-                        instructions.push({
-                            op: OPCODES.CALL,
-                            func: n.callee.name,
-                            argc: n.arguments.length
-                        });
-                    }
-                    break;
+    paramKinds(name, commands) {
+        if (commands.some(c => c.handler === name || (c.target === name && !c.args))) {
+            return ['string'];
+        }
+        const cmd = commands.find(c => c.target === name);
+        return cmd ? cmd.args.map(arg => arg.type === 'string' ? 'string' : 'int') : [];
+    }
 
-                case 'ReturnStatement':
-                    if (n.argument) {
-                        instructions.push({
-                            op: OPCODES.PUSH,
-                            value: this.evaluateLiteral(n.argument)
-                        });
-                    }
-                    instructions.push({ op: OPCODES.RET });
-                    break;
-
-                case 'VariableDeclaration':
-                    for (const decl of n.declarations) {
-                        irFunc.locals.push(decl.id.name);
-                        if (decl.init) {
-                            instructions.push({
-                                op: OPCODES.STORE_LOCAL,
-                                name: decl.id.name,
-                                value: this.evaluateLiteral(decl.init)
-                            });
-                        }
+    /**
+     * Function names ordered so that callers come before their callees,
+     * except around call cycles; init also calls what the dynamic global
+     * initializers call
+     */
+    callerOrder(functions, dynamicInits) {
+        const order = [];
+        const visited = new Set();
+
+        const visit = name => {
+            if (visited.has(name)) return;
+            visited.add(name);
+
+            const roots = [functions[name].node];
+            if (name === 'init') roots.push(...dynamicInits.map(global => global.init));
+            for (const root of roots) {
+                this.walkAST(root, node => {
+                    if (node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+                        Object.prototype.hasOwnProperty.call(functions, node.callee.name)) {
+                        visit(node.callee.name);
                     }
-                    break;
+                });
             }
-        });
+            order.push(name);
+        };
 
-        // Ensure function ends with return
-        if (instructions.length === 0 || 
-            instructions[instructions.length - 1].op !== OPCODES.RET) {
-            instructions.push({ op: OPCODES.RET });
-        }
+        Object.keys(functions).forEach(visit);
+        return order.reverse();
     }
 
     /**
-     * Evaluate a literal expression
+     * Generate IR for a function body
      */
-    evaluateLiteral(node) {
-        if (!node) return null;
+    generateFunctionIR(node, irFunc, irgen, globalInits = []) {
+        irgen.compileFunction(node, irFunc, globalInits);
+    }
 
-        switch (node.type) {
-            case 'Literal':
-                return node.value;
-            case 'TemplateLiteral':
-                return node.quasis.map(q => q.value.raw).join('');
-            case 'Identifier':
-                return { ref: node.name };
-            case 'UnaryExpression':
-                if (node.operator === '-') {
-                    return -this.evaluateLiteral(node.argument);
-                }
-                break;
-            case 'BinaryExpression':
-                // Could evaluate simple constant expressions
-                break;
+    /**
+     * Evaluate a configuration value, warning when it is not constant
+     */
+    evaluateConstant(node, name) {
+        const value = this.constEval.evaluate(node);
+        if (value === undefined) {
+            this.warn(node, DIAGNOSTICS.NOT_CONSTANT, `'${name}' is not a compile-time constant (ignored)`);
+            return null;
         }
-        return null;
+        return value;
     }
 
     /**
      * Parse an ObjectExpression to a plain object
+     *
+     * Properties named in `skip` are left out.
      */
-    parseObjectExpression(node) {
+    parseObjectExpression(node, skip = []) {
         const obj = {};
 
         if (node.type !== 'ObjectExpression') return obj;
 
         for (const prop of node.properties) {
+            if (prop.type !== 'Property') continue;
+
             const key = prop.key.name || prop.key.value;
-            const value = this.evaluateLiteral(prop.value);
+            if (skip.includes(key)) continue;
 
             if (prop.value.type === 'ObjectExpression') {
                 obj[key] = this.parseObjectExpression(prop.value);
             } else if (prop.value.type === 'ArrayExpression') {
-                obj[key] = prop.value.elements.map(e => this.evaluateLiteral(e));
+                obj[key] = prop.value.elements.map((e, i) => e.type === 'ObjectExpression'
+                    ? this.parseObjectExpression(e)
+                    : this.evaluateConstant(e, `${key}[${i}]`));
             } else {
-                obj[key] = value;
+                obj[key] = this.evaluateConstant(prop.value, key);
             }
         }
 
         return obj;
     }
 
+    /**
+     * The property of an object literal with the given key, if any
+     */
+    propertyNode(node, key) {
+        if (!node || node.type !== 'ObjectExpression') return null;
+        return node.properties.find(p => p.type === 'Property' && (p.key.name || p.key.value) === key) || null;
+    }
+
+    /**
+     * Report an error at a node (null for the whole file)
+     */
+    error(node, diag, message) {
+        this.errors.push(createDiagnostic('error', diag, this.currentFile, node, message));
+    }
+
+    /**
+     * Report a warning at a node (null for the whole file)
+     */
+    warn(node, diag, message) {
+        this.warnings.push(createDiagnostic('warning', diag, this.currentFile, node, message));
+    }
+
     /**
      * Walk the AST and call visitor for each node
      */
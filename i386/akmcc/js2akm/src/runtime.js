@@ -108,6 +108,20 @@ const AKM = {
      */
     module(config) {},
 
+    /**
+     * Declare a load-time parameter (must initialize a top-level const)
+     *
+     * The const reads the value given when the module is loaded, or the
+     * default.
+     * @param {Object} config Parameter configuration
+     * @param {string} [config.name] Load-time name (defaults to the const's name)
+     * @param {string} [config.type] 'int' (default), 'uint', 'bool' or 'string'
+     * @param {number|boolean|string} [config.default] Default value
+     * @param {string} [config.description] Description shown by akmcc --info
+     * @returns {number|boolean|string} Parameter value
+     */
+    param(config) {},
+
     /**
      * Register a shell command
      * @param {Object} cmdConfig Command configuration
@@ -115,7 +129,18 @@ const AKM = {
      * @param {string} cmdConfig.syntax Usage syntax
      * @param {string} cmdConfig.description Help text
      * @param {string} cmdConfig.category Command category
-     * @param {Function} handler Command handler function
+     * @param {Object[]} [cmdConfig.args] Argument schema ({ name, type, flag,
+     *        required, default, complete }); the handler then receives parsed values
+     * @param {string[]} [cmdConfig.aliases] Other names for the command
+     * @param {Object[]} [cmdConfig.subcommands] Nested command configurations,
+     *        each with its own handler property
+     * @param {boolean} [cmdConfig.hidden] Leave out of help and completion
+     * @param {boolean|string|Object} [cmdConfig.privileged] Resource (and
+     *        permission) checked with checkPermission before the handler runs
+     * @param {string[]|string} [cmdConfig.complete] Completion words, or
+     *        'file', 'dir', 'command' or 'env'
+     * @param {Function} [handler] Command handler function; optional when the
+     *        command has subcommands
      */
     command(cmdConfig, handler) {},
 
@@ -206,6 +231,61 @@ const AKM = {
      */
     freePage(page) {},
 
+    /**
+     * Read a byte from memory (compiled inline to LOAD8)
+     * @param {number} addr Address
+     * @returns {number} Zero-extended value
+     */
+    peek8(addr) {},
+
+    /**
+     * Read a 16-bit word from memory (compiled inline to LOAD16)
+     * @param {number} addr Address
+     * @returns {number} Zero-extended value
+     */
+    peek16(addr) {},
+
+    /**
+     * Read a 32-bit dword from memory (compiled inline to LOAD32)
+     * @param {number} addr Address
+     * @returns {number} Value
+     */
+    peek32(addr) {},
+
+    /**
+     * Write a byte to memory (compiled inline to STORE8)
+     * @param {number} addr Address
+     * @param {number} value Value (low 8 bits are stored)
+     */
+    poke8(addr, value) {},
+
+    /**
+     * Write a 16-bit word to memory (compiled inline to STORE16)
+     * @param {number} addr Address
+     * @param {number} value Value (low 16 bits are stored)
+     */
+    poke16(addr, value) {},
+
+    /**
+     * Write a 32-bit dword to memory (compiled inline to STORE32)
+     * @param {number} addr Address
+     * @param {number} value Value
+     */
+    poke32(addr, value) {},
+
+    /**
+     * Declare a memory layout (evaluated at compile time)
+     *
+     * Field types are 'u8', 'i8', 'u16', 'i16', 'u32', 'i32', 'ptr', another
+     * struct, or [type, count] for arrays. Fields are naturally aligned
+     * unless options.packed is set. The result provides .at(ptr) to type a
+     * pointer and .size; field access compiles to sized LOAD/STORE opcodes.
+     * @param {object} fields Field name to type
+     * @param {object} options { packed }
+     * @returns {object} Struct layout
+     */
+    struct(fields, options) {},
+
     // =========================================================================
     // ENVIRONMENT VARIABLES
     // =========================================================================
@@ -240,7 +320,7 @@ const AKM = {
      * Create a timer
      * @param {number} intervalMs Interval in milliseconds
      * @param {Function} callback Timer callback
-     * @param {*} data User data passed to callback
+     * @param {*} [data] User data passed to callback (default 0)
      * @returns {number} Timer handle or null
      */
     createTimer(intervalMs, callback, data) {},
@@ -376,7 +456,7 @@ const AKM = {
      * Register IRQ handler
      * @param {number} irq IRQ number
      * @param {Function} handler Handler function
-     * @param {*} data User data
+     * @param {*} [data] User data (default 0)
      * @returns {number} 0 on success
      */
     registerIRQ(irq, handler, data) {},
@@ -631,10 +711,74 @@ const AKM = {
      * @param {number} permission Permission bits
      * @returns {number} 0 if allowed, negative if denied
      */
-    checkPermission(resource, permission) {}
+    checkPermission(resource, permission) {},
+
+    // =========================================================================
+    // STRINGS
+    // =========================================================================
+    // Template literals and string `+` compile to one format() call, and
+    // String(n) and n.toString() to itoa(). The strings these return are
+    // kernel scratch memory: the kernel releases them when its call into
+    // the module (init, exit, a command, an IRQ handler, a timer callback)
+    // returns, so they are never freed by the module and never outlive
+    // that call.
+
+    /**
+     * Concatenate two strings
+     * @param {string} a First string
+     * @param {string} b Second string
+     * @returns {string} Scratch string, valid until the call into the module returns
+     */
+    strcat(a, b) {},
+
+    /**
+     * Convert a number to a string
+     * @param {number} value Value to convert
+     * @param {number} radix Base (10 or 16)
+     * @returns {string} Scratch string, valid until the call into the module returns
+     */
+    itoa(value, radix) {},
+
+    /**
+     * Get string length
+     * @param {string} str String
+     * @returns {number} Length in bytes
+     */
+    strlen(str) {},
+
+    /**
+     * Build a string from a format: %s takes a string, %d a number in
+     * decimal, %r a number and its radix, and %% is a literal '%'
+     * @param {string} spec Format string
+     * @param {...*} args Values for the conversions, in order
+     * @returns {string} Scratch string, valid until the call into the module returns
+     */
+    format(spec, ...args) {}
 };
 
+// =========================================================================
+// INTEGER BUILTINS
+// =========================================================================
+// Values are 32-bit two's-complement integers. `>>>`, u32() and literals
+// above 0x7FFFFFFF have unsigned type; comparisons, `/` and `%` with an
+// unsigned operand compile to the unsigned opcodes (LTU, DIVU, ...).
+// Math.imul(a, b) is the wrapping 32-bit multiply that `*` compiles to.
+
+/**
+ * Treat a value as unsigned (no code is generated)
+ * @param {number} value Value
+ * @returns {number} The same 32 bits, unsigned
+ */
+function u32(value) { return value >>> 0; }
+
+/**
+ * Treat a value as signed (no code is generated)
+ * @param {number} value Value
+ * @returns {number} The same 32 bits, signed
+ */
+function i32(value) { return value | 0; }
+
 // Export for use in modules
 if (typeof module !== 'undefined') {
-    module.exports = { AKM, CAPS, DRV_TYPE, LOG_LEVEL };
+    module.exports = { AKM, CAPS, DRV_TYPE, LOG_LEVEL, u32, i32 };
 }
@@ -0,0 +1,150 @@
+/**
+ * AKM Standard Library - Bitmap Allocator
+ *
+ * Hands out numbered units (pages, descriptor slots, minor numbers) from
+ * a fixed pool, one bit per unit:
+ *
+ *   import { bitmapCreate, bitmapAlloc, bitmapFree } from 'akm:bitmap';
+ *
+ *   slots = bitmapCreate(256);
+ *   const id = bitmapAlloc(slots);     // 0..255, or ENOSPC
+ *   bitmapFree(slots, id);
+ *
+ * A set bit is an allocated unit. Searches start at a hint just past the
+ * last allocation, so repeated allocations do not rescan the start.
+ */
+
+export const Bitmap = AKM.struct({
+    bits: 'u32',        // Units in the pool
+    used: 'u32',        // Units allocated
+    hint: 'u32',        // Where the next search starts
+    words: 'ptr'        // ceil(bits / 32) 32-bit words
+});
+
+const EINVAL = -22;
+const ENOSPC = -28;
+
+/**
+ * Address of the word holding bit `index`
+ */
+function bitmapWord(map, index) {
+    return Bitmap.at(map).words + (index >>> 5) * 4;
+}
+
+/**
+ * Allocate a pool of `bits` free units; 0 if out of memory
+ */
+export function bitmapCreate(bits) {
+    if (bits <= 0 || bits > 0x1000000) return 0;
+
+    const count = (bits + 31) >>> 5;
+    const base = AKM.malloc(Bitmap.size + count * 4);
+    if (base === 0) return 0;
+
+    const b = Bitmap.at(base);
+    b.bits = bits;
+    b.used = 0;
+    b.hint = 0;
+    b.words = base + Bitmap.size;
+    for (let i = 0; i < count; i++) {
+        AKM.poke32(b.words + i * 4, 0);
+    }
+    return base;
+}
+
+/**
+ * Free a pool from bitmapCreate()
+ */
+export function bitmapDestroy(map) {
+    if (map !== 0) AKM.free(map);
+    return 0;
+}
+
+/**
+ * Whether unit `index` is allocated (out of range counts as allocated)
+ */
+export function bitmapTest(map, index) {
+    if (index < 0 || index >= Bitmap.at(map).bits) return true;
+    return (AKM.peek32(bitmapWord(map, index)) & (1 << (index & 31))) !== 0;
+}
+
+/**
+ * Mark unit `index` allocated, e.g. to reserve it; EINVAL (-22) when out
+ * of range or already allocated
+ */
+export function bitmapSet(map, index) {
+    if (bitmapTest(map, index)) return EINVAL;
+
+    const word = bitmapWord(map, index);
+    AKM.poke32(word, AKM.peek32(word) | (1 << (index & 31)));
+    Bitmap.at(map).used += 1;
+    return 0;
+}
+
+/**
+ * Allocate one unit and return its number; ENOSPC (-28) when none is free
+ */
+export function bitmapAlloc(map) {
+    return bitmapAllocRange(map, 1);
+}
+
+/**
+ * Allocate `count` consecutive units and return the first; ENOSPC (-28)
+ * when no free run is long enough
+ */
+export function bitmapAllocRange(map, count) {
+    const b = Bitmap.at(map);
+    if (count <= 0 || count > b.bits - b.used) return ENOSPC;
+
+    // Two passes: from the hint to the end, then from the start
+    let start = b.hint;
+    for (let pass = 0; pass < 2; pass++) {
+        let run = 0;
+        for (let i = start; i < b.bits; i++) {
+            if (bitmapTest(map, i)) {
+                run = 0;
+                continue;
+            }
+            run++;
+            if (run === count) {
+                const first = i - count + 1;
+                for (let j = first; j <= i; j++) bitmapSet(map, j);
+                b.hint = i + 1 < b.bits ? i + 1 : 0;
+                return first;
+            }
+        }
+        start = 0;
+    }
+    return ENOSPC;
+}
+
+/**
+ * Release unit `index`; EINVAL (-22) when out of range or not allocated
+ */
+export function bitmapFree(map, index) {
+    if (index < 0 || index >= Bitmap.at(map).bits || !bitmapTest(map, index)) return EINVAL;
+
+    const word = bitmapWord(map, index);
+    AKM.poke32(word, AKM.peek32(word) & ~(1 << (index & 31)));
+    Bitmap.at(map).used -= 1;
+    return 0;
+}
+
+/**
+ * Release `count` units starting at `first`; EINVAL (-22) if any was not
+ * allocated (the others are still released)
+ */
+export function bitmapFreeRange(map, first, count) {
+    let result = 0;
+    for (let i = first; i < first + count; i++) {
+        if (bitmapFree(map, i) !== 0) result = EINVAL;
+    }
+    return result;
+}
+
+/**
+ * Number of units allocated
+ */
+export function bitmapUsed(map) {
+    return Bitmap.at(map).used;
+}
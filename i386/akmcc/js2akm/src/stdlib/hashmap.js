@@ -0,0 +1,193 @@
+/**
+ * AKM Standard Library - Fixed-size Hash Map
+ *
+ * Open-addressing map from 32-bit keys to 32-bit values. The table is
+ * sized once at creation and never grows, so no call after mapCreate()
+ * allocates:
+ *
+ *   import { mapCreate, mapPut, mapGet, mapRemove } from 'akm:hashmap';
+ *
+ *   conns = mapCreate(128);
+ *   mapPut(conns, port, handle);
+ *   const h = mapGet(conns, port, 0);
+ *
+ * Slots are probed linearly. Removed slots are marked deleted rather than
+ * emptied so later keys in the same probe run stay reachable; mapPut()
+ * reuses them.
+ */
+
+export const HashMap = AKM.struct({
+    capacity: 'u32',    // Slots, a power of two
+    count: 'u32',       // Keys stored
+    keys: 'ptr',        // capacity 32-bit keys
+    values: 'ptr',      // capacity 32-bit values
+    states: 'ptr'       // capacity slot states (u8)
+});
+
+const SLOT_EMPTY = 0;
+const SLOT_USED = 1;
+const SLOT_DELETED = 2;
+
+const ENOENT = -2;
+const ENOSPC = -28;
+
+/**
+ * Mix a key into a slot index (murmur3 finalizer)
+ */
+function mapSlot(map, key) {
+    let h = key;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h & (HashMap.at(map).capacity - 1);
+}
+
+/**
+ * Slot holding `key`, or -1
+ */
+function mapFind(map, key) {
+    const m = HashMap.at(map);
+    let slot = mapSlot(map, key);
+
+    for (let probes = 0; probes < m.capacity; probes++) {
+        const state = AKM.peek8(m.states + slot);
+        if (state === SLOT_EMPTY) return -1;
+        if (state === SLOT_USED && AKM.peek32(m.keys + slot * 4) === key) return slot;
+        slot = (slot + 1) & (m.capacity - 1);
+    }
+    return -1;
+}
+
+/**
+ * Allocate an empty map with room for at least `capacity` keys (rounded
+ * up to a power of two); 0 if out of memory
+ */
+export function mapCreate(capacity) {
+    if (capacity <= 0 || capacity > 0x100000) return 0;
+
+    let size = 1;
+    while (size < capacity) size <<= 1;
+
+    const base = AKM.malloc(HashMap.size + size * 9);
+    if (base === 0) return 0;
+
+    const m = HashMap.at(base);
+    m.capacity = size;
+    m.count = 0;
+    m.keys = base + HashMap.size;
+    m.values = m.keys + size * 4;
+    m.states = m.values + size * 4;
+    mapClear(base);
+    return base;
+}
+
+/**
+ * Free a map from mapCreate()
+ */
+export function mapFree(map) {
+    if (map !== 0) AKM.free(map);
+    return 0;
+}
+
+/**
+ * Insert or replace the value for `key`; ENOSPC (-28) when every slot is
+ * taken by another key
+ */
+export function mapPut(map, key, value) {
+    const m = HashMap.at(map);
+
+    const found = mapFind(map, key);
+    if (found >= 0) {
+        AKM.poke32(m.values + found * 4, value);
+        return 0;
+    }
+
+    let slot = mapSlot(map, key);
+    for (let probes = 0; probes < m.capacity; probes++) {
+        if (AKM.peek8(m.states + slot) !== SLOT_USED) {
+            AKM.poke8(m.states + slot, SLOT_USED);
+            AKM.poke32(m.keys + slot * 4, key);
+            AKM.poke32(m.values + slot * 4, value);
+            m.count += 1;
+            return 0;
+        }
+        slot = (slot + 1) & (m.capacity - 1);
+    }
+    return ENOSPC;
+}
+
+/**
+ * Value for `key`, or `missing` when the key is absent
+ */
+export function mapGet(map, key, missing) {
+    const slot = mapFind(map, key);
+    if (slot < 0) return missing;
+    return AKM.peek32(HashMap.at(map).values + slot * 4);
+}
+
+/**
+ * Whether `key` is in the map
+ */
+export function mapHas(map, key) {
+    return mapFind(map, key) >= 0;
+}
+
+/**
+ * Remove `key`; ENOENT (-2) when it is absent
+ */
+export function mapRemove(map, key) {
+    const slot = mapFind(map, key);
+    if (slot < 0) return ENOENT;
+
+    const m = HashMap.at(map);
+    AKM.poke8(m.states + slot, SLOT_DELETED);
+    m.count -= 1;
+    return 0;
+}
+
+/**
+ * Number of keys stored
+ */
+export function mapCount(map) {
+    return HashMap.at(map).count;
+}
+
+/**
+ * Remove every key
+ */
+export function mapClear(map) {
+    const m = HashMap.at(map);
+    for (let slot = 0; slot < m.capacity; slot++) {
+        AKM.poke8(m.states + slot, SLOT_EMPTY);
+    }
+    m.count = 0;
+    return 0;
+}
+
+/**
+ * First used slot after `slot` (pass -1 to start), or -1 when there are
+ * no more; read it with mapKeyAt()/mapValueAt()
+ */
+export function mapNext(map, slot) {
+    const m = HashMap.at(map);
+    for (let next = slot + 1; next < m.capacity; next++) {
+        if (AKM.peek8(m.states + next) === SLOT_USED) return next;
+    }
+    return -1;
+}
+
+/**
+ * Key in a slot returned by mapNext()
+ */
+export function mapKeyAt(map, slot) {
+    return AKM.peek32(HashMap.at(map).keys + slot * 4);
+}
+
+/**
+ * Value in a slot returned by mapNext()
+ */
+export function mapValueAt(map, slot) {
+    return AKM.peek32(HashMap.at(map).values + slot * 4);
+}
@@ -0,0 +1,130 @@
+/**
+ * AKM Standard Library - Intrusive Linked List
+ *
+ * Circular doubly linked list whose links live inside the listed objects.
+ * A ListNode is embedded in each item (first, so that a node's address is
+ * its item's address) and a ListNode on its own serves as the list head:
+ *
+ *   import { ListNode, listInit, listAddTail, listFirst, listNext } from 'akm:list';
+ *
+ *   const Packet = AKM.struct({ link: ListNode, length: 'u32' });
+ *
+ *   listInit(queue);
+ *   listAddTail(queue, pkt);
+ *   for (let p = listFirst(queue); p !== 0; p = listNext(queue, p)) ...
+ *
+ * Nothing is allocated: the caller owns the head and every item.
+ */
+
+export const ListNode = AKM.struct({
+    next: 'ptr',
+    prev: 'ptr'
+});
+
+/**
+ * Make `head` an empty list (it links to itself)
+ */
+export function listInit(head) {
+    const h = ListNode.at(head);
+    h.next = head;
+    h.prev = head;
+    return 0;
+}
+
+/**
+ * Whether the list has no items
+ */
+export function listEmpty(head) {
+    return ListNode.at(head).next === head;
+}
+
+/**
+ * Link `node` between two adjacent nodes
+ */
+function listInsert(node, prev, next) {
+    const n = ListNode.at(node);
+    n.prev = prev;
+    n.next = next;
+    ListNode.at(prev).next = node;
+    ListNode.at(next).prev = node;
+    return 0;
+}
+
+/**
+ * Add an item at the front
+ */
+export function listAddHead(head, node) {
+    return listInsert(node, head, ListNode.at(head).next);
+}
+
+/**
+ * Add an item at the back
+ */
+export function listAddTail(head, node) {
+    return listInsert(node, ListNode.at(head).prev, head);
+}
+
+/**
+ * Unlink an item from whatever list holds it; it then links to itself,
+ * so removing it twice is harmless
+ */
+export function listRemove(node) {
+    const n = ListNode.at(node);
+    ListNode.at(n.prev).next = n.next;
+    ListNode.at(n.next).prev = n.prev;
+    n.next = node;
+    n.prev = node;
+    return 0;
+}
+
+/**
+ * First item, or 0 when empty
+ */
+export function listFirst(head) {
+    const next = ListNode.at(head).next;
+    return next === head ? 0 : next;
+}
+
+/**
+ * Last item, or 0 when empty
+ */
+export function listLast(head) {
+    const prev = ListNode.at(head).prev;
+    return prev === head ? 0 : prev;
+}
+
+/**
+ * Item after `node`, or 0 at the end of the list
+ */
+export function listNext(head, node) {
+    const next = ListNode.at(node).next;
+    return next === head ? 0 : next;
+}
+
+/**
+ * Item before `node`, or 0 at the start of the list
+ */
+export function listPrev(head, node) {
+    const prev = ListNode.at(node).prev;
+    return prev === head ? 0 : prev;
+}
+
+/**
+ * Remove and return the first item, or 0 when empty
+ */
+export function listPopHead(head) {
+    const node = listFirst(head);
+    if (node !== 0) listRemove(node);
+    return node;
+}
+
+/**
+ * Number of items (walks the list)
+ */
+export function listCount(head) {
+    let count = 0;
+    for (let node = ListNode.at(head).next; node !== head; node = ListNode.at(node).next) {
+        count++;
+    }
+    return count;
+}
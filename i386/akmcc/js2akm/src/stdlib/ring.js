@@ -0,0 +1,120 @@
+/**
+ * AKM Standard Library - Ring Buffer
+ *
+ * Fixed-capacity FIFO of 32-bit values, header and storage in one
+ * allocation:
+ *
+ *   import { ringCreate, ringPush, ringPop, ringEmpty } from 'akm:ring';
+ *
+ *   rx = ringCreate(64);
+ *   ringPush(rx, AKM.inb(DATA_PORT));
+ *   while (!ringEmpty(rx)) handle(ringPop(rx));
+ *
+ * head and tail count every value popped and pushed (wrapping at 2^32), so
+ * the ring holds tail - head values and never needs a separate count. The
+ * capacity is a power of two, so slot indices stay in step across the wrap.
+ */
+
+export const Ring = AKM.struct({
+    head: 'u32',        // Values popped so far
+    tail: 'u32',        // Values pushed so far
+    capacity: 'u32',    // Values the ring can hold, a power of two
+    data: 'ptr'         // capacity 32-bit slots
+});
+
+const ENOSPC = -28;
+
+/**
+ * Allocate an empty ring for at least `capacity` values (rounded up to a
+ * power of two); 0 if out of memory
+ */
+export function ringCreate(capacity) {
+    if (capacity <= 0 || capacity > 0x1000000) return 0;
+
+    let size = 1;
+    while (size < capacity) size <<= 1;
+
+    const base = AKM.malloc(Ring.size + size * 4);
+    if (base === 0) return 0;
+
+    const r = Ring.at(base);
+    r.head = 0;
+    r.tail = 0;
+    r.capacity = size;
+    r.data = base + Ring.size;
+    return base;
+}
+
+/**
+ * Free a ring from ringCreate()
+ */
+export function ringFree(ring) {
+    if (ring !== 0) AKM.free(ring);
+    return 0;
+}
+
+/**
+ * Append a value; ENOSPC (-28) when the ring is full
+ */
+export function ringPush(ring, value) {
+    const r = Ring.at(ring);
+    if (r.tail - r.head >= r.capacity) return ENOSPC;
+
+    AKM.poke32(r.data + (r.tail & (r.capacity - 1)) * 4, value);
+    r.tail += 1;
+    return 0;
+}
+
+/**
+ * Remove and return the oldest value; 0 when empty (check ringEmpty())
+ */
+export function ringPop(ring) {
+    const r = Ring.at(ring);
+    if (r.tail === r.head) return 0;
+
+    const value = AKM.peek32(r.data + (r.head & (r.capacity - 1)) * 4);
+    r.head += 1;
+    return value;
+}
+
+/**
+ * The oldest value without removing it; 0 when empty
+ */
+export function ringPeek(ring) {
+    const r = Ring.at(ring);
+    if (r.tail === r.head) return 0;
+    return AKM.peek32(r.data + (r.head & (r.capacity - 1)) * 4);
+}
+
+/**
+ * Number of values in the ring
+ */
+export function ringCount(ring) {
+    const r = Ring.at(ring);
+    return r.tail - r.head;
+}
+
+/**
+ * Whether the ring holds no values
+ */
+export function ringEmpty(ring) {
+    const r = Ring.at(ring);
+    return r.tail === r.head;
+}
+
+/**
+ * Whether ringPush() would fail
+ */
+export function ringFull(ring) {
+    const r = Ring.at(ring);
+    return r.tail - r.head >= r.capacity;
+}
+
+/**
+ * Drop every value
+ */
+export function ringClear(ring) {
+    const r = Ring.at(ring);
+    r.head = r.tail;
+    return 0;
+}
@@ -0,0 +1,139 @@
+/**
+ * AKM Standard Library - String Utilities
+ *
+ * Helpers for NUL-terminated byte strings in kernel memory, such as
+ * command arguments and buffers filled by AKM.read():
+ *
+ *   import { strEquals, strToInt } from 'akm:string';
+ *
+ *   if (strEquals(args, 'reset')) ...
+ *   const irq = strToInt(arg, -1);
+ *
+ * Every argument is an address; a string literal passed in is the
+ * address of its string table entry.
+ */
+
+const CHAR_MINUS = 0x2D;    // '-'
+const CHAR_0 = 0x30;        // '0'
+const CHAR_9 = 0x39;        // '9'
+const CHAR_UPPER_A = 0x41;  // 'A'
+const CHAR_UPPER_F = 0x46;  // 'F'
+const CHAR_X = 0x78;        // 'x'
+const CHAR_A = 0x61;        // 'a'
+const CHAR_F = 0x66;        // 'f'
+
+/**
+ * Length in bytes, not counting the NUL
+ */
+export function strLength(s) {
+    let n = 0;
+    while (AKM.peek8(s + n) !== 0) n++;
+    return n;
+}
+
+/**
+ * Compare like strcmp(): negative, 0 or positive
+ */
+export function strCompare(a, b) {
+    let i = 0;
+    for (;;) {
+        const ca = AKM.peek8(a + i);
+        const cb = AKM.peek8(b + i);
+        if (ca !== cb) return ca - cb;
+        if (ca === 0) return 0;
+        i++;
+    }
+}
+
+/**
+ * Whether two strings have the same bytes
+ */
+export function strEquals(a, b) {
+    return strCompare(a, b) === 0;
+}
+
+/**
+ * Whether `s` begins with `prefix`
+ */
+export function strStartsWith(s, prefix) {
+    for (let i = 0; ; i++) {
+        const c = AKM.peek8(prefix + i);
+        if (c === 0) return true;
+        if (AKM.peek8(s + i) !== c) return false;
+    }
+}
+
+/**
+ * Offset of the first `needle` in `s`, or -1
+ */
+export function strIndexOf(s, needle) {
+    for (let i = 0; ; i++) {
+        if (strStartsWith(s + i, needle)) return i;
+        if (AKM.peek8(s + i) === 0) return -1;
+    }
+}
+
+/**
+ * Copy `src` into a `size`-byte buffer, always NUL-terminating (like
+ * strlcpy()); returns the length of `src`, so a result >= size means the
+ * copy was truncated
+ */
+export function strCopy(dest, src, size) {
+    let i = 0;
+    if (size > 0) {
+        while (i < size - 1) {
+            const c = AKM.peek8(src + i);
+            if (c === 0) break;
+            AKM.poke8(dest + i, c);
+            i++;
+        }
+        AKM.poke8(dest + i, 0);
+    }
+    return i + strLength(src + i);
+}
+
+/**
+ * Parse a decimal or 0x-prefixed hex integer with an optional '-';
+ * `invalid` when `s` is empty or has other characters
+ */
+export function strToInt(s, invalid) {
+    let i = 0;
+    let negative = false;
+    if (AKM.peek8(s) === CHAR_MINUS) {
+        negative = true;
+        i = 1;
+    }
+
+    let base = 10;
+    if (AKM.peek8(s + i) === CHAR_0 && AKM.peek8(s + i + 1) === CHAR_X) {
+        base = 16;
+        i += 2;
+    }
+
+    if (AKM.peek8(s + i) === 0) return invalid;
+
+    let value = 0;
+    for (let c = AKM.peek8(s + i); c !== 0; c = AKM.peek8(s + i)) {
+        let digit = -1;
+        if (c >= CHAR_0 && c <= CHAR_9) digit = c - CHAR_0;
+        else if (base === 16 && c >= CHAR_A && c <= CHAR_F) digit = c - CHAR_A + 10;
+        else if (base === 16 && c >= CHAR_UPPER_A && c <= CHAR_UPPER_F) digit = c - CHAR_UPPER_A + 10;
+        if (digit < 0) return invalid;
+
+        value = value * base + digit;
+        i++;
+    }
+    return negative ? -value : value;
+}
+
+/**
+ * 32-bit FNV-1a hash of the bytes of `s`
+ */
+export function strHash(s) {
+    let h = 0x811c9dc5;
+    for (let i = 0; AKM.peek8(s + i) !== 0; i++) {
+        h ^= AKM.peek8(s + i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h;
+}
@@ -0,0 +1,1495 @@
+#!/usr/bin/env node
+/**
+ * AKM Compiler Tests
+ *
+ * Plain Node script, no test framework:
+ *
+ *   node test/test-compiler.js
+ *
+ * Each test compiles a module from source and checks the result; the
+ * script exits non-zero when any test fails.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AKMCompiler } = require('../src/compiler');
+const { DIAGNOSTICS, toJSON, toSARIF } = require('../src/diagnostics');
+const { CAPABILITIES, OPCODES, IR_OPS, AKM_FORMAT } = require('../src/constants');
+
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+// =========================================================================
+// HELPERS
+// =========================================================================
+
+// Entry files are named as if they sat next to this script
+const ENTRY = path.join(__dirname, 'test.akm.js');
+
+const OP_NAMES = new Map(Object.entries(Object.assign({}, OPCODES, IR_OPS)).map(([name, op]) => [op, name]));
+
+/**
+ * Build a module around `body`, with the given import lines
+ */
+function moduleSource(imports, body) {
+    return [
+        ...imports,
+        "AKM.module({ name: 'test', version: '1.0.0' });",
+        body,
+        'export function exit() { return 0; }',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Parse and analyze a module; returns the parse result with its errors
+ */
+function analyze(source, options = {}) {
+    const compiler = new AKMCompiler(options);
+    const result = compiler.parse(source, ENTRY);
+    compiler.analyze(result);
+    return result;
+}
+
+/**
+ * Compile a module to a binary, failing with its diagnostics on error
+ */
+function compile(source) {
+    const result = analyze(source);
+    assert.deepStrictEqual(result.errors.map(e => e.message), []);
+    const output = new AKMCompiler().compile(result);
+    assert.ok(output.binary.length > 0);
+    return result;
+}
+
+/**
+ * Compile a module and return the compiler output, with the code
+ * generator's sections in output.ir
+ */
+function build(source, options = {}) {
+    options = Object.assign({ debug: true }, options);
+    const result = analyze(source, options);
+    assert.deepStrictEqual(result.errors.map(e => e.message), []);
+    return new AKMCompiler(options).compile(result);
+}
+
+/**
+ * Names of the functions linked into a module, sorted
+ */
+function functionNames(result) {
+    return result.ir.functions.map(fn => fn.name).sort();
+}
+
+/**
+ * A function's IR as 'OP operand...' lines, e.g. 'CALL_API format 2'
+ */
+function listing(result, name) {
+    const fn = result.ir.functions.find(f => f.name === name);
+    assert.ok(fn, `function ${name} exists`);
+    return fn.instructions.map(instr => [OP_NAMES.get(instr.op)]
+        .concat(Object.keys(instr).filter(key => key !== 'op').map(key => instr[key]))
+        .join(' '));
+}
+
+/**
+ * Codes of the diagnostics of one severity
+ */
+function codes(diagnostics) {
+    return diagnostics.map(d => d.code);
+}
+
+/**
+ * Names declared at the top level of the linked program
+ */
+function topLevelNames(result) {
+    const names = [];
+    for (const node of result.ast.body) {
+        const decl = node.type === 'ExportNamedDeclaration' ? node.declaration : node;
+        if (!decl) continue;
+        if (decl.type === 'FunctionDeclaration') names.push(decl.id.name);
+        if (decl.type === 'VariableDeclaration') names.push(...decl.declarations.map(d => d.id.name));
+    }
+    return names;
+}
+
+/**
+ * Write `files` (relative name -> source) to a scratch directory and
+ * analyze its main.akm.js
+ */
+function analyzeFiles(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'akmcc-test-'));
+    try {
+        for (const [name, source] of Object.entries(files)) {
+            const file = path.join(dir, name);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, source);
+        }
+        const compiler = new AKMCompiler();
+        const result = compiler.parse(files['main.akm.js'], path.join(dir, 'main.akm.js'));
+        compiler.analyze(result);
+        return result;
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * A struct's size and field offsets as [size, { field: offset }]
+ */
+function layout(result, name) {
+    const struct = result.structs.get(name);
+    return [struct.size, Object.fromEntries([...struct.fields].map(([field, f]) => [field, f.offset]))];
+}
+
+/**
+ * Decode the command table section into its header and entries, with
+ * string offsets resolved against the string table in .data
+ */
+function commandTable(ir) {
+    const tab = ir.cmdtab;
+    const string = offset => ir.data.toString('latin1', offset, ir.data.indexOf(0, offset));
+    const index = value => value === 0xFFFF ? null : value;
+
+    const header = {
+        magic: tab.toString('latin1', 0, 4),
+        version: tab.readUInt16LE(4),
+        entrySize: tab.readUInt16LE(6),
+        count: tab.readUInt16LE(8),
+        hintSize: tab.readUInt16LE(10),
+        hintCount: tab.readUInt16LE(12)
+    };
+    const hintBase = 16 + header.count * header.entrySize;
+    const hint = i => {
+        const at = hintBase + i * header.hintSize;
+        return { kind: tab[at], position: tab[at + 1], text: string(tab.readUInt32LE(at + 4)) };
+    };
+
+    const entries = Array.from({ length: header.count }, (_, i) => {
+        const at = 16 + i * header.entrySize;
+        const flags = tab.readUInt16LE(at + 22);
+        const first = tab.readUInt16LE(at + 32);
+        return {
+            name: string(tab.readUInt32LE(at)),
+            syntax: string(tab.readUInt32LE(at + 4)),
+            handler: tab.readUInt32LE(at + 16),
+            handlerSlot: at + 16,
+            parent: index(tab.readUInt16LE(at + 20)),
+            flags: flags,
+            resource: flags & 2 ? string(tab.readUInt32LE(at + 24)) : null,
+            permission: tab.readUInt32LE(at + 28),
+            hints: Array.from({ length: tab.readUInt16LE(at + 34) }, (_, n) => hint(first + n)),
+            aliasOf: index(tab.readUInt16LE(at + 36))
+        };
+    });
+    return { header, entries };
+}
+
+// =========================================================================
+// EXPRESSIONS
+// =========================================================================
+
+test('Expressions compile to stack code in evaluation order', () => {
+    const result = compile(moduleSource([],
+        `function calc(a, b) { return (a + b * 3) - -a; }
+export function init() { return calc(1, 2); }`));
+    assert.deepStrictEqual(listing(result, 'calc'),
+        ['LOAD_LOCAL a', 'LOAD_LOCAL b', 'PUSH 3', 'MUL', 'ADD', 'LOAD_LOCAL a', 'NEG', 'SUB', 'RET']);
+});
+
+test('Increments yield the old value after and the new value before', () => {
+    const result = compile(moduleSource([],
+        `export function init() {
+    let x = 5;
+    const y = x++ + --x;
+    return y;
+}`));
+    assert.deepStrictEqual(listing(result, 'init').slice(2, 11), [
+        'LOAD_LOCAL x', 'DUP', 'INC', 'STORE_LOCAL x',
+        'LOAD_LOCAL x', 'DEC', 'DUP', 'STORE_LOCAL x',
+        'ADD'
+    ]);
+});
+
+test('&& and || short-circuit and keep the deciding value', () => {
+    const result = compile(moduleSource([],
+        `function f() { return 1; }
+export function init(y) { return f() && (y || 7); }`));
+    assert.deepStrictEqual(listing(result, 'init'), [
+        'CALL f 0', 'DUP', 'JZ .L0', 'POP',
+        'LOAD_LOCAL y', 'DUP', 'JNZ .L1', 'POP', 'PUSH 7', 'LABEL .L1',
+        'LABEL .L0', 'RET'
+    ]);
+});
+
+// =========================================================================
+// CONTROL FLOW
+// =========================================================================
+
+test('for loops test first and continue at the update', () => {
+    const result = compile(moduleSource([],
+        `export function init(n) {
+    let s = 0;
+    for (let i = 0; i < n; i++) { if (i === 3) continue; s += i; }
+    return s;
+}`));
+    assert.deepStrictEqual(listing(result, 'init'), [
+        'PUSH 0', 'STORE_LOCAL s', 'PUSH 0', 'STORE_LOCAL i',
+        'LABEL .L0', 'LOAD_LOCAL i', 'LOAD_LOCAL n', 'LT', 'JZ .L2',
+        'LOAD_LOCAL i', 'PUSH 3', 'EQ', 'JZ .L3', 'JMP .L1', 'LABEL .L3',
+        'LOAD_LOCAL s', 'LOAD_LOCAL i', 'ADD', 'DUP', 'STORE_LOCAL s', 'POP',
+        'LABEL .L1', 'LOAD_LOCAL i', 'DUP', 'INC', 'STORE_LOCAL i', 'POP', 'JMP .L0',
+        'LABEL .L2', 'LOAD_LOCAL s', 'RET'
+    ]);
+});
+
+test('do-while loops test at the bottom', () => {
+    const result = compile(moduleSource([],
+        `export function init(s) {
+    do { s--; } while (s > 10);
+    return s;
+}`));
+    assert.deepStrictEqual(listing(result, 'init'), [
+        'LABEL .L0', 'LOAD_LOCAL s', 'DUP', 'DEC', 'STORE_LOCAL s', 'POP',
+        'LABEL .L1', 'LOAD_LOCAL s', 'PUSH 10', 'GT', 'JNZ .L0',
+        'LABEL .L2', 'LOAD_LOCAL s', 'RET'
+    ]);
+});
+
+test('Labeled break leaves the labeled loop', () => {
+    const result = compile(moduleSource([],
+        `export function init(n) {
+    outer: while (n) {
+        while (n > 1) { if (n === 5) break outer; n--; }
+        n--;
+    }
+    return n;
+}`));
+    const code = listing(result, 'init');
+    assert.deepStrictEqual(code.slice(code.indexOf('PUSH 5'), code.indexOf('PUSH 5') + 4), ['PUSH 5', 'EQ', 'JZ .L4', 'JMP .L1']);
+    assert.deepStrictEqual(code.slice(code.indexOf('LABEL .L1')), ['LABEL .L1', 'LOAD_LOCAL n', 'RET']);
+    assert.strictEqual(code[2], 'JZ .L1', 'the outer loop exits to the same label');
+});
+
+// =========================================================================
+// FUNCTIONS
+// =========================================================================
+
+test('Frames hold the parameters, then the locals', () => {
+    const source = moduleSource([],
+        `function fact(n) { if (n <= 1) return 1; const m = n - 1; return n * fact(m); }
+export function init() { return fact(5); }`);
+    const result = compile(source);
+    const fact = result.ir.functions.find(fn => fn.name === 'fact');
+    assert.deepStrictEqual([fact.params, fact.locals], [['n'], ['n', 'm']]);
+    assert.deepStrictEqual(listing(result, 'fact').slice(-5), ['LOAD_LOCAL n', 'LOAD_LOCAL m', 'CALL fact 1', 'MUL', 'RET']);
+
+    // The prologue copies the argument, then zeroes the local
+    const { ir } = build(source);
+    const start = ir.functions.get('fact');
+    assert.deepStrictEqual([...ir.code.subarray(start, start + 8)],
+        [OPCODES.NOP, OPCODES.PUSH_ARG, 0, OPCODES.PUSH, 0, 0, 0, 0]);
+});
+
+test('Shadowing declarations get their own slot', () => {
+    const result = compile(moduleSource([],
+        `export function init(x) {
+    let y = x;
+    { let x = 2; y += x; }
+    return x + y;
+}`));
+    assert.deepStrictEqual(result.ir.functions.find(fn => fn.name === 'init').locals, ['x', 'y', 'x$1']);
+    assert.deepStrictEqual(listing(result, 'init').slice(-4), ['LOAD_LOCAL x', 'LOAD_LOCAL y', 'ADD', 'RET']);
+});
+
+test('Functions without return return 0', () => {
+    const result = compile(moduleSource([],
+        `function bump(a) { a++; }
+export function init() { return bump(1); }`));
+    assert.deepStrictEqual(listing(result, 'bump').slice(-2), ['PUSH 0', 'RET']);
+});
+
+test('Frames over 256 slots are an error', () => {
+    const locals = Array.from({ length: 257 }, (_, i) => `    let v${i} = ${i};`).join('\n');
+    const result = analyze(moduleSource([], `export function init() {\n${locals}\n    return v0;\n}`));
+    assert.deepStrictEqual(codes(result.errors), ['AKM2012']);
+});
+
+// =========================================================================
+// STRINGS
+// =========================================================================
+
+test('Template literals build the string with one format call', () => {
+    const result = compile(moduleSource([],
+        `function show(irq, base) {
+    AKM.print(\`irq=\${irq} base=0x\${base.toString(16)} 100%\`);
+    return 0;
+}
+export function init() { return show(5, 255); }`));
+    const code = listing(result, 'show');
+    assert.ok(code.includes('PUSH_STR irq=%d base=0x%r 100%%'), code.join('\n'));
+    assert.ok(code.includes('CALL_API format 4'));
+    assert.ok(!code.some(line => /strcat|itoa/.test(line)));
+});
+
+test('String + chains share one format call', () => {
+    const result = compile(moduleSource([],
+        `function show(n) {
+    AKM.print('n=' + n + ' of ' + String(n * 2));
+    return 0;
+}
+export function init() { return show(1); }`));
+    const code = listing(result, 'show');
+    assert.ok(code.includes('PUSH_STR n=%d of %d'), code.join('\n'));
+    assert.strictEqual(code.filter(line => line.startsWith('CALL_API')).length, 2);
+});
+
+test('Constant templates fold to a string literal', () => {
+    const result = compile(moduleSource([],
+        `const NAME = 'eth';
+export function init() { AKM.print(\`\${NAME}0\`); return 0; }`));
+    const code = listing(result, 'init');
+    assert.ok(code.includes('PUSH_STR eth0'), code.join('\n'));
+    assert.ok(!code.some(line => line.includes('format')));
+});
+
+test('Parameters passed strings at every call site format as %s', () => {
+    const result = compile(moduleSource([],
+        `function up(name) { AKM.print(\`\${name} is up\`); return 0; }
+export function init() { up('eth0'); return up(\`lo\${0}\`); }`));
+    assert.ok(listing(result, 'up').includes('PUSH_STR %s is up'));
+    assert.deepStrictEqual(codes(result.warnings), []);
+});
+
+test('+ on a parameter passed strings stays address arithmetic', () => {
+    const result = compile(moduleSource([],
+        `function second(s) { return AKM.peek8(s + 1); }
+export function init() { return second('ab'); }`));
+    const code = listing(result, 'second');
+    assert.ok(code.includes('ADD'), code.join('\n'));
+    assert.ok(!code.some(line => line.includes('format')));
+});
+
+test('Operands of unknown kind warn and format as %d', () => {
+    const result = compile(moduleSource([],
+        `function show(v) { AKM.print(\`v=\${v}\`); return 0; }
+function count(v) { AKM.print(\`n=\${String(v)}\`); return 0; }
+export function init() { show(1); show('a'); count(2); return count('b'); }`));
+    assert.ok(listing(result, 'show').includes('PUSH_STR v=%d'));
+    assert.deepStrictEqual(result.warnings.map(w => [w.code, w.line]), [['AKM2021', 2]]);
+});
+
+test('Runtime strings cannot be stored in module variables', () => {
+    const result = analyze(moduleSource([],
+        `let last = '';
+export function init() {
+    const n = 3;
+    const local = \`n=\${n}\`;
+    AKM.print(local);
+    last = \`n=\${n}\`;
+    last += 'x';
+    return 0;
+}`));
+    assert.deepStrictEqual(codes(result.errors), ['AKM2019', 'AKM2019']);
+});
+
+// =========================================================================
+// GLOBALS
+// =========================================================================
+
+test('Globals go to .data or .bss by initializer', () => {
+    const output = build(moduleSource([],
+        `let count = 0;
+let limit = 16;
+let owner = null;
+let name = 'eth0';
+let unset;
+export function init() { count = limit; unset = owner; return name === 0 ? 1 : 0; }`));
+    const { ir } = output;
+    const symbols = new Map(ir.globals.map(g => [g.name, g.offset]));
+
+    // .data holds the string table, then 4-byte aligned initialized globals
+    assert.strictEqual(symbols.get('limit') % 4, 0);
+    assert.ok(ir.data.includes('eth0\0'));
+    assert.strictEqual(ir.data.readUInt32LE(symbols.get('limit')), 16);
+    assert.strictEqual(ir.data.length, symbols.get('limit') + 4);
+
+    // Zero, null and missing initializers only take .bss space; a string
+    // is stored by init
+    assert.strictEqual(ir.bssSize, 16);
+    for (const name of ['count', 'owner', 'name', 'unset']) {
+        assert.ok(symbols.get(name) >= ir.data.length, `${name} is in .bss`);
+    }
+});
+
+test('Dynamic global initializers run at the start of init', () => {
+    const result = compile(moduleSource([],
+        `let base = 4;
+let size = base * 16;
+export function init() { return size; }`));
+    assert.deepStrictEqual(listing(result, 'init').slice(0, 5),
+        ['LOAD_GLOBAL base', 'PUSH 16', 'MUL', 'STORE_GLOBAL size', 'LOAD_GLOBAL size']);
+});
+
+test('Global initializers do not see init parameters', () => {
+    const result = compile(moduleSource([],
+        `let base = 4;
+let size = base * 16;
+export function init(base) { return size + base; }`));
+    const code = listing(result, 'init');
+    assert.strictEqual(code[0], 'LOAD_GLOBAL base');
+    assert.ok(code.includes('LOAD_LOCAL base'), 'the body still sees the parameter');
+});
+
+// =========================================================================
+// SWITCH
+// =========================================================================
+
+const DENSE_SWITCH = `export function init(n) {
+    let r = 0;
+    switch (n) {
+        case 1: r = 10; break;
+        case 2: r = 20;
+        case 3: r += 1; break;
+        case 5: r = 50; break;
+        default: r = -1;
+    }
+    return r;
+}`;
+
+test('Dense switches compile to a jump table', () => {
+    const result = compile(moduleSource([], DENSE_SWITCH));
+    const code = listing(result, 'init');
+    const [, min, entries, fallback] = code.find(line => line.startsWith('SWITCH')).split(' ');
+    const labels = entries.split(',');
+    assert.strictEqual(min, '1');
+    assert.strictEqual(labels.length, 5);
+    assert.strictEqual(labels[3], fallback, 'the missing case 4 goes to default');
+
+    // case 2 falls through into case 3
+    const fallthrough = code.slice(code.indexOf(`LABEL ${labels[1]}`), code.indexOf(`LABEL ${labels[2]}`));
+    assert.ok(fallthrough.length > 1);
+    assert.ok(!fallthrough.some(line => line.startsWith('JMP')), fallthrough.join('\n'));
+});
+
+test('Jump tables encode their targets as code offsets', () => {
+    const { ir } = build(moduleSource([], DENSE_SWITCH));
+    const start = ir.functions.get('init');
+    const at = ir.code.indexOf(OPCODES.SWITCH, start);
+
+    // SWITCH <min:i32> <count:u16> <default:u32> <target:u32 x count>
+    assert.strictEqual(ir.code.readInt32LE(at + 1), 1);
+    const count = ir.code.readUInt16LE(at + 5);
+    const fallback = ir.code.readUInt32LE(at + 7);
+    const targets = Array.from({ length: count }, (_, i) => ir.code.readUInt32LE(at + 11 + 4 * i));
+    assert.strictEqual(count, 5);
+    assert.strictEqual(targets[3], fallback);
+    assert.ok(targets[0] > at && targets[0] < targets[1] && targets[1] < targets[2] &&
+        targets[2] < targets[4] && targets[4] < fallback && fallback < ir.functions.get('exit'));
+});
+
+test('Sparse switches compile to a compare chain', () => {
+    const result = compile(moduleSource([],
+        `export function init(n) {
+    switch (n) {
+        case 1: return 1;
+        case 1000: return 2;
+        default: return 0;
+    }
+}`));
+    const code = listing(result, 'init');
+    assert.ok(!code.some(line => line.startsWith('SWITCH')));
+    assert.deepStrictEqual(code.slice(0, 11), [
+        'LOAD_LOCAL n', 'STORE_LOCAL .t1',
+        'LOAD_LOCAL .t1', 'PUSH 1', 'EQ', 'JNZ .L1',
+        'LOAD_LOCAL .t1', 'PUSH 1000', 'EQ', 'JNZ .L2',
+        'JMP .L3'
+    ]);
+});
+
+// =========================================================================
+// INLINE HANDLERS
+// =========================================================================
+
+test('Inline handlers are hoisted into generated functions', () => {
+    const result = compile(moduleSource([],
+        `AKM.command({ name: 'ticks' }, (args) => {
+    AKM.print(\`\${AKM.getTicks()}\`);
+    return 0;
+});
+export function init() {
+    AKM.createTimer(10, () => 0);
+    return AKM.registerIRQ(11, function () { return 1; });
+}`));
+    assert.deepStrictEqual(functionNames(result),
+        ['__akm_cmd_ticks', '__akm_irq_0', '__akm_timer_0', 'exit', 'init']);
+    assert.deepStrictEqual(result.ir.functions.find(fn => fn.name === '__akm_cmd_ticks').params, ['args']);
+    assert.deepStrictEqual(result.commands.map(cmd => cmd.handler), ['__akm_cmd_ticks']);
+
+    const code = listing(result, 'init');
+    assert.ok(code.includes('PUSH_FUNC __akm_timer_0'));
+    assert.ok(code.includes('PUSH_FUNC __akm_irq_0'));
+    assert.deepStrictEqual(listing(result, '__akm_irq_0'), ['PUSH 1', 'RET']);
+});
+
+// =========================================================================
+// FUNCTION REFERENCES
+// =========================================================================
+
+test('Function references push relocated code offsets', () => {
+    const output = build([
+        "AKM.module({ name: 'test', version: '1.0.0' });",
+        'let handler = 0;',
+        'let timer = 0;',
+        'function tick() { return 0; }',
+        'export function init() { handler = tick; timer = AKM.createTimer(10, tick); return 0; }',
+        'export function exit() { AKM.destroyTimer(timer); return 0; }',
+        ''
+    ].join('\n'));
+    const { ir, binary } = output;
+    const tick = ir.functions.get('tick');
+
+    const slots = ir.relocations.filter(r => r.section === AKM_FORMAT.SECTION_CODE);
+    assert.strictEqual(slots.length, 2);
+    for (const reloc of slots) {
+        assert.strictEqual(reloc.type, AKM_FORMAT.RELOC_CODE);
+        assert.strictEqual(ir.code[reloc.offset - 1], OPCODES.PUSH);
+        assert.strictEqual(ir.code.readUInt32LE(reloc.offset), tick);
+    }
+
+    // The header's reserved3[0..1] locate the table of 8-byte entries
+    const reltab = binary.readUInt32LE(144);
+    assert.strictEqual(binary.readUInt32LE(148), ir.relocations.length * AKM_FORMAT.RELOC_ENTRY_SIZE);
+    assert.deepStrictEqual([binary.readUInt32LE(reltab), binary[reltab + 4], binary[reltab + 5]],
+        [slots[0].offset, AKM_FORMAT.SECTION_CODE, AKM_FORMAT.RELOC_CODE]);
+});
+
+// =========================================================================
+// RAW MEMORY
+// =========================================================================
+
+test('peek and poke compile inline to sized loads and stores', () => {
+    const source = moduleSource([],
+        `export function init(ptr) {
+    AKM.poke8(ptr, 0xFF);
+    AKM.poke32(ptr + 4, 0xDEADBEEF);
+    return AKM.peek16(ptr + 2) + AKM.peek8(ptr);
+}`);
+    const result = compile(source);
+    assert.deepStrictEqual(listing(result, 'init'), [
+        'LOAD_LOCAL ptr', 'PUSH 255', 'STORE8', 'PUSH 0', 'POP',
+        'LOAD_LOCAL ptr', 'PUSH 4', 'ADD', `PUSH ${0xDEADBEEF}`, 'STORE32', 'PUSH 0', 'POP',
+        'LOAD_LOCAL ptr', 'PUSH 2', 'ADD', 'LOAD16',
+        'LOAD_LOCAL ptr', 'LOAD8', 'ADD', 'RET'
+    ]);
+    assert.ok(build(source).info.capabilities & CAPABILITIES.MEMORY, 'raw access needs MEMORY');
+});
+
+test('peek and poke are checked like API calls', () => {
+    const result = analyze(moduleSource([],
+        `export function init(ptr) { AKM.poke16(ptr); return AKM.peek8(ptr, 1); }`));
+    assert.deepStrictEqual(codes(result.errors), ['AKM3002', 'AKM3002']);
+});
+
+// =========================================================================
+// STRUCTS
+// =========================================================================
+
+const STRUCTS = `const Header = AKM.struct({ length: 'u16', flags: 'i8' });
+const Desc = AKM.struct({ addr: 'u32', header: Header, mac: ['u8', 6], next: 'ptr' });
+const Raw = AKM.struct({ tag: 'u8', value: 'u32' }, { packed: true });`;
+
+test('Struct layouts align fields and round up the size', () => {
+    const result = compile(moduleSource([], `${STRUCTS}
+export function init() { return Desc.size + Raw.size + Header.size; }`));
+    assert.deepStrictEqual(layout(result, 'Header'), [4, { length: 0, flags: 2 }]);
+    assert.deepStrictEqual(layout(result, 'Desc'), [20, { addr: 0, header: 4, mac: 8, next: 16 }]);
+    assert.deepStrictEqual(layout(result, 'Raw'), [5, { tag: 0, value: 1 }]);
+});
+
+test('Field access compiles to sized loads and stores', () => {
+    const result = compile(moduleSource([], `${STRUCTS}
+export function init(p) {
+    const desc = Desc.at(p);
+    desc.addr = 0x1000;
+    const flags = desc.header.flags;
+    desc.mac[5] = 0xFF;
+    return flags;
+}`));
+    const code = listing(result, 'init');
+    const flags = code.indexOf('STORE_LOCAL flags');
+
+    // desc.addr is at offset 0; desc.header.flags is a sign-extended i8 at 4 + 2
+    assert.deepStrictEqual(code.slice(2, 7), ['LOAD_LOCAL desc', 'PUSH 4096', 'STORE_LOCAL .t2', 'LOAD_LOCAL .t2', 'STORE32']);
+    assert.deepStrictEqual(code.slice(flags - 10, flags), [
+        'LOAD_LOCAL desc', 'PUSH 4', 'ADD', 'PUSH 2', 'ADD', 'LOAD8', 'PUSH 128', 'XOR', 'PUSH 128', 'SUB'
+    ]);
+    assert.deepStrictEqual(code.slice(flags + 1, flags + 9), [
+        'LOAD_LOCAL desc', 'PUSH 8', 'ADD', 'PUSH 5', 'ADD', 'PUSH 255', 'STORE_LOCAL .t2', 'LOAD_LOCAL .t2'
+    ]);
+    assert.strictEqual(code[flags + 9], 'STORE8');
+});
+
+test('Bad field types and unknown fields are errors', () => {
+    const result = analyze(moduleSource([],
+        `const Header = AKM.struct({ length: 'u16', flags: 'f8' });
+const Desc = AKM.struct({ addr: 'u32' });
+export function init(p) { return Desc.at(p).bogus + Header.size; }`));
+    assert.deepStrictEqual(result.errors.map(e => [e.code, e.line]), [['AKM1007', 2], ['AKM2010', 4]]);
+});
+
+// =========================================================================
+// MODULE CONFIGURATION
+// =========================================================================
+
+test('Module configuration is evaluated at compile time', () => {
+    const output = build([
+        'const VERSION_MINOR = 2;',
+        "const NAME = 'net' + 'mon';",
+        'AKM.module({ name: NAME, version: `1.${VERSION_MINOR}.0`, capabilities: AKM.CAPS.NETWORK | AKM.CAPS.LOG });',
+        'export function init() { return 0; }',
+        'export function exit() { return 0; }',
+        ''
+    ].join('\n'));
+    assert.strictEqual(output.info.name, 'netmon');
+    assert.strictEqual(output.info.version, '1.2.0');
+    assert.strictEqual(output.info.capabilities & CAPABILITIES.NETWORK, CAPABILITIES.NETWORK);
+});
+
+test('Constant expressions in code fold to one value', () => {
+    const result = compile(moduleSource([],
+        `const LIMIT = 16;
+export function init() { return AKM.CAPS.NETWORK | LIMIT * 2; }`));
+    assert.deepStrictEqual(listing(result, 'init'), [`PUSH ${CAPABILITIES.NETWORK | 32}`, 'RET']);
+});
+
+test('Configuration values that are not constant are ignored with a warning', () => {
+    const result = analyze([
+        "AKM.module({ name: 'test', version: '1.0.0', author: AKM.getTicks() });",
+        'export function init() { return 0; }',
+        'export function exit() { return 0; }',
+        ''
+    ].join('\n'));
+    assert.deepStrictEqual(codes(result.errors), []);
+    assert.deepStrictEqual(result.warnings.map(w => [w.code, w.line]), [['AKM1006', 1]]);
+});
+
+// =========================================================================
+// SEMANTIC ANALYSIS
+// =========================================================================
+
+test('Unsupported constructs are errors at their position', () => {
+    const result = analyze(moduleSource([],
+        `export function init() {
+    const o = 0;
+    for (const k in o) { AKM.print('x'); }
+    return 0;
+}`));
+    assert.deepStrictEqual(result.errors.map(e => [e.code, e.line, e.column]), [['AKM2001', 4, 4]]);
+    assert.match(result.errors[0].message, /for\.\.\.in/);
+});
+
+test('Undefined names and closures are errors', () => {
+    const result = analyze(moduleSource([],
+        `export function init() {
+    let n = 1;
+    AKM.createTimer(10, () => n);
+    return missing;
+}`));
+    assert.deepStrictEqual(codes(result.errors).sort(), ['AKM2003', 'AKM2005']);
+});
+
+test('Nested functions with the same name are an error', () => {
+    const result = analyze(moduleSource([],
+        `function a() {
+    function helper() { return 1; }
+    return helper();
+}
+function b() {
+    function helper() { return 2; }
+    return helper();
+}
+export function init() { return a() + b(); }`));
+    assert.deepStrictEqual(result.errors.map(e => [e.code, e.line]), [['AKM2020', 7]]);
+});
+
+// =========================================================================
+// CALLS
+// =========================================================================
+
+test('API calls are checked for arity and argument kinds', () => {
+    const result = analyze(moduleSource([],
+        `export function init() {
+    AKM.outb(0x3F8);
+    AKM.outb(0x3F8, 'x');
+    return 0;
+}`));
+    assert.deepStrictEqual(result.errors.map(e => [e.code, e.line]), [['AKM3002', 3], ['AKM3003', 4]]);
+    assert.match(result.errors[1].message, /Argument 2 of AKM\.outb must be an integer, got a string/);
+});
+
+test('Omitted optional API arguments are passed as 0', () => {
+    const result = compile(moduleSource([],
+        `function tick() { return 0; }
+export function init() { AKM.createTimer(10, tick); return 0; }`));
+    const code = listing(result, 'init');
+    const call = code.indexOf('CALL_API createTimer 3');
+    assert.ok(call > 0, code.join('\n'));
+    assert.strictEqual(code[call - 1], 'PUSH 0');
+});
+
+test('Missing module function arguments warn and are passed as 0', () => {
+    const result = compile(moduleSource([],
+        `function add(a, b) { return a + b; }
+export function init() { return add(1); }`));
+    assert.deepStrictEqual(result.warnings.map(w => [w.code, w.line]), [['AKM2013', 3]]);
+    assert.deepStrictEqual(listing(result, 'init').slice(0, 3), ['PUSH 1', 'PUSH 0', 'CALL add 2']);
+});
+
+// =========================================================================
+// CAPABILITIES
+// =========================================================================
+
+const PORT_MODULE = [
+    "AKM.module({ name: 'test', version: '1.0.0', capabilities: AKM.CAPS.LOG | AKM.CAPS.NETWORK });",
+    "export function init() { AKM.info('up'); AKM.outb(0x80, 1); return 0; }",
+    'export function exit() { return 0; }',
+    ''
+].join('\n');
+
+test('Capabilities are inferred from API calls and audited', () => {
+    const result = analyze(PORT_MODULE);
+    const audit = new AKMCompiler().auditCapabilities(result);
+    assert.deepStrictEqual(audit.unused, ['NETWORK']);
+    assert.deepStrictEqual(audit.undeclared.map(cap => [cap.name, cap.sites.map(site => site.line)]), [['IO_PORT', [2]]]);
+    assert.deepStrictEqual(audit.uncovered, [], 'the header mask merges inferred capabilities');
+    assert.ok(build(PORT_MODULE).info.capabilities & CAPABILITIES.IO_PORT);
+});
+
+test('A --caps mask missing a used capability warns, or fails under strictCaps', () => {
+    const result = analyze(PORT_MODULE, { capabilities: 'LOG' });
+    const missing = new AKMCompiler({ capabilities: 'LOG' }).capabilityDiagnostics(result);
+    assert.deepStrictEqual(missing.map(d => [d.severity, d.code, d.line]), [['warning', 'AKM4001', 2]]);
+
+    const strict = new AKMCompiler({ capabilities: 'LOG', strictCaps: true });
+    assert.throws(() => strict.compile(analyze(PORT_MODULE)), err =>
+        err.diagnostics.map(d => [d.severity, d.code]).join() === 'error,AKM4001');
+});
+
+test('Unknown capability names are rejected', () => {
+    assert.throws(() => new AKMCompiler({ capabilities: 'LOG,WARP_DRIVE' }),
+        err => err.diagnostics[0].code === 'AKM4002');
+});
+
+// =========================================================================
+// DIAGNOSTICS
+// =========================================================================
+
+const BAD_MODULE = moduleSource([],
+    `export function init() {
+    const o = { a: 1 };
+    AKM.createTimer(10, 0);
+    return o;
+}`);
+
+test('Diagnostic codes are unique and numbered by category', () => {
+    const all = Object.values(DIAGNOSTICS).map(d => d.code);
+    assert.strictEqual(new Set(all).size, all.length);
+    for (const code of all) {
+        assert.match(code, /^AKM[12349]\d{3}$/);
+    }
+});
+
+test('Diagnostics carry their source range', () => {
+    const result = analyze(BAD_MODULE);
+    const literal = result.errors.find(e => e.code === 'AKM2001');
+    assert.deepStrictEqual([literal.line, literal.column, literal.endLine, literal.endColumn], [3, 14, 3, 22]);
+    assert.strictEqual(literal.severity, 'error');
+    assert.strictEqual(literal.file, ENTRY);
+});
+
+test('Diagnostics render as JSON and SARIF', () => {
+    const result = analyze(BAD_MODULE);
+    const diagnostics = result.errors.concat(result.warnings);
+
+    const json = JSON.parse(toJSON(diagnostics));
+    assert.deepStrictEqual([json.version, json.errors, json.warnings], [1, result.errors.length, result.warnings.length]);
+    assert.deepStrictEqual(json.diagnostics, diagnostics);
+
+    const sarif = JSON.parse(toSARIF(diagnostics, '1.0.0'));
+    assert.strictEqual(sarif.version, '2.1.0');
+    const run = sarif.runs[0];
+    const literal = run.results.find(r => r.ruleId === 'AKM2001');
+    assert.strictEqual(run.tool.driver.rules[literal.ruleIndex].id, 'AKM2001');
+    assert.strictEqual(literal.level, 'error');
+    assert.deepStrictEqual(literal.locations[0].physicalLocation.region,
+        { startLine: 3, startColumn: 15, endLine: 3, endColumn: 23 });
+});
+
+// =========================================================================
+// INTEGERS
+// =========================================================================
+
+test('Constant folding wraps to 32 bits', () => {
+    const result = compile(moduleSource([],
+        `const BIG = 0x7FFFFFFF + 1;
+export function init() { return BIG + (-7 / 2) + (1 << 33) + Math.imul(0x10000, 0x10000); }`));
+    // -0x80000000 + -3 + 2 + 0 wraps around to 0x7FFFFFFF
+    assert.deepStrictEqual(listing(result, 'init'), ['PUSH 2147483647', 'RET']);
+});
+
+test('Unsigned operands select the unsigned opcodes', () => {
+    const result = compile(moduleSource([],
+        `export function init() {
+    const status = u32(AKM.inl(0x60));
+    const signed = AKM.inl(0x64);
+    return (status / 2) + (status % 3) + (status < 4 ? 1 : 0) + (signed / 2) + (signed >> 31) + (signed >>> 31);
+}`));
+    const ops = listing(result, 'init').map(line => line.split(' ')[0]);
+    for (const op of ['DIVU', 'MODU', 'LTU', 'DIV', 'SAR', 'SHR']) {
+        assert.ok(ops.includes(op), `${op} is emitted`);
+    }
+    assert.ok(!ops.includes('MOD') && !ops.includes('LT'), 'no signed variant for the unsigned operand');
+});
+
+test('Constant division by zero is an error', () => {
+    const result = analyze(moduleSource([],
+        `const C = 7 / 0;
+const ZERO = 0;
+export function init(n) {
+    n %= ZERO;
+    return C + n / (ZERO * 2);
+}`));
+    assert.deepStrictEqual(result.errors.map(e => [e.code, e.line]),
+        [['AKM2022', 2], ['AKM2022', 5], ['AKM2022', 6]]);
+});
+
+// =========================================================================
+// ERRORS
+// =========================================================================
+
+const TRY_FINALLY = `function check(n) { if (n < 0) throw n; return n; }
+export function init(n) {
+    let r = 0;
+    try {
+        r = check(n);
+        if (r === 3) return 7;
+    } catch (e) {
+        r = e;
+    } finally {
+        AKM.info('done');
+    }
+    return r;
+}`;
+
+test('throw sets the pending error, never 0, and leaves the function', () => {
+    const code = listing(compile(moduleSource([], TRY_FINALLY)), 'check');
+    const at = code.indexOf('STORE_GLOBAL .error');
+    assert.deepStrictEqual(code.slice(at - 5, at + 1),
+        ['LOAD_LOCAL n', 'DUP', 'PUSH 0', 'EQ', 'SUB', 'STORE_GLOBAL .error']);
+    assert.ok(code[at + 1].startsWith('JMP'));
+});
+
+test('catch receives the pending error and clears it', () => {
+    const code = listing(compile(moduleSource([], TRY_FINALLY)), 'init');
+    const call = code.indexOf('CALL check 1');
+    assert.deepStrictEqual(code.slice(call + 1, call + 5).map(line => line.split(' ')[0]),
+        ['LOAD_GLOBAL', 'JZ', 'POP', 'JMP']);
+
+    const handler = code.indexOf(`LABEL ${code[call + 4].split(' ')[1]}`);
+    assert.deepStrictEqual(code.slice(handler + 1, handler + 5),
+        ['LOAD_GLOBAL .error', 'STORE_LOCAL e', 'PUSH 0', 'STORE_GLOBAL .error']);
+});
+
+test('finally runs before a return inside try', () => {
+    const code = listing(compile(moduleSource([], TRY_FINALLY)), 'init');
+    const finallyCall = code.indexOf('CALL_API info 1');
+    assert.strictEqual(code.lastIndexOf('CALL_API info 1'), finallyCall, 'the finally block is emitted once');
+
+    // return 7 saves its value, runs the finally block, then returns it
+    const value = code.indexOf('PUSH 7');
+    assert.ok(!code.slice(value, finallyCall).includes('RET'));
+    assert.deepStrictEqual(code.slice(value, value + 2), ['PUSH 7', 'STORE_LOCAL .t3']);
+    assert.ok(code.indexOf('LOAD_LOCAL .t3', finallyCall) > finallyCall);
+    assert.strictEqual(code[code.indexOf('LOAD_LOCAL .t3', finallyCall) + 1], 'RET');
+});
+
+test('Errors escaping an entry point are returned as its result', () => {
+    const result = compile(moduleSource([],
+        `function onIRQ(n) { if (n < 0) throw n; return n; }
+export function init() { return AKM.registerIRQ(11, onIRQ); }`));
+    assert.deepStrictEqual(listing(result, 'onIRQ').slice(-4),
+        ['LOAD_GLOBAL .error', 'PUSH 0', 'STORE_GLOBAL .error', 'RET']);
+});
+
+test('checkErrors throws negative status results', () => {
+    const source = moduleSource([],
+        `function onIRQ() { return 0; }
+export function init() { AKM.registerIRQ(11, onIRQ); return 0; }`);
+    const checked = listing(analyze(source, { checkErrors: true }), 'init');
+    const call = checked.indexOf('CALL_API registerIRQ 3');
+    assert.deepStrictEqual(checked.slice(call + 1, call + 7).map(line => line.replace(/ \.L\d+$/, '')),
+        ['DUP', 'PUSH 0', 'LT', 'JZ', 'DUP', 'STORE_GLOBAL .error']);
+    assert.ok(!listing(compile(source), 'init').includes('STORE_GLOBAL .error'));
+});
+
+// =========================================================================
+// COMMAND ARGUMENTS
+// =========================================================================
+
+const OUTB_COMMAND = `function outb(port, value, verbose, repeat) { return port + value + verbose + repeat; }
+AKM.command({
+    name: 'outb',
+    description: 'Write a byte to an I/O port',
+    args: [
+        { name: 'port', type: 'hex' },
+        { name: 'value', type: 'int', default: 0 },
+        { name: 'verbose', flag: '-v' },
+        { name: 'repeat', flag: '-n', type: 'int', default: 1 }
+    ]
+}, outb);
+export function init() { return 0; }`;
+
+test('Argument schemas derive the syntax line', () => {
+    const result = compile(moduleSource([], OUTB_COMMAND));
+    assert.deepStrictEqual(result.commands.map(cmd => [cmd.handler, cmd.syntax]),
+        [['__akm_run_outb', 'outb [-v] [-n <repeat>] <port> [value]']]);
+    assert.deepStrictEqual(result.commands[0].args.map(arg => [arg.name, arg.type, arg.required]),
+        [['port', 'hex', true], ['value', 'int', false], ['verbose', 'bool', false], ['repeat', 'int', false]]);
+});
+
+test('Argument schemas generate a parsing wrapper around the handler', () => {
+    const result = compile(moduleSource([], OUTB_COMMAND));
+    const wrapper = result.ir.functions.find(fn => fn.name === '__akm_run_outb');
+    assert.deepStrictEqual(wrapper.params, ['args']);
+
+    // Defaults first; the handler gets one value per entry, in schema order
+    const code = listing(result, '__akm_run_outb');
+    const defaults = code.indexOf('STORE_LOCAL arg$port') - 1;
+    assert.deepStrictEqual(code.slice(defaults, defaults + 8), [
+        'PUSH 0', 'STORE_LOCAL arg$port', 'PUSH 0', 'STORE_LOCAL arg$value',
+        'PUSH 0', 'STORE_LOCAL arg$verbose', 'PUSH 1', 'STORE_LOCAL arg$repeat'
+    ]);
+    assert.deepStrictEqual(code.slice(-6), [
+        'LOAD_LOCAL arg$port', 'LOAD_LOCAL arg$value', 'LOAD_LOCAL arg$verbose', 'LOAD_LOCAL arg$repeat',
+        'CALL outb 4', 'RET'
+    ]);
+
+    // Bad input prints the usage line and returns EINVAL
+    const usage = code.indexOf('PUSH_STR usage: outb [-v] [-n <repeat>] <port> [value]');
+    assert.deepStrictEqual(code.slice(usage + 1, usage + 5), ['CALL_API print 1', 'POP', 'PUSH -22', 'RET']);
+    assert.ok(code.includes('PUSH_STR outb: missing <port>'));
+
+    const caps = build(moduleSource([], OUTB_COMMAND)).info.capabilities;
+    assert.strictEqual(caps & (CAPABILITIES.MEMORY | CAPABILITIES.LOG), CAPABILITIES.MEMORY | CAPABILITIES.LOG);
+});
+
+test('Malformed argument schemas are errors', () => {
+    const result = analyze(moduleSource([], OUTB_COMMAND.replace("type: 'hex'", "type: 'float'").replace("'-v'", "'v'")));
+    assert.deepStrictEqual(result.errors.map(e => [e.code, e.line]), [['AKM1011', 7], ['AKM1011', 9]]);
+});
+
+// =========================================================================
+// COMMAND TABLE
+// =========================================================================
+
+const NETCTL_COMMAND = `function netDown(args) { return 0; }
+function netDump(args) { return 0; }
+AKM.command({
+    name: 'netctl',
+    description: 'Network control',
+    aliases: ['nc'],
+    subcommands: [
+        {
+            name: 'up',
+            aliases: ['start'],
+            privileged: 'net.admin',
+            args: [{ name: 'iface', type: 'string', complete: ['eth0', 'eth1'] }],
+            handler: (iface) => 0
+        },
+        { name: 'down', handler: netDown },
+        { name: 'dump', hidden: true, complete: 'file', handler: netDump }
+    ]
+});
+export function init() { return 0; }`;
+
+test('The command table starts with its header', () => {
+    const { header } = commandTable(build(moduleSource([], NETCTL_COMMAND)).ir);
+    assert.deepStrictEqual(header, { magic: 'ACMD', version: 1, entrySize: 40, count: 6, hintSize: 8, hintCount: 3 });
+});
+
+test('Subcommands, aliases and hints are encoded as table entries', () => {
+    const { entries } = commandTable(build(moduleSource([], NETCTL_COMMAND)).ir);
+    assert.deepStrictEqual(entries.map(e => [e.name, e.syntax, e.parent, e.flags, e.aliasOf]), [
+        ['netctl', 'netctl <up|down>', null, 8, null],
+        ['up', 'netctl up <iface>', 0, 2, null],
+        ['down', 'netctl down', 0, 0, null],
+        ['dump', 'netctl dump', 0, 1, null],
+        ['nc', 'netctl <up|down>', null, 8 | 4, 0],
+        ['start', 'netctl up <iface>', 0, 2 | 4, 1]
+    ]);
+    assert.deepStrictEqual([entries[1].resource, entries[1].permission], ['net.admin', 1]);
+    assert.deepStrictEqual(entries[1].hints, [
+        { kind: 1, position: 0, text: 'eth0' },
+        { kind: 1, position: 0, text: 'eth1' }
+    ]);
+    assert.deepStrictEqual(entries[5].hints, entries[1].hints);
+    assert.deepStrictEqual(entries[3].hints, [{ kind: 3, position: 0xFF, text: '' }]);
+});
+
+test('Privileged commands check the permission first', () => {
+    const result = compile(moduleSource([], NETCTL_COMMAND));
+    assert.deepStrictEqual(listing(result, '__akm_run_netctl_up').slice(0, 4),
+        ['PUSH_STR net.admin', 'PUSH 1', 'CALL_API checkPermission 2', 'STORE_LOCAL $denied']);
+});
+
+test('Command handlers are relocated code offsets', () => {
+    const { ir } = build(moduleSource([], NETCTL_COMMAND));
+    const { entries } = commandTable(ir);
+    const slots = ir.relocations.filter(r => r.section === AKM_FORMAT.SECTION_CMDTAB);
+    assert.deepStrictEqual(slots.map(r => [r.offset, r.type]), entries.map(e => [e.handlerSlot, AKM_FORMAT.RELOC_CODE]));
+    assert.strictEqual(entries[2].handler, ir.functions.get('netDown'));
+    assert.strictEqual(entries[4].handler, entries[0].handler);
+    assert.strictEqual(entries[0].handler, ir.functions.get('__akm_run_netctl'));
+});
+
+test('Commands are registered by the loader from the table', () => {
+    const source = moduleSource([],
+        `function ticks(args) { return 0; }
+AKM.command({ name: 'ticks', description: 'Show ticks' }, ticks);
+export function init() { return 0; }`);
+    const result = compile(source);
+    assert.deepStrictEqual(listing(result, 'init'), ['PUSH 0', 'RET']);
+    assert.deepStrictEqual(listing(result, 'exit'), ['PUSH 0', 'RET']);
+
+    const { ir, binary } = build(source);
+    assert.ok(!ir.strings.includes('registerCommand'));
+
+    // reserved3[2..3] locate the table in the binary
+    const offset = binary.readUInt32LE(152);
+    assert.strictEqual(binary.readUInt32LE(156), ir.cmdtab.length);
+    assert.ok(binary.subarray(offset, offset + ir.cmdtab.length).equals(ir.cmdtab));
+    assert.deepStrictEqual(commandTable(ir).entries.map(e => [e.name, e.parent]), [['ticks', null]]);
+});
+
+// =========================================================================
+// CLEANUP
+// =========================================================================
+
+const RESOURCES = `function tick() { return 0; }
+function onIRQ() { return 0; }
+let timer = 0;
+export function init() {
+    timer = AKM.createTimer(100, tick);
+    return AKM.registerIRQ(11, onIRQ);
+}`;
+
+test('Resources exit() does not release are reported', () => {
+    const result = analyze(moduleSource([], RESOURCES));
+    assert.deepStrictEqual(result.warnings.map(w => [w.code, w.line]), [['AKM3006', 6], ['AKM3006', 7]]);
+    assert.match(result.warnings[0].message, /call AKM\.destroyTimer\(timer\)/);
+});
+
+test('autoCleanup releases resources at the end of exit in reverse order', () => {
+    const result = analyze(moduleSource([], RESOURCES), { autoCleanup: true });
+    assert.deepStrictEqual(codes(result.warnings), []);
+    const code = listing(result, 'exit');
+    const irq = code.indexOf('CALL_API unregisterIRQ 1');
+    const destroy = code.indexOf('CALL_API destroyTimer 1');
+    assert.ok(irq >= 0 && destroy > irq, code.join('\n'));
+    assert.ok(code.slice(irq, destroy).includes('LOAD_GLOBAL timer'), 'the timer is released only when set');
+});
+
+test('Handles kept outside module variables are reported', () => {
+    const result = analyze([
+        "import { ringCreate, ringFree } from 'akm:ring';",
+        "AKM.module({ name: 'test', version: '1.0.0' });",
+        "const Dev = AKM.struct({ buf: 'ptr' });",
+        'let dev = 0;',
+        'let rx = 0;',
+        'function alloc(n) { const p = AKM.malloc(n); return p; }',
+        'function close(handle) { AKM.free(handle); return 0; }',
+        'export function init() {',
+        '    dev = alloc(Dev.size);',
+        '    rx = ringCreate(16);',
+        '    Dev.at(dev).buf = AKM.malloc(64);',
+        '    const scratch = alloc(32);',
+        '    const tmp = AKM.malloc(8);',
+        '    AKM.free(tmp);',
+        '    return scratch;',
+        '}',
+        'export function exit() { ringFree(rx); return close(dev); }',
+        ''
+    ].join('\n'));
+    assert.deepStrictEqual(result.warnings.map(w => [w.code, w.line]), [['AKM3006', 11], ['AKM3006', 12]]);
+    assert.match(result.warnings[0].message, /Result of AKM\.malloc is not kept in a module variable/);
+});
+
+// =========================================================================
+// MODULE PARAMETERS
+// =========================================================================
+
+const PARAMS = `const irq = AKM.param({ type: 'int', default: 11, description: 'IRQ line' });
+const IO_BASE = AKM.param({ name: 'io', type: 'uint', default: 0x300 });
+const verbose = AKM.param({ type: 'bool', description: 'Log every packet' });
+const ifname = AKM.param({ type: 'string', default: 'eth0' });
+export function init() {
+    if (verbose) AKM.info(\`\${ifname}: io \${IO_BASE} irq \${irq}\`);
+    return 0;
+}`;
+
+test('Parameters are globals whose defaults are in .data', () => {
+    const { ir } = build(moduleSource([], PARAMS));
+    const symbols = new Map(ir.globals.map(g => [g.name, g.offset]));
+    assert.strictEqual(ir.data.readInt32LE(symbols.get('irq')), 11);
+    assert.strictEqual(ir.data.readInt32LE(symbols.get('IO_BASE')), 0x300);
+    assert.strictEqual(ir.data.readInt32LE(symbols.get('verbose')), 0);
+
+    // A string default points at the string table and is rebased at load
+    const ifname = symbols.get('ifname');
+    const text = ir.data.readUInt32LE(ifname);
+    assert.strictEqual(ir.data.toString('latin1', text, text + 5), 'eth0\0');
+    assert.deepStrictEqual(ir.relocations,
+        [{ section: AKM_FORMAT.SECTION_DATA, offset: ifname, type: AKM_FORMAT.RELOC_DATA }]);
+});
+
+test('The parameter table describes each parameter', () => {
+    const { ir, binary } = build(moduleSource([], PARAMS));
+    const tab = ir.paramtab;
+    const string = offset => ir.data.toString('latin1', offset, ir.data.indexOf(0, offset));
+    assert.deepStrictEqual([tab.toString('latin1', 0, 4), tab.readUInt16LE(4), tab.readUInt16LE(6), tab.readUInt16LE(8)],
+        ['APRM', 1, 16, 4]);
+
+    const symbols = new Map(ir.globals.map(g => [g.name, g.offset]));
+    const entries = Array.from({ length: 4 }, (_, i) => {
+        const at = 16 + i * 16;
+        return [string(tab.readUInt32LE(at)), string(tab.readUInt32LE(at + 4)), tab.readUInt32LE(at + 8), tab[at + 12]];
+    });
+    assert.deepStrictEqual(entries, [
+        ['irq', 'IRQ line', symbols.get('irq'), 1],
+        ['io', '', symbols.get('IO_BASE'), 2],
+        ['verbose', 'Log every packet', symbols.get('verbose'), 3],
+        ['ifname', '', symbols.get('ifname'), 4]
+    ]);
+
+    // reserved4 locates the table in the binary
+    const offset = binary.readUInt32LE(172);
+    assert.strictEqual(binary.readUInt32LE(176), tab.length);
+    assert.ok(binary.subarray(offset, offset + tab.length).equals(tab));
+});
+
+test('Parameters are read-only and typed', () => {
+    const result = analyze(moduleSource([],
+        `const irq = AKM.param({ type: 'int', default: 11 });
+const rate = AKM.param({ type: 'float' });
+export function init() { irq = 3; return rate; }`));
+    assert.deepStrictEqual(result.errors.map(e => [e.code, e.line]).sort(), [['AKM1013', 3], ['AKM2006', 4]]);
+});
+
+// =========================================================================
+// MULTI-FILE MODULES
+// =========================================================================
+
+const UTIL_FILE = `const count = 10;
+export const MAX = 64 + count;
+function helper(x) { return x * 2; }
+export function crc8(v) { return helper(v) & 0xFF; }
+export let total = crc8(MAX);
+`;
+
+test('Imported files are linked with their own top-level scope', () => {
+    const result = analyzeFiles({
+        'main.akm.js': moduleSource(["import { crc8, MAX as LIMIT } from './lib/util';"],
+            `let seen = 0;
+function helper(x) { return x + 1; }
+export function init() { seen = LIMIT; return helper(crc8(7)); }`),
+        'lib/util.js': UTIL_FILE
+    });
+    assert.deepStrictEqual(result.errors.map(e => e.message), []);
+
+    // The entry file keeps its names; the other helper is renamed
+    assert.deepStrictEqual(functionNames(result), ['crc8', 'exit', 'helper', 'init', 'util$helper']);
+    assert.deepStrictEqual(listing(result, 'crc8').slice(0, 2), ['LOAD_LOCAL v', 'CALL util$helper 1']);
+    assert.ok(listing(result, 'init').includes('PUSH 74'), 'the imported constant folds');
+
+    // Imported files are initialized first
+    assert.deepStrictEqual(topLevelNames(result).filter(name => name === 'total' || name === 'seen'), ['total', 'seen']);
+});
+
+test('Diagnostics name the file they occur in', () => {
+    const result = analyzeFiles({
+        'main.akm.js': moduleSource(["import { f } from './util.js';"],
+            `export function g() { for (const k in 0) {} return 0; }
+export function init() { return f() + g(); }`),
+        'util.js': '// util\n\nexport function f() { for (const k in 0) {} return 0; }\n'
+    });
+
+    // Both are kept although they share a line and column
+    assert.deepStrictEqual(result.errors.map(e => [path.basename(e.file), e.code, e.line, e.column]).sort(), [
+        ['main.akm.js', 'AKM2001', 3, 22],
+        ['util.js', 'AKM2001', 3, 22]
+    ]);
+});
+
+test('Unresolved imports are errors', () => {
+    const result = analyzeFiles({
+        'main.akm.js': moduleSource(["import { nope } from './util.js';", "import { x } from './missing.js';"],
+            'export function init() { return 0; }'),
+        'util.js': UTIL_FILE
+    });
+    assert.deepStrictEqual(result.errors.map(e => [e.code, e.line]).sort(), [['AKM1014', 1], ['AKM1014', 2]]);
+});
+
+// =========================================================================
+// STANDARD LIBRARY
+// =========================================================================
+
+test('akm:ring links only the functions used', () => {
+    const result = compile(moduleSource(
+        ["import { ringCreate, ringPush, ringPop } from 'akm:ring';"],
+        `let ring = 0;
+export function init() {
+    ring = ringCreate(8);
+    ringPush(ring, 1);
+    return ringPop(ring);
+}`));
+    assert.deepStrictEqual(functionNames(result),
+        ['exit', 'init', 'ringCreate', 'ringPop', 'ringPush']);
+});
+
+test('akm:list links only the functions used', () => {
+    const result = compile(moduleSource(
+        ["import { listInit, listAddTail, listCount } from 'akm:list';"],
+        `let head = 0;
+let node = 0;
+export function init() {
+    head = AKM.malloc(16);
+    node = AKM.malloc(16);
+    listInit(head);
+    listAddTail(head, node);
+    return listCount(head);
+}`));
+    assert.deepStrictEqual(functionNames(result),
+        ['exit', 'init', 'listAddTail', 'listCount', 'listInit', 'listInsert']);
+});
+
+test('akm:hashmap links only the functions used', () => {
+    const result = compile(moduleSource(
+        ["import { mapCreate, mapPut, mapGet } from 'akm:hashmap';"],
+        `let map = 0;
+export function init() {
+    map = mapCreate(16);
+    mapPut(map, 80, 1);
+    return mapGet(map, 80, 0);
+}`));
+    assert.deepStrictEqual(functionNames(result),
+        ['exit', 'init', 'mapClear', 'mapCreate', 'mapFind', 'mapGet', 'mapPut', 'mapSlot']);
+});
+
+test('akm:bitmap links only the functions used', () => {
+    const result = compile(moduleSource(
+        ["import { bitmapCreate, bitmapAlloc, bitmapFree } from 'akm:bitmap';"],
+        `let ids = 0;
+export function init() {
+    ids = bitmapCreate(64);
+    const id = bitmapAlloc(ids);
+    return bitmapFree(ids, id);
+}`));
+    assert.deepStrictEqual(functionNames(result),
+        ['bitmapAlloc', 'bitmapAllocRange', 'bitmapCreate', 'bitmapFree', 'bitmapSet', 'bitmapTest',
+            'bitmapWord', 'exit', 'init']);
+});
+
+test('akm:string links only the functions used', () => {
+    const result = compile(moduleSource(
+        ["import { strEquals, strToInt } from 'akm:string';"],
+        `export function init() {
+    if (strEquals('a', 'b')) return 1;
+    return strToInt('0x10', -1);
+}`));
+    assert.deepStrictEqual(functionNames(result),
+        ['exit', 'init', 'strCompare', 'strEquals', 'strToInt']);
+});
+
+test('akm: modules link together', () => {
+    const result = compile(moduleSource(
+        [
+            "import { ringCreate } from 'akm:ring';",
+            "import { mapCreate } from 'akm:hashmap';",
+            "import { bitmapCreate } from 'akm:bitmap';",
+            "import { listInit } from 'akm:list';",
+            "import { strLength } from 'akm:string';"
+        ],
+        `let ring = 0;
+let map = 0;
+let ids = 0;
+let head = 0;
+export function init() {
+    ring = ringCreate(8);
+    map = mapCreate(8);
+    ids = bitmapCreate(32);
+    head = AKM.malloc(16);
+    listInit(head);
+    return strLength('abc');
+}`));
+    for (const name of ['ringCreate', 'mapCreate', 'bitmapCreate', 'listInit', 'strLength']) {
+        assert.ok(functionNames(result).includes(name), `${name} is linked`);
+    }
+});
+
+test('Clashing stdlib names get a file prefix', () => {
+    const result = compile(moduleSource(
+        [
+            "import { ringCreate } from 'akm:ring';",
+            "import { mapCreate } from 'akm:hashmap';"
+        ],
+        `const ENOSPC = 28;
+let ring = 0;
+let map = 0;
+export function init() {
+    ring = ringCreate(8);
+    map = mapCreate(8);
+    return ENOSPC;
+}`));
+    const names = topLevelNames(result);
+    assert.ok(names.includes('ENOSPC'), 'the entry file keeps its name');
+    assert.ok(names.includes('ring$ENOSPC'));
+    assert.ok(names.includes('hashmap$ENOSPC'));
+});
+
+test('Unknown akm: module is an error', () => {
+    const result = analyze(moduleSource(
+        ["import { nope } from 'akm:nope';"],
+        'export function init() { return nope(); }'));
+    assert.strictEqual(result.errors.length, 1);
+    assert.strictEqual(result.errors[0].code, 'AKM1014');
+    assert.match(result.errors[0].message, /Unknown standard library module 'akm:nope'/);
+});
+
+test('Missing akm: export is an error', () => {
+    const result = analyze(moduleSource(
+        ["import { ringInit } from 'akm:ring';"],
+        'export function init() { return ringInit(0, 8); }'));
+    assert.deepStrictEqual(result.errors.map(e => e.message), ["'akm:ring' does not export 'ringInit'"]);
+});
+
+// =========================================================================
+// CONSTANT TABLES
+// =========================================================================
+
+const TABLES = [
+    "const SCANCODES = [0, 27, 200];",
+    "const DELTAS = [1, -2];",
+    "const CRC = [0x80000000, 1];",
+    "const ERRORS = ['ok', 'busy'];",
+    "const PCI_IDS = [{ vendor: 0x8086, device: 0x100E }, { vendor: 0x10EC, device: 0x8139 }];"
+];
+
+test('Tables are laid out in .rodata at their narrowest width', () => {
+    const output = build(moduleSource(TABLES,
+        'export function init() { AKM.info(ERRORS[0]); return SCANCODES[1] + DELTAS[1] + CRC[1] + PCI_IDS[1].device; }'));
+    const { ir, binary } = output;
+
+    assert.deepStrictEqual(ir.tables.map(t => [t.name, t.type, t.offset, t.size]), [
+        ['SCANCODES', 'u8[3]', 0, 3],
+        ['DELTAS', 'i8[2]', 3, 2],
+        ['CRC', 'u32[2]', 8, 8],
+        ['ERRORS', 'ptr[2]', 16, 8],
+        ['PCI_IDS', 'PCI_IDS[2]', 24, 8]
+    ]);
+    assert.deepStrictEqual([...ir.rodata.subarray(0, 5)], [0, 27, 200, 1, 0xFE]);
+    assert.deepStrictEqual([ir.rodata.readUInt32LE(8), ir.rodata.readUInt16LE(30)], [0x80000000, 0x8139]);
+
+    // String entries hold data offsets, rebased like string params
+    const strings = ir.relocations.filter(r => r.section === AKM_FORMAT.SECTION_RODATA);
+    assert.deepStrictEqual(strings.map(r => [r.offset, r.type]),
+        [[16, AKM_FORMAT.RELOC_DATA], [20, AKM_FORMAT.RELOC_DATA]]);
+    const busy = ir.rodata.readUInt32LE(20);
+    assert.strictEqual(ir.data.toString('utf8', busy, busy + 4), 'busy');
+
+    // The section follows .data in the file
+    const dataEnd = binary.readUInt32LE(124) + binary.readUInt32LE(128);
+    assert.deepStrictEqual([binary.readUInt32LE(132), binary.readUInt32LE(136)], [dataEnd, ir.rodata.length]);
+    assert.ok(binary.subarray(dataEnd, dataEnd + ir.rodata.length).equals(ir.rodata));
+});
+
+test('Indexing a table loads base plus offset at the element width', () => {
+    const result = compile(moduleSource(TABLES, [
+        'export function init() {',
+        '    let i = 1;',
+        '    return SCANCODES[i] + DELTAS[i] + CRC[i] + PCI_IDS[i].device;',
+        '}'
+    ].join('\n')));
+    assert.deepStrictEqual(listing(result, 'init').slice(2), [
+        'PUSH_TABLE SCANCODES', 'LOAD_LOCAL i', 'ADD', 'LOAD8',
+        // i8 entries are sign-extended
+        'PUSH_TABLE DELTAS', 'LOAD_LOCAL i', 'ADD', 'LOAD8', 'PUSH 128', 'XOR', 'PUSH 128', 'SUB',
+        'ADD',
+        'PUSH_TABLE CRC', 'LOAD_LOCAL i', 'PUSH 4', 'MUL', 'ADD', 'LOAD32',
+        'ADD',
+        'PUSH_TABLE PCI_IDS', 'LOAD_LOCAL i', 'PUSH 4', 'MUL', 'ADD', 'PUSH 2', 'ADD', 'LOAD16',
+        'ADD',
+        'RET'
+    ]);
+});
+
+test('Constant indexes and .length fold', () => {
+    const result = compile(moduleSource(TABLES,
+        'export function init() { return SCANCODES[2] + DELTAS[1] * PCI_IDS.length; }'));
+    assert.deepStrictEqual(listing(result, 'init'), ['PUSH 196', 'RET']);
+});
+
+test('Table names push relocated .rodata offsets', () => {
+    const output = build(moduleSource(TABLES.concat('let fd = 0;'),
+        'export function init() { return AKM.write(fd, ERRORS, ERRORS.length); }'));
+    const { ir } = output;
+    const slots = ir.relocations.filter(r => r.type === AKM_FORMAT.RELOC_RODATA);
+    assert.strictEqual(slots.length, 1);
+    assert.strictEqual(slots[0].section, AKM_FORMAT.SECTION_CODE);
+    assert.strictEqual(ir.code[slots[0].offset - 1], OPCODES.PUSH);
+    assert.strictEqual(ir.code.readUInt32LE(slots[0].offset), 16);
+});
+
+test('Invalid tables are errors', () => {
+    const result = analyze(moduleSource([
+        'const SCANCODES = [0, 27, 200];',
+        'let WRITABLE = [1, 2];',
+        "const MIXED = [1, 'a'];"
+    ], [
+        'export function init() {',
+        '    SCANCODES[0] = 1;',
+        '    return SCANCODES[3];',
+        '}'
+    ].join('\n')));
+    assert.deepStrictEqual(result.errors.map(e => [e.code, e.message]), [
+        ['AKM1015', "Table 'WRITABLE' must be declared const; array and object literals are read-only"],
+        ['AKM1015', "Table 'MIXED' mixes strings and numbers"],
+        ['AKM2006', 'Cannot assign to a constant table; tables are read-only'],
+        ['AKM1015', "Index 3 is outside table 'SCANCODES' (3 elements)"]
+    ]);
+});
+
+// =========================================================================
+// RUNNER
+// =========================================================================
+
+let failed = 0;
+for (const { name, fn } of tests) {
+    try {
+        fn();
+        console.log(`  ok    ${name}`);
+    } catch (err) {
+        failed++;
+        console.log(`  FAIL  ${name}`);
+        console.log(`        ${err.message.split('\n').join('\n        ')}`);
+    }
+}
+
+console.log(`\n${tests.length - failed} passed, ${failed} failed`);
+process.exitCode = failed > 0 ? 1 : 0;